@@ -0,0 +1,201 @@
+// Scales, chords and the per-channel arpeggiator.
+
+import { DAW } from './state.js';
+import { Transport } from './transport.js';
+
+// --- ARPEGGIATOR & SCALES ---
+
+// Keys and chords for the Piano Roll. A scale is { root: 0-11 (C = 0), type, snap }
+// and is stored with the project (DAW.state.scale).
+const Scales = {
+    TYPES: {
+        chromatic: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+        major: [0, 2, 4, 5, 7, 9, 11],
+        minor: [0, 2, 3, 5, 7, 8, 10],
+        harmonicMinor: [0, 2, 3, 5, 7, 8, 11],
+        melodicMinor: [0, 2, 3, 5, 7, 9, 11],
+        dorian: [0, 2, 3, 5, 7, 9, 10],
+        phrygian: [0, 1, 3, 5, 7, 8, 10],
+        lydian: [0, 2, 4, 6, 7, 9, 11],
+        mixolydian: [0, 2, 4, 5, 7, 9, 10],
+        locrian: [0, 1, 3, 5, 6, 8, 10],
+        majorPentatonic: [0, 2, 4, 7, 9],
+        minorPentatonic: [0, 3, 5, 7, 10],
+        blues: [0, 3, 5, 6, 7, 10]
+    },
+    // Semitones above the root. 'triad' / 'seventh' stack thirds inside the scale instead.
+    CHORDS: {
+        triad: null,
+        seventh: null,
+        maj: [0, 4, 7],
+        min: [0, 3, 7],
+        dim: [0, 3, 6],
+        aug: [0, 4, 8],
+        sus2: [0, 2, 7],
+        sus4: [0, 5, 7],
+        maj7: [0, 4, 7, 11],
+        m7: [0, 3, 7, 10],
+        '7': [0, 4, 7, 10],
+        m7b5: [0, 3, 6, 10],
+        dim7: [0, 3, 6, 9]
+    },
+
+    defaults() {
+        return { root: 0, type: 'chromatic', snap: false };
+    },
+
+    intervals(scale) {
+        return this.TYPES[scale.type] || this.TYPES.chromatic;
+    },
+
+    // Chromatic means "no key": nothing to highlight or snap to
+    active(scale) {
+        return scale.type !== 'chromatic' && !!this.TYPES[scale.type];
+    },
+
+    contains(scale, pitch) {
+        return this.intervals(scale).includes(((pitch - scale.root) % 12 + 12) % 12);
+    },
+
+    // Nearest pitch in the scale; dir > 0 / < 0 only searches upwards / downwards
+    fit(scale, pitch, dir = 0) {
+        for (let d = 0; d < 12; d++) {
+            if (dir >= 0 && this.contains(scale, pitch + d)) return pitch + d;
+            if (dir <= 0 && this.contains(scale, pitch - d)) return pitch - d;
+        }
+        return pitch;
+    },
+
+    // Chord pitches from `root` upwards; inversion n moves the lowest n notes up an octave
+    chord(scale, root, type, inversion = 0) {
+        let pitches;
+        if (this.CHORDS[type]) {
+            pitches = this.CHORDS[type].map(i => root + i);
+        } else {
+            // Every other scale degree from the root (which is moved into the scale first)
+            const steps = this.intervals(scale);
+            const base = this.fit(scale, root, -1);
+            const degree = steps.indexOf(((base - scale.root) % 12 + 12) % 12);
+            const count = type === 'seventh' ? 4 : 3;
+            pitches = Array.from({ length: count }, (_, i) => {
+                const d = degree + i * 2;
+                return base - steps[degree] + steps[d % steps.length] + 12 * Math.floor(d / steps.length);
+            });
+        }
+        for (let i = 0; i < Math.min(inversion, pitches.length - 1); i++) {
+            pitches.push(pitches.shift() + 12);
+        }
+        return pitches;
+    }
+};
+
+// Per-channel arpeggiator: channel.arp = { enabled, mode, rate, gate, octaves, latch }.
+// Piano roll notes are arpeggiated at playback (render() is stateless, so live playback,
+// export and "Bake" agree); held live notes (MIDI / typing piano) run their own clock,
+// locked to the song grid while the transport is playing.
+const Arpeggiator = {
+    MODES: ['up', 'down', 'updown', 'random', 'played'],
+    RATES: { '1/4': 4, '1/8': 2, '1/8T': 4 / 3, '1/16': 1, '1/16T': 2 / 3, '1/32': 0.5 }, // in steps
+    live: new Map(), // channel -> { notes: [{ pitch, velocity }] in play order, pressed: Set(pitch), index, time, timer }
+
+    defaults() {
+        return { enabled: false, mode: 'up', rate: '1/16', gate: 0.5, octaves: 1, latch: false };
+    },
+
+    rate(arp) {
+        return this.RATES[arp.rate] || 1;
+    },
+
+    // One cycle of the pattern: notes (in play order) spread over the octave range
+    sequence(notes, arp) {
+        const base = arp.mode === 'played' ? notes : [...notes].sort((a, b) => a.pitch - b.pitch);
+        let list = [];
+        for (let o = 0; o < arp.octaves; o++) {
+            base.forEach(n => list.push({ ...n, pitch: n.pitch + 12 * o }));
+        }
+        list = list.filter(n => n.pitch <= 127);
+        if (arp.mode === 'down') list.reverse();
+        // Up then down without repeating the top and bottom notes
+        if (arp.mode === 'updown' && list.length > 2) list = list.concat(list.slice(1, -1).reverse());
+        return list;
+    },
+
+    pick(list, index, arp, random) {
+        if (!list.length) return null;
+        if (arp.mode === 'random') return list[Math.floor(random() * list.length)];
+        return list[index % list.length];
+    },
+
+    // Arpeggio hits starting in [from, to) steps, as notes ({ start, duration, pitch, velocity }).
+    // The notes sounding at a tick form the chord; its pattern starts with its earliest note.
+    render(notes, arp, from, to, random = Math.random) {
+        const rate = this.rate(arp);
+        const hits = [];
+        for (let i = Math.ceil(from / rate - 1e-9); i * rate < to - 1e-9; i++) {
+            const pos = i * rate;
+            const chord = notes
+                .filter(n => n.start <= pos + 1e-9 && pos < n.start + n.duration - 1e-9)
+                .sort((a, b) => a.start - b.start);
+            if (!chord.length) continue;
+            const index = Math.floor((pos - chord[0].start) / rate + 1e-9);
+            const note = this.pick(this.sequence(chord, arp), index, arp, random);
+            if (note) hits.push({ start: pos, duration: rate * arp.gate, pitch: note.pitch, velocity: note.velocity });
+        }
+        return hits;
+    },
+
+    // --- Live input ---
+
+    noteOn(ch, pitch, velocity) {
+        let st = this.live.get(ch);
+        if (!st) {
+            st = { notes: [], pressed: new Set(), index: 0, time: 0, timer: null };
+            this.live.set(ch, st);
+        }
+        // Latched: the first key after all were let go starts a new chord
+        if (ch.arp.latch && !st.pressed.size) st.notes = [];
+        st.pressed.add(pitch);
+        st.notes = st.notes.filter(n => n.pitch !== pitch).concat({ pitch, velocity });
+        if (!st.timer) {
+            st.index = 0;
+            st.time = this.nextTick(this.rate(ch.arp), DAW.ctx.currentTime + 0.005);
+            this.run(ch, st);
+        }
+    },
+
+    noteOff(ch, pitch) {
+        const st = this.live.get(ch);
+        if (st) st.pressed.delete(pitch);
+    },
+
+    // First tick at or after `time`: on the rate grid of the playing song, or right away
+    nextTick(rate, time) {
+        if (!DAW.isPlaying) return time;
+        const stepDur = Transport.stepDuration();
+        const dur = rate * stepDur;
+        // DAW.currentStep is the step due at DAW.nextNoteTime
+        const grid = DAW.nextNoteTime + ((rate - DAW.currentStep % rate) % rate) * stepDur;
+        return grid - Math.floor((grid - time) / dur) * dur;
+    },
+
+    // Lookahead loop like the Sequencer's; ends once nothing is held (or latched)
+    run(ch, st) {
+        const arp = ch.arp;
+        if (!arp.latch) st.notes = st.notes.filter(n => st.pressed.has(n.pitch));
+        if (!arp.enabled || !st.notes.length) {
+            st.timer = null;
+            this.live.delete(ch);
+            return;
+        }
+        const dur = this.rate(arp) * Transport.stepDuration();
+        const list = this.sequence(st.notes, arp);
+        while (st.time < DAW.ctx.currentTime + DAW.scheduleAheadTime) {
+            const note = this.pick(list, st.index++, arp, Math.random);
+            if (note) ch.playNote(st.time, dur * arp.gate, note.pitch, note.velocity);
+            st.time += dur;
+        }
+        st.timer = setTimeout(() => this.run(ch, st), DAW.lookahead);
+    }
+};
+
+export { Scales, Arpeggiator };
@@ -0,0 +1,143 @@
+// Automation lanes: targets and sample-accurate playback.
+
+import { DAW } from './state.js';
+import { Effects } from './effects.js';
+
+// --- AUTOMATION ---
+
+// Breakpoint envelopes for mixer, effect and synth parameters.
+// lane: { target, points: [{ step, value, curve }] } with steps relative to the pattern
+// (or clip) start, values in the parameter's own units, and curve (-1..1) shaping the
+// segment that starts at the point (0 = linear).
+// Targets are ids: 'mixer:<track>:volume|pan', 'fx:<track>:<fxId>:<key>', 'synth:<channelId>:cutoff|resonance'.
+// Lanes live in pattern.automation or in playlist clips of type 'automation'.
+// Recording and the lane editor are added by script.js.
+const Automation = {
+    RESOLUTION: 4,        // ramp segments per step, keeps curves smooth
+    touched: new WeakMap(), // graph -> Set(target) scheduled since the last reset
+
+    lanes(pattern) {
+        if (!pattern.automation) pattern.automation = [];
+        return pattern.automation;
+    },
+
+    // Everything that can be automated, for pickers. `inactive` says why a target can't follow
+    // its lanes right now (an effect mode), they are kept and play again once it can.
+    targets() {
+        const list = [];
+        DAW.mixerTracks.forEach(t => {
+            const name = t.index === 0 ? 'Master' : `Insert ${t.index}`;
+            list.push({ id: `mixer:${t.index}:volume`, group: 'Mixer', label: `${name} Volume`, min: 0, max: 1 });
+            list.push({ id: `mixer:${t.index}:pan`, group: 'Mixer', label: `${name} Pan`, min: -1, max: 1 });
+            t.effects.forEach(fx => {
+                fx.constructor.params.forEach(def => {
+                    const inactive = fx.inactive(def.key);
+                    if (!inactive && !fx.audioParams(def.key).length) return;
+                    list.push({
+                        id: `fx:${t.index}:${fx.id}:${def.key}`,
+                        group: 'Effects',
+                        label: `${name} ${fx.constructor.label} ${def.label}${inactive ? ` (inactive ${inactive})` : ''}`,
+                        min: def.min, max: def.max, inactive
+                    });
+                });
+            });
+        });
+        DAW.channels.filter(ch => ch.synth).forEach(ch => {
+            list.push({ id: `synth:${ch.id}:cutoff`, group: 'Synths', label: `${ch.name} Cutoff`, min: 20, max: 20000 });
+            list.push({ id: `synth:${ch.id}:resonance`, group: 'Synths', label: `${ch.name} Resonance`, min: 0.1, max: 30 });
+        });
+        return list;
+    },
+
+    describe(id) {
+        return this.targets().find(t => t.id === id) || { id, label: `${id} (missing)`, min: 0, max: 1 };
+    },
+
+    // AudioParams behind a target in a graph:
+    // { rest() -> static value, set(value) -> change the static value, params: [{ param, map }] }
+    resolve(id, graph = DAW) {
+        const [kind, a, b, c] = id.split(':');
+        if (kind === 'mixer' || kind === 'fx') {
+            const track = graph.mixerTracks[parseInt(a)];
+            if (!track) return null;
+            if (kind === 'fx') {
+                const fx = track.effects.find(f => f.id === b);
+                return fx ? { rest: () => fx.values[c], set: v => fx.setParam(c, v), params: fx.audioParams(c) } : null;
+            }
+            return b === 'volume'
+                ? { rest: () => track.volume, set: v => track.setVolume(v), params: [{ param: track.gainNode.gain, map: v => v }] }
+                : { rest: () => track.pan, set: v => track.setPan(v), params: [{ param: track.panNode.pan, map: v => v }] };
+        }
+        if (kind === 'synth') {
+            const ch = DAW.channels.find(ch => ch.id === parseInt(a));
+            if (!ch || !ch.synth) return null;
+            const mod = ch.synth.modulation(graph);
+            const filter = ch.synth.params.filter;
+            return b === 'cutoff'
+                ? { rest: () => filter.cutoff, set: v => filter.cutoff = v,
+                    params: [{ param: mod.cutoff.offset, map: v => 1200 * Math.log2(v / filter.cutoff) }] }
+                : { rest: () => filter.resonance, set: v => filter.resonance = v,
+                    params: [{ param: mod.resonance.offset, map: v => v - filter.resonance }] };
+        }
+        return null;
+    },
+
+    shape(t, curve) {
+        if (!curve) return t;
+        const k = curve * 6;
+        return (Math.exp(k * t) - 1) / (Math.exp(k) - 1);
+    },
+
+    // Envelope value at a position; holds the first/last value outside the points
+    valueAt(points, pos) {
+        if (pos <= points[0].step) return points[0].value;
+        for (let i = points.length - 1; i >= 0; i--) {
+            if (points[i].step > pos) continue;
+            const a = points[i];
+            const b = points[i + 1];
+            if (!b) return a.value;
+            const t = (pos - a.step) / (b.step - a.step);
+            return a.value + (b.value - a.value) * this.shape(t, a.curve);
+        }
+    },
+
+    // Schedule lane positions [from, to) starting at `time`. Called from the Sequencer
+    // lookahead one step at a time, so events land sample-accurately ahead of playback.
+    scheduleLane(lane, from, to, time, stepDur, graph = DAW) {
+        if (!lane.points.length) return;
+        const target = this.resolve(lane.target, graph);
+        if (!target || !target.params.length) return;
+        if (!this.touched.has(graph)) this.touched.set(graph, new Set());
+        this.touched.get(graph).add(lane.target);
+
+        // Sub-steps plus any breakpoints inside the span
+        const positions = [];
+        for (let i = 1; i <= this.RESOLUTION; i++) positions.push(from + (to - from) * i / this.RESOLUTION);
+        lane.points.forEach(pt => { if (pt.step > from && pt.step < to) positions.push(pt.step); });
+        positions.sort((x, y) => x - y);
+
+        target.params.forEach(({ param, map }) => {
+            param.setValueAtTime(map(this.valueAt(lane.points, from)), time);
+            positions.forEach(pos => {
+                param.linearRampToValueAtTime(map(this.valueAt(lane.points, pos)), time + (pos - from) * stepDur);
+            });
+        });
+    },
+
+    // Drop scheduled automation and go back to the static values (transport stop)
+    reset(graph = DAW) {
+        const touched = this.touched.get(graph);
+        if (!touched) return;
+        touched.forEach(id => {
+            const target = this.resolve(id, graph);
+            if (!target) return;
+            target.params.forEach(({ param, map }) => {
+                param.cancelScheduledValues(0);
+                param.value = map(target.rest());
+            });
+        });
+        touched.clear();
+    }
+};
+
+export { Automation };
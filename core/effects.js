@@ -0,0 +1,439 @@
+// Mixer insert effects.
+
+import { DAW } from './state.js';
+import { Utils } from './utils.js';
+
+// --- EFFECTS ---
+
+// Base insert effect: input -> (processing | bypass) -> output.
+// Subclasses declare their parameters in `static params` and build nodes in build().
+class Effect {
+    static type = 'effect';
+    static label = 'Effect';
+    static params = []; // [{ key, label, min, max, step, value, unit, kind }]
+    static nextId = 1;
+
+    constructor(graph, data = {}) {
+        this.graph = graph;
+        this.ctx = graph.ctx;
+        this.id = data.id || `fx${Effect.nextId++}`;
+        // Loaded ids (and offline copies) keep theirs; keep new ones clear of them
+        Effect.nextId = Math.max(Effect.nextId, (parseInt(this.id.slice(2)) || 0) + 1);
+        this.input = this.ctx.createGain();
+        this.output = this.ctx.createGain();
+        this.bypassed = !!data.bypassed;
+        this.values = {};
+
+        const { input, output } = this.build(this.ctx);
+        this.fxIn = input;
+        output.connect(this.output);
+
+        const saved = data.values || {};
+        this.constructor.params.forEach(p => this.setParam(p.key, saved[p.key] ?? p.value));
+        this.route();
+    }
+
+    // Returns { input, output } of the processing path
+    build(ctx) {
+        const node = ctx.createGain();
+        return { input: node, output: node };
+    }
+
+    setParam(key, value) {
+        this.values[key] = value;
+        this.apply(key, value);
+    }
+
+    apply(key, value) {}
+
+    // AudioParams behind a parameter for automation: [{ param, map(value) }], [] if not automatable
+    audioParams(key) {
+        return [];
+    }
+
+    // Parameters that do nothing in the current mode; the rack leaves them out
+    hidden(key) {
+        return false;
+    }
+
+    // Why an automatable parameter can't follow automation right now, or null if it can
+    inactive(key) {
+        return null;
+    }
+
+    setBypass(bypassed) {
+        this.bypassed = bypassed;
+        this.route();
+    }
+
+    route() {
+        this.input.disconnect();
+        this.input.connect(this.bypassed ? this.output : this.fxIn);
+    }
+
+    connectSidechain() {}
+
+    dispose() {
+        this.input.disconnect();
+        this.output.disconnect();
+    }
+
+    serialize() {
+        return { id: this.id, type: this.constructor.type, bypassed: this.bypassed, values: { ...this.values } };
+    }
+
+    // Shared dry/wet helper for effects with a mix control
+    buildMix(ctx, wetIn, wetOut) {
+        const input = ctx.createGain();
+        const output = ctx.createGain();
+        this.dry = ctx.createGain();
+        this.wet = ctx.createGain();
+        input.connect(this.dry).connect(output);
+        input.connect(wetIn);
+        wetOut.connect(this.wet).connect(output);
+        return { input, output };
+    }
+
+    setMix(mix) {
+        this.dry.gain.value = 1 - mix;
+        this.wet.gain.value = mix;
+    }
+
+    mixParams() {
+        return [{ param: this.dry.gain, map: v => 1 - v }, { param: this.wet.gain, map: v => v }];
+    }
+}
+
+class EQEffect extends Effect {
+    static type = 'eq';
+    static label = 'Parametric EQ';
+    static params = [
+        { key: 'lowFreq', label: 'Low Freq', min: 20, max: 1000, step: 1, value: 100, unit: 'Hz' },
+        { key: 'lowGain', label: 'Low Gain', min: -24, max: 24, step: 0.1, value: 0, unit: 'dB' },
+        { key: 'mid1Freq', label: 'Mid 1 Freq', min: 100, max: 8000, step: 1, value: 500, unit: 'Hz' },
+        { key: 'mid1Gain', label: 'Mid 1 Gain', min: -24, max: 24, step: 0.1, value: 0, unit: 'dB' },
+        { key: 'mid1Q', label: 'Mid 1 Q', min: 0.1, max: 18, step: 0.1, value: 1 },
+        { key: 'mid2Freq', label: 'Mid 2 Freq', min: 200, max: 16000, step: 1, value: 2500, unit: 'Hz' },
+        { key: 'mid2Gain', label: 'Mid 2 Gain', min: -24, max: 24, step: 0.1, value: 0, unit: 'dB' },
+        { key: 'mid2Q', label: 'Mid 2 Q', min: 0.1, max: 18, step: 0.1, value: 1 },
+        { key: 'highFreq', label: 'High Freq', min: 1000, max: 20000, step: 1, value: 8000, unit: 'Hz' },
+        { key: 'highGain', label: 'High Gain', min: -24, max: 24, step: 0.1, value: 0, unit: 'dB' }
+    ];
+
+    build(ctx) {
+        this.bands = {
+            low: ctx.createBiquadFilter(),
+            mid1: ctx.createBiquadFilter(),
+            mid2: ctx.createBiquadFilter(),
+            high: ctx.createBiquadFilter()
+        };
+        this.bands.low.type = 'lowshelf';
+        this.bands.mid1.type = 'peaking';
+        this.bands.mid2.type = 'peaking';
+        this.bands.high.type = 'highshelf';
+        const { low, mid1, mid2, high } = this.bands;
+        low.connect(mid1).connect(mid2).connect(high);
+        return { input: low, output: high };
+    }
+
+    apply(key, value) {
+        const [, band, prop] = key.match(/^(low|mid1|mid2|high)(Freq|Gain|Q)$/);
+        const filter = this.bands[band];
+        if (prop === 'Freq') filter.frequency.value = value;
+        else if (prop === 'Gain') filter.gain.value = value;
+        else filter.Q.value = value;
+    }
+
+    audioParams(key) {
+        const [, band, prop] = key.match(/^(low|mid1|mid2|high)(Freq|Gain|Q)$/);
+        const filter = this.bands[band];
+        const param = prop === 'Freq' ? filter.frequency : prop === 'Gain' ? filter.gain : filter.Q;
+        return [{ param, map: v => v }];
+    }
+}
+
+// Native DynamicsCompressor on its own signal. With a sidechain source selected the
+// gain reduction is keyed from that track instead: key -> |x| -> smoothing ->
+// threshold/ratio curve -> modulates a ducking gain.
+class CompressorEffect extends Effect {
+    static type = 'compressor';
+    static label = 'Compressor';
+    static params = [
+        { key: 'threshold', label: 'Threshold', min: -60, max: 0, step: 0.5, value: -24, unit: 'dB' },
+        { key: 'ratio', label: 'Ratio', min: 1, max: 20, step: 0.1, value: 4 },
+        { key: 'attack', label: 'Attack', min: 0.001, max: 1, step: 0.001, value: 0.003, unit: 's' },
+        { key: 'release', label: 'Release', min: 0.01, max: 1, step: 0.01, value: 0.25, unit: 's' },
+        { key: 'knee', label: 'Knee', min: 0, max: 40, step: 1, value: 30, unit: 'dB' },
+        { key: 'makeup', label: 'Makeup', min: 0, max: 24, step: 0.1, value: 0, unit: 'dB' },
+        { key: 'sidechain', label: 'Sidechain', kind: 'track', value: 0 }
+    ];
+
+    build(ctx) {
+        this.comp = ctx.createDynamicsCompressor();
+        this.makeup = ctx.createGain();
+        this.duck = ctx.createGain();
+        this.entry = ctx.createGain();
+        this.makeup.connect(this.duck);
+
+        // Key detector, only fed while a sidechain source is connected
+        this.rectifier = ctx.createWaveShaper();
+        this.rectifier.curve = new Float32Array([1, 0, 1]); // |x|
+        this.smoother = ctx.createBiquadFilter();
+        this.smoother.type = 'lowpass';
+        this.reduction = ctx.createWaveShaper();
+        this.rectifier.connect(this.smoother).connect(this.reduction).connect(this.duck.gain);
+        this.sidechainSource = null;
+        return { input: this.entry, output: this.duck };
+    }
+
+    apply(key, value) {
+        switch (key) {
+            case 'threshold': this.comp.threshold.value = value; break;
+            case 'ratio': this.comp.ratio.value = value; break;
+            case 'attack': this.comp.attack.value = value; break;
+            case 'release':
+                this.comp.release.value = value;
+                this.smoother.frequency.value = 1 / (2 * Math.PI * value);
+                break;
+            case 'knee': this.comp.knee.value = value; break;
+            case 'makeup': this.makeup.gain.value = Math.pow(10, value / 20); break;
+            case 'sidechain': this.connectSidechain(); break;
+        }
+        if (key === 'threshold' || key === 'ratio' || key === 'knee') this.updateReductionCurve();
+    }
+
+    // Sidechained, the signal skips the native compressor: threshold, ratio and knee live in
+    // the reduction curve (rebuilt on change, not automatable) and release sets the key smoothing
+    audioParams(key) {
+        if (key === 'makeup') return [{ param: this.makeup.gain, map: v => Math.pow(10, v / 20) }];
+        if (this.sidechainSource) {
+            if (key === 'release') return [{ param: this.smoother.frequency, map: v => 1 / (2 * Math.PI * v) }];
+            return [];
+        }
+        const direct = { threshold: 'threshold', ratio: 'ratio', attack: 'attack', release: 'release', knee: 'knee' };
+        return direct[key] ? [{ param: this.comp[direct[key]], map: v => v }] : [];
+    }
+
+    // The key smoother is a single lowpass, so it attacks as slowly as it releases
+    hidden(key) {
+        return key === 'attack' && !!this.sidechainSource;
+    }
+
+    inactive(key) {
+        const curve = ['threshold', 'ratio', 'attack', 'knee'];
+        return this.sidechainSource && curve.includes(key) ? 'while sidechained' : null;
+    }
+
+    // Maps key envelope (0..1) to a negative gain offset added to duck.gain (base 1). Like
+    // DynamicsCompressorNode, the knee eases into the ratio over `knee` dB above the threshold.
+    updateReductionCurve() {
+        const threshold = this.values.threshold ?? -24;
+        const ratio = this.values.ratio ?? 4;
+        const knee = this.values.knee ?? 30;
+        const slope = 1 - 1 / ratio;
+        const size = 1024;
+        const curve = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            const level = Math.abs(i / (size - 1) * 2 - 1);
+            const over = 20 * Math.log10(Math.max(level, 1e-5)) - threshold;
+            let reduction = 0;
+            if (over >= knee) reduction = slope * (over - knee / 2);
+            else if (over > 0) reduction = slope * over * over / (2 * knee);
+            curve[i] = Math.pow(10, -reduction / 20) - 1;
+        }
+        this.reduction.curve = curve;
+    }
+
+    connectSidechain() {
+        if (this.sidechainSource) {
+            try { this.sidechainSource.panNode.disconnect(this.rectifier); } catch (e) { /* not connected */ }
+            this.sidechainSource = null;
+        }
+        const source = this.values.sidechain ? this.graph.mixerTracks[this.values.sidechain] : null;
+        // Automation scheduled for the old path would keep playing (Automation.reset no longer
+        // sees those params): drop it and go back to the static values
+        ['threshold', 'ratio', 'attack', 'release', 'knee'].forEach(key => {
+            this.comp[key].cancelScheduledValues(0);
+            this.comp[key].value = this.values[key];
+        });
+        this.smoother.frequency.cancelScheduledValues(0);
+        this.smoother.frequency.value = 1 / (2 * Math.PI * this.values.release);
+        this.entry.disconnect();
+        if (source) {
+            source.panNode.connect(this.rectifier);
+            this.sidechainSource = source;
+            this.entry.connect(this.makeup);
+        } else {
+            this.entry.connect(this.comp).connect(this.makeup);
+        }
+    }
+
+    dispose() {
+        this.values.sidechain = 0;
+        this.connectSidechain();
+        super.dispose();
+    }
+}
+
+class DelayEffect extends Effect {
+    static type = 'delay';
+    static label = 'Delay';
+    static params = [
+        { key: 'time', label: 'Time', min: 0.01, max: 2, step: 0.01, value: 0.375, unit: 's' },
+        { key: 'feedback', label: 'Feedback', min: 0, max: 0.95, step: 0.01, value: 0.4 },
+        { key: 'tone', label: 'Tone', min: 500, max: 20000, step: 10, value: 6000, unit: 'Hz' },
+        { key: 'mix', label: 'Mix', min: 0, max: 1, step: 0.01, value: 0.3 }
+    ];
+
+    build(ctx) {
+        this.delay = ctx.createDelay(2);
+        this.feedback = ctx.createGain();
+        this.tone = ctx.createBiquadFilter();
+        this.tone.type = 'lowpass';
+        this.delay.connect(this.tone).connect(this.feedback).connect(this.delay);
+        return this.buildMix(ctx, this.delay, this.tone);
+    }
+
+    apply(key, value) {
+        switch (key) {
+            case 'time': this.delay.delayTime.value = value; break;
+            case 'feedback': this.feedback.gain.value = value; break;
+            case 'tone': this.tone.frequency.value = value; break;
+            case 'mix': this.setMix(value); break;
+        }
+    }
+
+    audioParams(key) {
+        switch (key) {
+            case 'time': return [{ param: this.delay.delayTime, map: v => v }];
+            case 'feedback': return [{ param: this.feedback.gain, map: v => v }];
+            case 'tone': return [{ param: this.tone.frequency, map: v => v }];
+            case 'mix': return this.mixParams();
+        }
+        return [];
+    }
+}
+
+// Convolution reverb; the impulse response is generated (seeded noise with an
+// exponential decay) so renders stay reproducible.
+class ReverbEffect extends Effect {
+    static type = 'reverb';
+    static label = 'Reverb';
+    static params = [
+        { key: 'size', label: 'Size', min: 0.2, max: 8, step: 0.1, value: 2, unit: 's' },
+        { key: 'decay', label: 'Decay', min: 0.5, max: 10, step: 0.1, value: 3 },
+        { key: 'predelay', label: 'Pre-delay', min: 0, max: 0.2, step: 0.001, value: 0.01, unit: 's' },
+        { key: 'damping', label: 'Damping', min: 500, max: 20000, step: 10, value: 8000, unit: 'Hz' },
+        { key: 'mix', label: 'Mix', min: 0, max: 1, step: 0.01, value: 0.25 }
+    ];
+
+    build(ctx) {
+        this.predelay = ctx.createDelay(1);
+        this.convolver = ctx.createConvolver();
+        this.damping = ctx.createBiquadFilter();
+        this.damping.type = 'lowpass';
+        this.predelay.connect(this.convolver).connect(this.damping);
+        return this.buildMix(ctx, this.predelay, this.damping);
+    }
+
+    apply(key, value) {
+        switch (key) {
+            case 'size':
+            case 'decay':
+                if (this.values.size !== undefined && this.values.decay !== undefined) this.generateImpulse();
+                break;
+            case 'predelay': this.predelay.delayTime.value = value; break;
+            case 'damping': this.damping.frequency.value = value; break;
+            case 'mix': this.setMix(value); break;
+        }
+    }
+
+    // Size and decay regenerate the impulse response and can't be automated
+    audioParams(key) {
+        switch (key) {
+            case 'predelay': return [{ param: this.predelay.delayTime, map: v => v }];
+            case 'damping': return [{ param: this.damping.frequency, map: v => v }];
+            case 'mix': return this.mixParams();
+        }
+        return [];
+    }
+
+    generateImpulse() {
+        const rate = this.ctx.sampleRate;
+        const length = Math.max(1, Math.floor(rate * this.values.size));
+        const impulse = this.ctx.createBuffer(2, length, rate);
+        const random = Utils.createRNG(0x5eed);
+        for (let c = 0; c < 2; c++) {
+            const data = impulse.getChannelData(c);
+            for (let i = 0; i < length; i++) {
+                data[i] = (random() * 2 - 1) * Math.pow(1 - i / length, this.values.decay);
+            }
+        }
+        this.convolver.buffer = impulse;
+    }
+}
+
+class DistortionEffect extends Effect {
+    static type = 'distortion';
+    static label = 'Distortion';
+    static params = [
+        { key: 'drive', label: 'Drive', min: 1, max: 100, step: 1, value: 20 },
+        { key: 'tone', label: 'Tone', min: 500, max: 20000, step: 10, value: 8000, unit: 'Hz' },
+        { key: 'output', label: 'Output', min: -24, max: 6, step: 0.1, value: -6, unit: 'dB' },
+        { key: 'mix', label: 'Mix', min: 0, max: 1, step: 0.01, value: 1 }
+    ];
+
+    build(ctx) {
+        this.shaper = ctx.createWaveShaper();
+        this.shaper.oversample = '4x';
+        this.tone = ctx.createBiquadFilter();
+        this.tone.type = 'lowpass';
+        this.level = ctx.createGain();
+        this.shaper.connect(this.tone).connect(this.level);
+        return this.buildMix(ctx, this.shaper, this.level);
+    }
+
+    apply(key, value) {
+        switch (key) {
+            case 'drive': {
+                const curve = new Float32Array(2048);
+                for (let i = 0; i < curve.length; i++) {
+                    const x = i / (curve.length - 1) * 2 - 1;
+                    curve[i] = Math.tanh(value * x) / Math.tanh(value);
+                }
+                this.shaper.curve = curve;
+                break;
+            }
+            case 'tone': this.tone.frequency.value = value; break;
+            case 'output': this.level.gain.value = Math.pow(10, value / 20); break;
+            case 'mix': this.setMix(value); break;
+        }
+    }
+
+    audioParams(key) {
+        switch (key) {
+            case 'tone': return [{ param: this.tone.frequency, map: v => v }];
+            case 'output': return [{ param: this.level.gain, map: v => Math.pow(10, v / 20) }];
+            case 'mix': return this.mixParams();
+        }
+        return [];
+    }
+}
+
+const Effects = {
+    types: {
+        eq: EQEffect,
+        compressor: CompressorEffect,
+        delay: DelayEffect,
+        reverb: ReverbEffect,
+        distortion: DistortionEffect
+    },
+
+    create(type, graph = DAW, data = {}) {
+        const EffectClass = this.types[type];
+        if (!EffectClass) throw new Error(`Unknown effect type: ${type}`);
+        return new EffectClass(graph, data);
+    }
+};
+
+export { Effect, EQEffect, CompressorEffect, DelayEffect, ReverbEffect, DistortionEffect, Effects };
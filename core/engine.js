@@ -0,0 +1,445 @@
+// AudioContext setup, mixer tracks and channels.
+
+import { DAW, Events } from './state.js';
+import { Sampler, Synth, DrumSynth } from './instruments.js';
+import { Arpeggiator } from './arpeggiator.js';
+import { Effects } from './effects.js';
+import { Patterns } from './song.js';
+import { SamplePool } from './samples.js';
+
+// --- AUDIO ENGINE ---
+
+class AudioEngine {
+    // Runs on any BaseAudioContext: pass an OfflineAudioContext to use the engine headless
+    // (Node with a Web Audio implementation, a worker); the page gets a live AudioContext.
+    static async init(ctx = null) {
+        if (!ctx) {
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            ctx = new AudioContext({ latencyHint: 'interactive' });
+        }
+        DAW.ctx = ctx;
+        
+        // Master Bus
+        DAW.masterGain = DAW.ctx.createGain();
+        DAW.masterGain.connect(DAW.ctx.destination);
+        
+        // Setup Mixer Tracks (0 = Master, 1-16 Inserts)
+        for(let i=0; i<=16; i++) {
+            const track = new MixerTrack(i);
+            DAW.mixerTracks.push(track);
+        }
+
+        // Initialize default pattern & channels
+        Patterns.select(Patterns.create('Pattern 1').id);
+        await this.createChannel('Kick', 'drum', 'kick');
+        await this.createChannel('Snare', 'drum', 'snare');
+        await this.createChannel('Hat', 'drum', 'closedhat');
+        await this.createChannel('Lead', 'synth', null);
+    }
+
+    // key: procedural sample for a sampler, model for a drum channel
+    static async createChannel(name, type, key) {
+        const channel = new Channel(Channel.nextId(), name, type);
+        if (type === 'sampler' && key) {
+            channel.setSample(SamplePool.addProcedural(key));
+        } else if (type === 'drum' && key) {
+            channel.drum = new DrumSynth({ model: key });
+        }
+        DAW.channels.push(channel);
+        Events.emit('channels');
+        return channel;
+    }
+
+    // Tear down the current mixer and build a fresh one (project load)
+    static resetMixer() {
+        DAW.mixerTracks.forEach(track => track.dispose());
+        DAW.mixerTracks = [];
+        for(let i=0; i<=16; i++) {
+            DAW.mixerTracks.push(new MixerTrack(i));
+        }
+    }
+}
+
+class MixerTrack {
+    // graph: any object shaped like DAW ({ ctx, masterGain, mixerTracks }),
+    // so the same chain can be built inside an OfflineAudioContext for export.
+    constructor(index, graph = DAW) {
+        const ctx = graph.ctx;
+        this.index = index;
+        this.graph = graph;
+        this.gainNode = ctx.createGain();
+        this.panNode = ctx.createStereoPanner();
+        this.muteNode = ctx.createGain();
+        this.analyser = ctx.createAnalyser();
+        this.analyser.fftSize = 32;
+        
+        // Chain: Input -> FX -> Gain -> Pan -> Mute -> Analyser -> Output track (or master)
+        //                                          \-> Sends (post-fader)
+        this.input = ctx.createGain();
+        this.input.connect(this.gainNode);
+        this.gainNode.connect(this.panNode);
+        this.panNode.connect(this.muteNode);
+        this.muteNode.connect(this.analyser);
+
+        // Meter taps: per-channel time-domain snapshots for peak / RMS (see Meters)
+        this.meterSplitter = ctx.createChannelSplitter(2);
+        this.meterTaps = [0, 1].map(c => {
+            const tap = ctx.createAnalyser();
+            tap.fftSize = 2048;
+            this.meterSplitter.connect(tap, c);
+            return tap;
+        });
+        this.muteNode.connect(this.meterSplitter);
+        
+        this.volume = 0.8;
+        this.pan = 0;
+        this.effects = [];
+        this.output = 0;     // target insert index; master (0) goes to the context
+        this.sends = [];     // [{ target, level, node }]
+        this.muted = false;
+        this.soloed = false;
+        this.soloMuted = false; // silenced because another track is soloed
+        this.armed = false;     // record arm
+        this.gainNode.gain.value = this.volume;
+        this.connectOutput();
+    }
+
+    // --- Routing ---
+
+    connectOutput() {
+        this.analyser.disconnect();
+        if (this.index === 0) {
+            this.analyser.connect(this.graph.masterGain); // Master to context
+            return;
+        }
+        const target = this.graph.mixerTracks[this.output];
+        this.analyser.connect(target ? target.input : this.graph.masterGain);
+    }
+
+    // Returns false (and changes nothing) if the route would create a loop
+    setOutput(target) {
+        if (this.index === 0) return false;
+        if (target !== 0 && MixerTrack.reaches(target, this.index, this.graph)) return false;
+        this.output = target;
+        this.connectOutput();
+        return true;
+    }
+
+    addSend(target, level = 0.5) {
+        if (target === this.index || this.sends.some(snd => snd.target === target)) return false;
+        if (MixerTrack.reaches(target, this.index, this.graph)) return false;
+        const send = { target, level, node: this.graph.ctx.createGain() };
+        send.node.gain.value = level;
+        this.muteNode.connect(send.node);
+        this.sends.push(send);
+        this.connectSend(send);
+        return true;
+    }
+
+    connectSend(send) {
+        send.node.disconnect();
+        const target = this.graph.mixerTracks[send.target];
+        if (target) send.node.connect(target.input);
+    }
+
+    setSendLevel(index, level) {
+        const send = this.sends[index];
+        if (!send) return;
+        send.level = level;
+        send.node.gain.value = level;
+    }
+
+    removeSend(index) {
+        const [send] = this.sends.splice(index, 1);
+        if (!send) return;
+        this.muteNode.disconnect(send.node);
+        send.node.disconnect();
+    }
+
+    // Tracks this one feeds directly: output, sends, and tracks keyed from it via sidechain
+    destinations() {
+        const out = this.sends.map(snd => snd.target);
+        if (this.index > 0) out.push(this.output);
+        this.graph.mixerTracks.forEach(t => {
+            if (t.effects.some(fx => fx.values.sidechain === this.index)) out.push(t.index);
+        });
+        return out;
+    }
+
+    // True if audio from track `from` can reach track `to`
+    static reaches(from, to, graph = DAW) {
+        const seen = new Set();
+        const stack = [from];
+        while (stack.length) {
+            const i = stack.pop();
+            if (i === to) return true;
+            if (seen.has(i) || !graph.mixerTracks[i]) continue;
+            seen.add(i);
+            stack.push(...graph.mixerTracks[i].destinations());
+        }
+        return false;
+    }
+
+    setMute(muted) {
+        this.muted = muted;
+        this.updateMuteGain();
+    }
+
+    setSolo(soloed) {
+        this.soloed = soloed;
+        MixerTrack.updateSolo(this.graph);
+    }
+
+    updateMuteGain() {
+        this.muteNode.gain.value = (this.muted || this.soloMuted) ? 0 : 1;
+    }
+
+    // Soloing keeps the soloed tracks, everything they feed and everything that
+    // feeds them audible. Master is never solo-muted.
+    static updateSolo(graph = DAW) {
+        const soloed = graph.mixerTracks.filter(t => t.soloed && t.index > 0);
+        graph.mixerTracks.forEach(t => {
+            const audible = t.index === 0 || soloed.some(s =>
+                MixerTrack.reaches(s.index, t.index, graph) || MixerTrack.reaches(t.index, s.index, graph));
+            t.soloMuted = soloed.length > 0 && !audible;
+            t.updateMuteGain();
+        });
+    }
+
+    setVolume(val) { this.gainNode.gain.value = val; this.volume = val; }
+    setPan(val) { this.panNode.pan.value = val; this.pan = val; }
+
+    // --- Insert effects ---
+
+    addEffect(type, data) {
+        const fx = Effects.create(type, this.graph, data);
+        this.effects.push(fx);
+        this.rebuildChain();
+        return fx;
+    }
+
+    removeEffect(index) {
+        const [fx] = this.effects.splice(index, 1);
+        if (fx) fx.dispose();
+        this.rebuildChain();
+    }
+
+    moveEffect(from, to) {
+        if (to < 0 || to >= this.effects.length) return;
+        const [fx] = this.effects.splice(from, 1);
+        this.effects.splice(to, 0, fx);
+        this.rebuildChain();
+    }
+
+    // Input -> fx[0] -> fx[1] -> ... -> Gain
+    rebuildChain() {
+        this.input.disconnect();
+        this.effects.forEach(fx => fx.output.disconnect());
+        let node = this.input;
+        this.effects.forEach(fx => {
+            node.connect(fx.input);
+            node = fx.output;
+        });
+        node.connect(this.gainNode);
+    }
+
+    dispose() {
+        this.analyser.disconnect();
+        this.meterSplitter.disconnect();
+        this.sends.forEach(snd => snd.node.disconnect());
+        this.effects.forEach(fx => fx.dispose());
+    }
+
+    serialize() {
+        return {
+            volume: this.volume,
+            pan: this.pan,
+            output: this.output,
+            sends: this.sends.map(snd => ({ target: snd.target, level: snd.level })),
+            muted: this.muted,
+            soloed: this.soloed,
+            armed: this.armed,
+            effects: this.effects.map(fx => fx.serialize())
+        };
+    }
+
+    // Outputs, sends and sidechain taps reference other tracks, so call
+    // MixerTrack.link() once the whole mixer exists.
+    load(data) {
+        this.setVolume(data.volume ?? 0.8);
+        this.setPan(data.pan ?? 0);
+        this.output = data.output ?? 0;
+        this.sends.forEach(snd => snd.node.disconnect());
+        this.sends = (data.sends || []).map(snd => {
+            const node = this.graph.ctx.createGain();
+            node.gain.value = snd.level;
+            this.muteNode.connect(node);
+            return { target: snd.target, level: snd.level, node };
+        });
+        this.muted = !!data.muted;
+        this.soloed = !!data.soloed;
+        this.armed = !!data.armed;
+        this.effects.forEach(fx => fx.dispose());
+        this.effects = (data.effects || [])
+            .filter(fx => Effects.types[fx.type])
+            .map(fx => Effects.create(fx.type, this.graph, fx));
+        this.rebuildChain();
+    }
+
+    static link(graph = DAW) {
+        graph.mixerTracks.forEach(track => {
+            track.connectOutput();
+            track.sends.forEach(snd => track.connectSend(snd));
+            track.effects.forEach(fx => fx.connectSidechain());
+        });
+        MixerTrack.updateSolo(graph);
+    }
+
+    // Mirror another track's settings (used when rebuilding the mixer offline)
+    copySettingsFrom(track) {
+        this.load(track.serialize());
+    }
+}
+
+class Channel {
+    static HOLD = 600; // seconds a live note is scheduled for before its note-off arrives
+    static idCounter = 0; // next free id, saved with the project
+
+    constructor(id, name, type) {
+        this.id = id;
+        // Loaded ids keep theirs; keep new ones clear of them
+        Channel.idCounter = Math.max(Channel.idCounter, id + 1);
+        this.name = name;
+        this.type = type; // 'synth', 'sampler' or 'drum'
+        this.buffer = null;
+        this.sampleId = null; // SamplePool reference, used by project save/load
+        this.volume = 0.8;
+        this.pan = 0;
+        this.pitch = 0; // semitones
+        this.swing = 0; // added to the global swing
+        this.targetMixerTrack = (id % 16) + 1; // Auto route
+        this.muted = false;
+        this.soloed = false;
+        this.color = null;  // rack accent, CSS color
+        this.group = '';    // rack filter group, '' = none
+        this.synth = type === 'synth' ? new Synth() : null;
+        this.sampler = type === 'sampler' ? new Sampler() : null;
+        this.drum = type === 'drum' ? new DrumSynth() : null;
+        this.arp = Arpeggiator.defaults();
+    }
+
+    // Ids key pattern data, automation and MIDI-learn targets, so they are never reused:
+    // deleting the newest channel does not free its id
+    static nextId() {
+        return Channel.idCounter++;
+    }
+
+    // Muted channels are skipped by the sequencer; any solo silences the unsoloed ones
+    get audible() {
+        return !this.muted && (this.soloed || !DAW.channels.some(ch => ch.soloed));
+    }
+
+    // Step / note data lives in the active pattern (see Patterns)
+    get steps() { return Patterns.dataFor(this.id).steps; }
+    set steps(val) { Patterns.dataFor(this.id).steps = val; }
+
+    // { start, duration, pitch, velocity }
+    get pianoRollNotes() { return Patterns.dataFor(this.id).notes; }
+    set pianoRollNotes(val) { Patterns.dataFor(this.id).notes = val; }
+
+    setSample(sample) {
+        this.sampleId = sample ? sample.id : null;
+        this.buffer = sample ? sample.buffer : null;
+    }
+
+    serialize() {
+        return {
+            id: this.id,
+            name: this.name,
+            type: this.type,
+            sampleId: this.sampleId,
+            volume: this.volume,
+            pan: this.pan,
+            pitch: this.pitch,
+            swing: this.swing,
+            targetMixerTrack: this.targetMixerTrack,
+            muted: this.muted,
+            soloed: this.soloed,
+            color: this.color,
+            group: this.group,
+            synth: this.synth ? this.synth.serialize() : null,
+            sampler: this.sampler ? this.sampler.serialize() : null,
+            drum: this.drum ? this.drum.serialize() : null,
+            arp: { ...this.arp }
+        };
+    }
+
+    static deserialize(data) {
+        const ch = new Channel(data.id, data.name, data.type);
+        ch.setSample(SamplePool.get(data.sampleId));
+        ch.volume = data.volume;
+        ch.pan = data.pan;
+        ch.pitch = data.pitch;
+        ch.swing = data.swing || 0;
+        ch.targetMixerTrack = data.targetMixerTrack;
+        ch.muted = !!data.muted;
+        ch.soloed = !!data.soloed;
+        ch.color = data.color || null;
+        ch.group = data.group || '';
+        if (data.synth) ch.synth = new Synth(data.synth);
+        if (data.sampler) ch.sampler = new Sampler(data.sampler);
+        if (data.drum) ch.drum = new DrumSynth(data.drum);
+        ch.arp = { ...Arpeggiator.defaults(), ...data.arp };
+        return ch;
+    }
+
+    // decay scales drum hits (per-step tweak)
+    playNote(time, duration, pitch = 60, velocity = 1.0, graph = DAW, pan = 0, decay = 1) {
+        let voice = null;
+        if (this.type === 'sampler' && this.buffer) {
+            voice = this.sampler.play(this.buffer, time, duration, pitch + this.pitch, this.volume * velocity, graph);
+        } else if (this.type === 'synth') {
+            voice = this.synth.play(time, duration, pitch + this.pitch, this.volume * velocity, graph);
+        } else if (this.type === 'drum') {
+            voice = this.drum.play(time, pitch + this.pitch, this.volume * velocity, graph, decay);
+        }
+        // Legato hands back the held voice, which is already connected
+        if (voice && !voice.connected) this.connectVoice(voice, Math.max(-1, Math.min(1, this.pan + pan)), graph);
+        return voice || null;
+    }
+
+    // Voice output -> (pan) -> mixer insert. Channel pan plus per-step pan gets a panner
+    // of its own, dropped when the voice's sources end (release, choke or steal).
+    connectVoice(voice, pan, graph) {
+        const track = graph.mixerTracks[this.targetMixerTrack];
+        const dest = track ? track.input : graph.masterGain;
+        voice.connected = true;
+        if (!pan) {
+            voice.output.connect(dest);
+            return;
+        }
+        const panner = graph.ctx.createStereoPanner();
+        panner.pan.value = pan;
+        voice.output.connect(panner).connect(dest);
+        (voice.src || voice.pitchCv).addEventListener('ended', () => panner.disconnect());
+    }
+
+    // Live note (MIDI / computer keyboard): rings until releaseNote() is called with the returned voice
+    noteOn(pitch, velocity = 1.0, graph = DAW) {
+        return this.playNote(graph.ctx.currentTime, Channel.HOLD, pitch, velocity, graph);
+    }
+
+    releaseNote(voice, time = DAW.ctx.currentTime) {
+        if (!voice) return;
+        if (this.type === 'synth') this.synth.release(voice, time);
+        else if (this.sampler) this.sampler.release(voice, time);
+    }
+
+    // Pitch bend in cents for everything this channel plays in the graph
+    bend(cents, graph = DAW) {
+        const engine = { synth: this.synth, sampler: this.sampler, drum: this.drum }[this.type];
+        if (engine) engine.modulation(graph).pitch.offset.setTargetAtTime(cents, graph.ctx.currentTime, 0.005);
+    }
+}
+
+export { AudioEngine, MixerTrack, Channel };
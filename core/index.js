@@ -0,0 +1,13 @@
+// Headless entry point: the engine without the UI (see README item 14 in script.js).
+
+export { DAW, Events } from './state.js';
+export { Utils } from './utils.js';
+export { AudioEngine, MixerTrack, Channel } from './engine.js';
+export { Sampler, Synth, DrumSynth } from './instruments.js';
+export { Scales, Arpeggiator } from './arpeggiator.js';
+export { Effect, EQEffect, CompressorEffect, DelayEffect, ReverbEffect, DistortionEffect, Effects } from './effects.js';
+export { Sequencer } from './sequencer.js';
+export { Transport } from './transport.js';
+export { Patterns, Song } from './song.js';
+export { Automation } from './automation.js';
+export { ProceduralAudio, SamplePool } from './samples.js';
@@ -0,0 +1,682 @@
+// Sound sources behind the channel types: sampler, synth and drum synth.
+
+import { Utils } from './utils.js';
+
+// --- INSTRUMENTS ---
+
+// Sample playback for 'sampler' channels: region (start/end), loop (forward or
+// ping-pong), root note + fine tune, reverse, amp ADSR and choke groups.
+// Positions are fractions of the buffer so they survive replacing the sample.
+class Sampler {
+    static defaults() {
+        return {
+            start: 0,
+            end: 1,
+            loopMode: 'off',    // 'off' | 'forward' | 'pingpong'
+            loopStart: 0,
+            loopEnd: 1,
+            rootNote: 60,
+            fineTune: 0,        // cents
+            reverse: false,
+            oneShot: true,      // play to the end of the region instead of following note length
+            ampEnv: { attack: 0.001, decay: 0.1, sustain: 1, release: 0.05 },
+            chokeGroup: 0       // 0 = none
+        };
+    }
+
+    static derived = new WeakMap();    // buffer -> Map(key -> reversed / ping-pong buffer)
+    static chokeVoices = new WeakMap(); // graph -> Map(group -> [voice])
+
+    constructor(params = {}) {
+        this.params = Synth.merge(Sampler.defaults(), params);
+        this.mod = new WeakMap(); // graph -> { pitch } bend CV in cents
+    }
+
+    modulation(graph) {
+        if (!this.mod.has(graph)) {
+            const pitch = graph.ctx.createConstantSource();
+            pitch.offset.value = 0;
+            pitch.start();
+            this.mod.set(graph, { pitch });
+        }
+        return this.mod.get(graph);
+    }
+
+    serialize() {
+        return JSON.parse(JSON.stringify(this.params));
+    }
+
+    // Returns the voice (undefined for an empty region); the channel connects voice.output
+    play(buffer, time, duration, pitch, level, graph) {
+        const p = this.params;
+        const ctx = graph.ctx;
+        const len = buffer.duration;
+        const rate = Math.pow(2, (pitch - p.rootNote + p.fineTune / 100) / 12);
+        const looping = p.loopMode !== 'off';
+
+        // Region in seconds; reverse mirrors everything onto the reversed buffer
+        let start = Math.min(p.start, p.end) * len;
+        let end = Math.max(p.start, p.end) * len;
+        let loopStart = Math.max(start, Math.min(p.loopStart, p.loopEnd) * len);
+        let loopEnd = Math.min(end, Math.max(p.loopStart, p.loopEnd) * len);
+        if (p.reverse) {
+            [start, end] = [len - end, len - start];
+            [loopStart, loopEnd] = [len - loopEnd, len - loopStart];
+        }
+        if (end - start < 0.001) return;
+
+        const src = ctx.createBufferSource();
+        src.buffer = this.playbackBuffer(buffer, loopStart, loopEnd);
+        src.playbackRate.value = rate;
+        const mod = this.modulation(graph);
+        mod.pitch.connect(src.detune);
+        src.onended = () => mod.pitch.disconnect(src.detune);
+        if (looping && loopEnd - loopStart > 0.001) {
+            src.loop = true;
+            src.loopStart = loopStart;
+            // Ping-pong buffers carry the reversed loop segment right after loopEnd
+            src.loopEnd = p.loopMode === 'pingpong' ? loopEnd + (loopEnd - loopStart) : loopEnd;
+        }
+
+        // Looped notes always follow note length; one-shots run to the region end
+        const regionTime = (end - start) / rate;
+        const noteEnd = src.loop ? time + duration : time + (p.oneShot ? regionTime : Math.min(duration, regionTime));
+        const gain = ctx.createGain();
+        gain.gain.value = 0;
+        Utils.envelope(gain.gain, time, noteEnd, p.ampEnv, 0, level);
+        src.connect(gain);
+
+        this.choke(graph, time);
+        if (src.loop) src.start(time, start);
+        else src.start(time, start, end - start);
+        const stopAt = noteEnd + Math.max(0.001, p.ampEnv.release);
+        src.stop(stopAt);
+
+        // held: follows note-off (one-shots run to the region end regardless)
+        const voice = { src, gain, output: gain, noteEnd, end: stopAt, held: src.loop || !p.oneShot };
+        if (p.chokeGroup) {
+            const groups = Sampler.chokeVoices.get(graph) || new Map();
+            Sampler.chokeVoices.set(graph, groups);
+            const voices = (groups.get(p.chokeGroup) || []).filter(v => v.end > time);
+            voices.push(voice);
+            groups.set(p.chokeGroup, voices);
+        }
+        return voice;
+    }
+
+    // Note-off for live notes
+    release(voice, time) {
+        if (!voice.held || voice.noteEnd <= time) return;
+        const release = Math.max(0.001, this.params.ampEnv.release);
+        Utils.holdParam(voice.gain.gain, time);
+        voice.gain.gain.setTargetAtTime(0, time, release / 5);
+        voice.noteEnd = time;
+        voice.end = time + release;
+        voice.src.stop(voice.end);
+    }
+
+    // A new hit cuts every voice still sounding in the same choke group
+    choke(graph, time) {
+        const group = this.params.chokeGroup;
+        const groups = Sampler.chokeVoices.get(graph);
+        if (!group || !groups || !groups.get(group)) return;
+        groups.get(group).forEach(v => {
+            if (v.end <= time) return;
+            Utils.holdParam(v.gain.gain, time);
+            v.gain.gain.setTargetAtTime(0, time, 0.004);
+            v.end = time + 0.03;
+            v.src.stop(v.end);
+        });
+        groups.set(group, []);
+    }
+
+    // Reversed and/or ping-pong version of the buffer, cached per setting
+    playbackBuffer(buffer, loopStart, loopEnd) {
+        const p = this.params;
+        const pingpong = p.loopMode === 'pingpong';
+        if (!p.reverse && !pingpong) return buffer;
+
+        const key = `${p.reverse}:${pingpong ? `${loopStart}:${loopEnd}` : ''}`;
+        const cache = Sampler.derived.get(buffer) || new Map();
+        Sampler.derived.set(buffer, cache);
+        if (cache.has(key)) return cache.get(key);
+
+        const rate = buffer.sampleRate;
+        const ls = Math.floor(loopStart * rate);
+        const le = Math.floor(loopEnd * rate);
+        const extra = pingpong ? le - ls : 0;
+        // Built with the AudioBuffer constructor so it works for any context
+        const out = new AudioBuffer({ numberOfChannels: buffer.numberOfChannels, length: buffer.length + extra, sampleRate: rate });
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            const src = buffer.getChannelData(c);
+            const data = new Float32Array(buffer.length + extra);
+            for (let i = 0; i < buffer.length; i++) data[i] = p.reverse ? src[buffer.length - 1 - i] : src[i];
+            if (pingpong) {
+                // [0..loopEnd] [loopEnd..loopStart backwards] [rest]
+                const tail = data.slice(le, buffer.length);
+                for (let i = 0; i < extra; i++) data[le + i] = data[le - 1 - i];
+                data.set(tail, le + extra);
+            }
+            out.copyToChannel(data, c);
+        }
+        cache.set(key, out);
+        return out;
+    }
+}
+
+// Subtractive synth for 'synth' channels.
+// Per voice: oscillators (+unison) & noise -> filter -> amp env -> tremolo -> level (voice.output).
+// Pitch runs through a ConstantSource (cents from C4) feeding every oscillator's detune,
+// so glide and pitch LFOs are one automation each. The filter envelope drives filter.detune.
+class Synth {
+    static defaults() {
+        return {
+            preset: 'Init',
+            oscillators: [
+                { enabled: true, wave: 'sawtooth', octave: 0, semi: 0, detune: 0, level: 0.8, unison: 1, spread: 15 },
+                { enabled: false, wave: 'square', octave: 0, semi: 0, detune: 7, level: 0.5, unison: 1, spread: 15 },
+                { enabled: false, wave: 'sine', octave: -1, semi: 0, detune: 0, level: 0.5, unison: 1, spread: 15 }
+            ],
+            noise: 0,
+            filter: { type: 'lowpass', cutoff: 20000, resonance: 0.7, keyTrack: 0, envAmount: 0 },
+            filterEnv: { attack: 0.01, decay: 0.3, sustain: 0.5, release: 0.3 },
+            ampEnv: { attack: 0.01, decay: 0.1, sustain: 0.5, release: 0.2 },
+            lfos: [
+                { wave: 'sine', rate: 5, depth: 0, target: 'pitch' },
+                { wave: 'triangle', rate: 0.5, depth: 0, target: 'filter' }
+            ],
+            glide: 0,       // seconds (mono / legato)
+            mode: 'poly',   // 'poly' | 'mono' | 'legato'
+            voices: 8       // poly voice limit
+        };
+    }
+
+    static presets = {
+        'Init': {},
+        'Sub Bass': {
+            mode: 'mono', glide: 0.04,
+            oscillators: [
+                { enabled: true, wave: 'sine', octave: -1, semi: 0, detune: 0, level: 0.9, unison: 1, spread: 0 },
+                { enabled: true, wave: 'square', octave: -1, semi: 0, detune: 0, level: 0.25, unison: 1, spread: 0 },
+                { enabled: false, wave: 'sine', octave: -2, semi: 0, detune: 0, level: 0.5, unison: 1, spread: 0 }
+            ],
+            filter: { type: 'lowpass', cutoff: 400, resonance: 2, keyTrack: 0.5, envAmount: 1.5 },
+            filterEnv: { attack: 0.005, decay: 0.25, sustain: 0.2, release: 0.1 },
+            ampEnv: { attack: 0.005, decay: 0.2, sustain: 0.8, release: 0.08 }
+        },
+        'Supersaw Lead': {
+            mode: 'legato', glide: 0.08,
+            oscillators: [
+                { enabled: true, wave: 'sawtooth', octave: 0, semi: 0, detune: 0, level: 0.7, unison: 5, spread: 25 },
+                { enabled: true, wave: 'sawtooth', octave: 1, semi: 0, detune: 5, level: 0.3, unison: 3, spread: 20 },
+                { enabled: false, wave: 'sine', octave: -1, semi: 0, detune: 0, level: 0.5, unison: 1, spread: 0 }
+            ],
+            filter: { type: 'lowpass', cutoff: 3500, resonance: 3, keyTrack: 0.3, envAmount: 1 },
+            lfos: [
+                { wave: 'sine', rate: 5.5, depth: 0.15, target: 'pitch' },
+                { wave: 'triangle', rate: 0.5, depth: 0, target: 'filter' }
+            ]
+        },
+        'Soft Pad': {
+            oscillators: [
+                { enabled: true, wave: 'triangle', octave: 0, semi: 0, detune: 0, level: 0.6, unison: 3, spread: 12 },
+                { enabled: true, wave: 'sawtooth', octave: 0, semi: 7, detune: -4, level: 0.25, unison: 3, spread: 18 },
+                { enabled: false, wave: 'sine', octave: -1, semi: 0, detune: 0, level: 0.5, unison: 1, spread: 0 }
+            ],
+            filter: { type: 'lowpass', cutoff: 1400, resonance: 1, keyTrack: 0, envAmount: 0.5 },
+            filterEnv: { attack: 0.8, decay: 1, sustain: 0.6, release: 1.2 },
+            ampEnv: { attack: 0.6, decay: 0.5, sustain: 0.8, release: 1.5 },
+            lfos: [
+                { wave: 'sine', rate: 5, depth: 0, target: 'pitch' },
+                { wave: 'sine', rate: 0.3, depth: 0.8, target: 'filter' }
+            ]
+        },
+        'Pluck': {
+            oscillators: [
+                { enabled: true, wave: 'square', octave: 0, semi: 0, detune: 0, level: 0.7, unison: 1, spread: 0 },
+                { enabled: true, wave: 'sawtooth', octave: 1, semi: 0, detune: 3, level: 0.3, unison: 1, spread: 0 },
+                { enabled: false, wave: 'sine', octave: -1, semi: 0, detune: 0, level: 0.5, unison: 1, spread: 0 }
+            ],
+            noise: 0.05,
+            filter: { type: 'lowpass', cutoff: 700, resonance: 4, keyTrack: 0.5, envAmount: 3 },
+            filterEnv: { attack: 0.001, decay: 0.2, sustain: 0, release: 0.2 },
+            ampEnv: { attack: 0.001, decay: 0.35, sustain: 0, release: 0.3 }
+        }
+    };
+
+    static noiseBuffers = new WeakMap(); // ctx -> looping white noise
+
+    constructor(params = {}) {
+        this.params = Synth.merge(Synth.defaults(), params);
+        this.voices = new WeakMap();    // graph -> [voice], live and offline renders stay separate
+        this.lastPitch = new WeakMap(); // graph -> pitch, for glide
+        this.mod = new WeakMap();       // graph -> automation CVs shared by all voices
+    }
+
+    // Channel-wide CVs for automation and pitch bend: cutoff and pitch offsets in cents,
+    // resonance offset in Q
+    modulation(graph) {
+        if (!this.mod.has(graph)) {
+            const ctx = graph.ctx;
+            const mod = { cutoff: ctx.createConstantSource(), resonance: ctx.createConstantSource(), pitch: ctx.createConstantSource() };
+            Object.values(mod).forEach(src => {
+                src.offset.value = 0;
+                src.start();
+            });
+            this.mod.set(graph, mod);
+        }
+        return this.mod.get(graph);
+    }
+
+    // Deep merge of plain objects/arrays (preset and saved data over defaults)
+    static merge(base, over) {
+        if (Array.isArray(base)) {
+            return base.map((item, i) => over && over[i] !== undefined ? Synth.merge(item, over[i]) : item);
+        }
+        if (base && typeof base === 'object') {
+            const out = { ...base };
+            Object.keys(over || {}).forEach(k => {
+                out[k] = k in base ? Synth.merge(base[k], over[k]) : over[k];
+            });
+            return out;
+        }
+        return over === undefined ? base : over;
+    }
+
+    loadPreset(name, params) {
+        this.params = Synth.merge(Synth.defaults(), params || Synth.presets[name] || {});
+        this.params.preset = name;
+    }
+
+    serialize() {
+        return JSON.parse(JSON.stringify(this.params));
+    }
+
+    // A new voice for the channel to connect, or in legato the held one (already connected)
+    play(time, duration, pitch, level, graph) {
+        const p = this.params;
+        const voices = (this.voices.get(graph) || []).filter(v => v.end > time);
+        this.voices.set(graph, voices);
+        const lastPitch = this.lastPitch.has(graph) ? this.lastPitch.get(graph) : pitch;
+        this.lastPitch.set(graph, pitch);
+        const noteEnd = time + duration;
+
+        if (p.mode !== 'poly') {
+            const held = voices.find(v => v.noteEnd > time && !v.stolen);
+            if (p.mode === 'legato' && held) {
+                this.legato(held, time, noteEnd, pitch);
+                return held;
+            }
+            voices.forEach(v => this.steal(v, time));
+        } else {
+            const live = voices.filter(v => !v.stolen).sort((a, b) => a.start - b.start);
+            while (live.length >= Math.max(1, p.voices)) this.steal(live.shift(), time);
+        }
+
+        const glideFrom = p.mode !== 'poly' && p.glide > 0 ? lastPitch : pitch;
+        const voice = this.createVoice(graph.ctx, time, noteEnd, pitch, glideFrom, level, this.modulation(graph));
+        voices.push(voice);
+        return voice;
+    }
+
+    createVoice(ctx, time, noteEnd, pitch, glideFrom, level, mod) {
+        const p = this.params;
+        const voice = { pitch, start: time, noteEnd, end: noteEnd + p.ampEnv.release, sources: [], oscs: [], stolen: false };
+
+        // Pitch CV in cents relative to C4
+        voice.pitchCv = ctx.createConstantSource();
+        voice.pitchCv.offset.setValueAtTime((glideFrom - 60) * 100, time);
+        if (glideFrom !== pitch) voice.pitchCv.offset.linearRampToValueAtTime((pitch - 60) * 100, time + p.glide);
+        voice.sources.push(voice.pitchCv);
+
+        const mix = ctx.createGain();
+        voice.filter = ctx.createBiquadFilter();
+        voice.filter.type = p.filter.type;
+        voice.filter.frequency.value = Math.min(20000, p.filter.cutoff * Math.pow(2, p.filter.keyTrack * (pitch - 60) / 12));
+        voice.filter.Q.value = p.filter.resonance;
+        voice.filterCv = ctx.createConstantSource();
+        voice.filterCv.connect(voice.filter.detune);
+        voice.sources.push(voice.filterCv);
+        mod.cutoff.connect(voice.filter.detune);
+        mod.resonance.connect(voice.filter.Q);
+        // The shared CVs would otherwise keep finished voices alive
+        voice.pitchCv.onended = () => {
+            mod.cutoff.disconnect(voice.filter.detune);
+            mod.resonance.disconnect(voice.filter.Q);
+            voice.oscs.forEach(osc => mod.pitch.disconnect(osc.detune));
+        };
+
+        voice.amp = ctx.createGain();
+        voice.amp.gain.value = 0;
+        const tremolo = ctx.createGain();
+        const out = ctx.createGain();
+        out.gain.value = level;
+        voice.output = out;
+        mix.connect(voice.filter).connect(voice.amp).connect(tremolo).connect(out);
+
+        // Oscillators with unison spread
+        p.oscillators.filter(o => o.enabled && o.level > 0).forEach(o => {
+            const count = Math.max(1, Math.round(o.unison));
+            const oscGain = ctx.createGain();
+            oscGain.gain.value = o.level / Math.sqrt(count);
+            oscGain.connect(mix);
+            for (let u = 0; u < count; u++) {
+                const osc = ctx.createOscillator();
+                osc.type = o.wave;
+                osc.frequency.value = 261.6256 * Math.pow(2, o.octave + o.semi / 12);
+                const spread = count > 1 ? (u / (count - 1) - 0.5) * 2 * o.spread : 0;
+                osc.detune.value = o.detune + spread;
+                voice.pitchCv.connect(osc.detune);
+                mod.pitch.connect(osc.detune);
+                osc.connect(oscGain);
+                voice.sources.push(osc);
+                voice.oscs.push(osc);
+            }
+        });
+
+        if (p.noise > 0) {
+            const noise = ctx.createBufferSource();
+            noise.buffer = Synth.noiseBuffer(ctx);
+            noise.loop = true;
+            const noiseGain = ctx.createGain();
+            noiseGain.gain.value = p.noise;
+            noise.connect(noiseGain).connect(mix);
+            voice.sources.push(noise);
+        }
+
+        // LFOs
+        p.lfos.forEach(l => {
+            if (!l.depth || l.target === 'none') return;
+            const lfo = ctx.createOscillator();
+            lfo.type = l.wave;
+            lfo.frequency.value = l.rate;
+            const depth = ctx.createGain();
+            lfo.connect(depth);
+            if (l.target === 'pitch') {
+                depth.gain.value = l.depth * 100;   // semitones -> cents
+                depth.connect(voice.pitchCv.offset);
+            } else if (l.target === 'filter') {
+                depth.gain.value = l.depth * 1200;  // octaves -> cents
+                depth.connect(voice.filterCv.offset);
+            } else if (l.target === 'amp') {
+                tremolo.gain.value = 1 - l.depth / 2;
+                depth.gain.value = l.depth / 2;
+                depth.connect(tremolo.gain);
+            }
+            voice.sources.push(lfo);
+        });
+
+        Utils.envelope(voice.amp.gain, time, noteEnd, p.ampEnv, 0, 1);
+        Utils.envelope(voice.filterCv.offset, time, noteEnd, p.filterEnv, 0, p.filter.envAmount * 1200);
+
+        voice.sources.forEach(src => {
+            src.start(time);
+            src.stop(voice.end + 0.05);
+        });
+        return voice;
+    }
+
+    // Note-off for live notes (started with a long duration)
+    release(voice, time) {
+        if (voice.stolen || voice.noteEnd <= time) return;
+        const p = this.params;
+        [[voice.amp.gain, p.ampEnv], [voice.filterCv.offset, p.filterEnv]].forEach(([param, env]) => {
+            Utils.holdParam(param, time);
+            param.setTargetAtTime(0, time, Math.max(0.001, env.release) / 5);
+        });
+        voice.noteEnd = time;
+        voice.end = time + p.ampEnv.release;
+        voice.sources.forEach(src => src.stop(voice.end + 0.05));
+    }
+
+    // Fast fade so a new voice can take over
+    steal(voice, time) {
+        if (voice.stolen) return;
+        voice.stolen = true;
+        Utils.holdParam(voice.amp.gain, time);
+        voice.amp.gain.setTargetAtTime(0, time, 0.004);
+        voice.end = Math.min(voice.end, time + 0.03);
+        voice.sources.forEach(src => src.stop(voice.end + 0.01));
+    }
+
+    // Legato: keep the envelopes running, glide to the new pitch and move the release
+    legato(voice, time, noteEnd, pitch) {
+        const p = this.params;
+        const glide = Math.max(0.001, p.glide);
+        Utils.holdParam(voice.pitchCv.offset, time);
+        voice.pitchCv.offset.linearRampToValueAtTime((pitch - 60) * 100, time + glide);
+
+        [[voice.amp.gain, p.ampEnv, 1], [voice.filterCv.offset, p.filterEnv, p.filter.envAmount * 1200]].forEach(([param, env, peak]) => {
+            const sus = peak * env.sustain;
+            Utils.holdParam(param, time);
+            param.linearRampToValueAtTime(sus, time + Math.max(0.001, env.decay));
+            param.setValueAtTime(sus, Math.max(noteEnd, time + Math.max(0.001, env.decay)));
+            param.setTargetAtTime(0, noteEnd, Math.max(0.001, env.release) / 5);
+        });
+
+        voice.pitch = pitch;
+        voice.noteEnd = noteEnd;
+        voice.end = noteEnd + p.ampEnv.release;
+        voice.sources.forEach(src => src.stop(voice.end + 0.05));
+    }
+
+    static noiseBuffer(ctx) {
+        if (!Synth.noiseBuffers.has(ctx)) {
+            const buffer = ctx.createBuffer(1, ctx.sampleRate * 2, ctx.sampleRate);
+            const data = buffer.getChannelData(0);
+            const random = Utils.createRNG(1234);
+            for (let i = 0; i < data.length; i++) data[i] = random() * 2 - 1;
+            Synth.noiseBuffers.set(ctx, buffer);
+        }
+        return Synth.noiseBuffers.get(ctx);
+    }
+}
+
+// Procedural drums for 'drum' channels. A hit is rendered in JS from the model
+// parameters with a seeded RNG, so a project always sounds (and exports) the same.
+// Renders are cached per parameter set and played through a Sampler, which gives
+// choke groups, per-hit pitch and pitch bend for free.
+class DrumSynth {
+    // Shared controls, each model reads the ones it needs:
+    //   tune (Hz), sweep (pitch drop, 0-1), decay (s), click (0-1), drive (0-1),
+    //   tone (brightness, 0-1), noise (noise vs. body, 0-1), seed (noise RNG)
+    static models = {
+        kick: { tune: 50, sweep: 0.5, decay: 0.5, click: 0.4, drive: 0.2, tone: 0.5, noise: 0 },
+        '808': { tune: 45, sweep: 0.2, decay: 1.4, click: 0.1, drive: 0.3, tone: 0.3, noise: 0 },
+        snare: { tune: 185, sweep: 0.15, decay: 0.25, click: 0.3, drive: 0.1, tone: 0.6, noise: 0.65 },
+        clap: { tune: 1100, sweep: 0, decay: 0.3, click: 0, drive: 0.1, tone: 0.5, noise: 1 },
+        tom: { tune: 110, sweep: 0.25, decay: 0.45, click: 0.2, drive: 0.1, tone: 0.4, noise: 0.1 },
+        rim: { tune: 1700, sweep: 0, decay: 0.06, click: 0.6, drive: 0.2, tone: 0.7, noise: 0.2 },
+        closedhat: { tune: 400, sweep: 0, decay: 0.06, click: 0, drive: 0, tone: 0.7, noise: 0.4, chokeGroup: 1 },
+        openhat: { tune: 400, sweep: 0, decay: 0.45, click: 0, drive: 0, tone: 0.7, noise: 0.4, chokeGroup: 1 },
+        cymbal: { tune: 300, sweep: 0, decay: 1.8, click: 0.1, drive: 0, tone: 0.6, noise: 0.5 }
+    };
+
+    static GM_NOTES = { kick: 36, '808': 36, snare: 38, clap: 39, tom: 45, rim: 37, closedhat: 42, openhat: 46, cymbal: 49 };
+
+    // Starter kits: [channel name, params over the model defaults]
+    static kits = {
+        '808': [
+            ['808 Kick', { model: '808' }],
+            ['808 Snare', { model: 'snare', tune: 230, sweep: 0.05, noise: 0.75, tone: 0.4 }],
+            ['808 Clap', { model: 'clap' }],
+            ['808 Rim', { model: 'rim' }],
+            ['808 Tom', { model: 'tom', tune: 95, sweep: 0.1 }],
+            ['808 Closed Hat', { model: 'closedhat' }],
+            ['808 Open Hat', { model: 'openhat' }],
+            ['808 Cymbal', { model: 'cymbal' }]
+        ],
+        'Punchy': [
+            ['Kick', { model: 'kick', tune: 55, sweep: 0.7, decay: 0.35, click: 0.8, drive: 0.5 }],
+            ['Snare', { model: 'snare', tune: 200, decay: 0.2, click: 0.5, drive: 0.3 }],
+            ['Clap', { model: 'clap', tune: 1300, decay: 0.2 }],
+            ['Low Tom', { model: 'tom', tune: 90 }],
+            ['High Tom', { model: 'tom', tune: 160 }],
+            ['Closed Hat', { model: 'closedhat', decay: 0.04, tone: 0.9 }],
+            ['Open Hat', { model: 'openhat', decay: 0.3, tone: 0.9 }]
+        ],
+        'Lo-Fi': [
+            ['Kick', { model: 'kick', tune: 48, sweep: 0.3, decay: 0.4, click: 0.1, drive: 0.6, tone: 0.2 }],
+            ['Snare', { model: 'snare', tune: 170, decay: 0.3, noise: 0.5, tone: 0.3, drive: 0.4 }],
+            ['Rim', { model: 'rim', tune: 1400, tone: 0.4 }],
+            ['Hat', { model: 'closedhat', tune: 330, tone: 0.3, noise: 0.7 }],
+            ['Ride', { model: 'cymbal', decay: 1.2, tone: 0.3 }]
+        ]
+    };
+
+    static defaults(model = 'kick') {
+        return { model, chokeGroup: 0, seed: 1, ...(DrumSynth.models[model] || DrumSynth.models.kick) };
+    }
+
+    static cache = new WeakMap(); // ctx -> Map(render key -> AudioBuffer)
+
+    constructor(params = {}) {
+        this.params = { ...DrumSynth.defaults(params.model), ...params };
+        this.player = new Sampler({ rootNote: 60 });
+    }
+
+    modulation(graph) {
+        return this.player.modulation(graph);
+    }
+
+    serialize() {
+        return { ...this.params };
+    }
+
+    // Back to the model defaults (keeps the seed)
+    setModel(model) {
+        this.params = { ...DrumSynth.defaults(model), seed: this.params.seed };
+    }
+
+    // Render ahead of playback so the first hit doesn't stall the scheduler
+    prepare(ctx) {
+        const { chokeGroup, ...sound } = this.params;
+        DrumSynth.buffer(sound, ctx);
+    }
+
+    // decayScale is the per-hit decay tweak from the step sequencer
+    play(time, pitch, level, graph, decayScale = 1) {
+        const { chokeGroup, ...sound } = this.params;
+        this.player.params.chokeGroup = chokeGroup;
+        return this.player.play(DrumSynth.buffer(sound, graph.ctx, decayScale), time, 0, pitch, level, graph);
+    }
+
+    // Cached render; parameter drags make new keys, so only the latest ones are kept
+    static buffer(params, ctx, decayScale = 1) {
+        if (!DrumSynth.cache.has(ctx)) DrumSynth.cache.set(ctx, new Map());
+        const cache = DrumSynth.cache.get(ctx);
+        const key = JSON.stringify([params, decayScale]);
+        if (!cache.has(key)) {
+            if (cache.size >= 64) cache.delete(cache.keys().next().value);
+            cache.set(key, DrumSynth.bounce(params, ctx, decayScale));
+        }
+        return cache.get(key);
+    }
+
+    // Render to a fresh mono AudioBuffer
+    static bounce(params, ctx, decayScale = 1) {
+        const data = DrumSynth.render(params, ctx.sampleRate, decayScale);
+        const buffer = ctx.createBuffer(1, data.length, ctx.sampleRate);
+        buffer.copyToChannel(data, 0);
+        return buffer;
+    }
+
+    static render(params, sampleRate, decayScale = 1) {
+        const p = { ...DrumSynth.defaults(params.model), ...params };
+        const decay = Math.max(0.01, p.decay * decayScale);
+        const length = Math.ceil(sampleRate * Math.min(6, decay * 1.5 + 0.03));
+        const out = new Float32Array(length);
+        const random = Utils.createRNG(p.seed);
+        const noise = () => random() * 2 - 1;
+        const env = (t, d) => t < 0 ? 0 : Math.exp(-t * 6.9 / d); // -60 dB after d seconds
+        const filter = (type, freq, q = 0.7) => DrumSynth.biquad(type, freq, q, sampleRate);
+        const clickFilter = filter('highpass', 2000 + p.tone * 6000);
+
+        // Pitched body with a pitch drop of up to 4 octaves
+        let phase = 0;
+        const body = (t, ratio = 1) => {
+            phase += 2 * Math.PI * p.tune * ratio * Math.pow(2, p.sweep * 4 * Math.exp(-t / 0.04)) / sampleRate;
+            return Math.sin(phase);
+        };
+
+        // Six detuned squares (808 hat / cymbal ratios)
+        const metalRatios = [1, 1.4836, 1.8003, 2.546, 2.6304, 3.8966];
+        const metalPhases = metalRatios.map(() => 0);
+        const metal = () => metalRatios.reduce((sum, ratio, i) => {
+            metalPhases[i] = (metalPhases[i] + p.tune * ratio / sampleRate) % 1;
+            return sum + (metalPhases[i] < 0.5 ? 1 : -1);
+        }, 0) / metalRatios.length;
+
+        let model;
+        if (p.model === 'snare') {
+            const bright = filter('highpass', 1000 + p.tone * 4000);
+            let phase2 = 0;
+            model = (t) => {
+                phase2 += 2 * Math.PI * p.tune * 1.6 / sampleRate;
+                const tone = (body(t) + 0.5 * Math.sin(phase2)) * env(t, decay * 0.4);
+                return tone * (1 - p.noise) + bright(noise()) * env(t, decay) * p.noise * 1.5;
+            };
+        } else if (p.model === 'clap') {
+            const band = filter('bandpass', p.tune * (0.5 + p.tone), 1.5);
+            model = (t) => {
+                // Three quick bursts, then the tail
+                const bursts = Math.max(env(t, 0.035), env(t - 0.011, 0.035), env(t - 0.022, 0.035));
+                return band(noise()) * Math.max(bursts, 0.6 * env(t - 0.022, decay)) * 3;
+            };
+        } else if (p.model === 'rim') {
+            const band = filter('bandpass', p.tune, 2 + p.tone * 4);
+            model = (t) => band(body(t) + 0.6 * Math.sin(phase * 0.47) + p.noise * noise()) * env(t, decay) * 3;
+        } else if (p.model === 'closedhat' || p.model === 'openhat' || p.model === 'cymbal') {
+            const cutoff = (p.model === 'cymbal' ? 3500 : 6000) + p.tone * 5000;
+            const hp = filter('highpass', cutoff);
+            const band = filter('bandpass', cutoff * 1.3, 0.8);
+            model = (t) => {
+                const x = metal() * (1 - p.noise) + noise() * p.noise;
+                return (hp(x) + 0.5 * band(x)) * env(t, decay);
+            };
+        } else {
+            // kick, 808, tom: sine body plus a little noise
+            const soft = filter('lowpass', 500 + p.tone * 4000);
+            model = (t) => body(t) * env(t, decay) + soft(noise()) * p.noise * env(t, decay * 0.3);
+        }
+
+        const drive = 1 + p.drive * 9;
+        let peak = 0;
+        for (let i = 0; i < length; i++) {
+            const t = i / sampleRate;
+            let x = model(t) + p.click * clickFilter(noise()) * env(t, 0.006);
+            x = Math.tanh(x * drive) / Math.tanh(drive);
+            out[i] = x;
+            peak = Math.max(peak, Math.abs(x));
+        }
+
+        // Normalize and fade out the last 5 ms
+        const gain = peak > 0 ? 0.9 / peak : 0;
+        const fade = Math.min(length, Math.ceil(sampleRate * 0.005));
+        for (let i = 0; i < length; i++) {
+            out[i] *= gain * Math.min(1, (length - i) / fade);
+        }
+        return out;
+    }
+
+    // RBJ biquad as a sample -> sample function
+    static biquad(type, freq, q, sampleRate) {
+        const w = 2 * Math.PI * Math.min(freq, sampleRate * 0.45) / sampleRate;
+        const cos = Math.cos(w);
+        const alpha = Math.sin(w) / (2 * q);
+        let b0, b1, b2;
+        if (type === 'lowpass') [b0, b1, b2] = [(1 - cos) / 2, 1 - cos, (1 - cos) / 2];
+        else if (type === 'highpass') [b0, b1, b2] = [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2];
+        else [b0, b1, b2] = [alpha, 0, -alpha]; // bandpass, 0 dB peak
+        const a0 = 1 + alpha, a1 = -2 * cos, a2 = 1 - alpha;
+        let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+        return (x) => {
+            const y = (b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2) / a0;
+            x2 = x1; x1 = x;
+            y2 = y1; y1 = y;
+            return y;
+        };
+    }
+}
+
+export { Sampler, Synth, DrumSynth };
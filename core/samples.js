@@ -0,0 +1,62 @@
+// Sample buffers used by the project.
+
+import { DAW } from './state.js';
+import { DrumSynth } from './instruments.js';
+import { Song } from './song.js';
+
+// --- SAMPLES ---
+
+// Samples behind the procedural keys of older projects ('kick', 'snare', 'hat').
+// Each key pins its own noise seed, so the sample stays the same whatever the drum synth
+// defaults become; projects only store the key.
+const ProceduralAudio = {
+    models: {
+        kick: { model: 'kick', seed: 1 },
+        snare: { model: 'snare', seed: 1 },
+        hat: { model: 'closedhat', seed: 1 }
+    },
+
+    generate(type, ctx = DAW.ctx) {
+        const { model, seed } = this.models[type] || this.models.kick;
+        return DrumSynth.bounce({ ...DrumSynth.defaults(model), seed }, ctx);
+    }
+};
+
+// Every buffer a project uses. Imported files keep their original bytes so a
+// saved project can embed them; procedural samples are stored by key only.
+const SamplePool = {
+    samples: {}, // { id: { id, name, buffer, data, mime, procedural } }
+    nextId: 1,
+
+    add(name, buffer, { data = null, mime = '', procedural = null, id = null } = {}) {
+        const sampleId = id || `s${this.nextId++}`;
+        const sample = { id: sampleId, name, buffer, data, mime, procedural };
+        this.samples[sampleId] = sample;
+        return sample;
+    },
+
+    addProcedural(key) {
+        const existing = Object.values(this.samples).find(s => s.procedural === key);
+        return existing || this.add(key, ProceduralAudio.generate(key), { procedural: key });
+    },
+
+    get(id) {
+        return id ? this.samples[id] || null : null;
+    },
+
+    clear() {
+        this.samples = {};
+        this.nextId = 1;
+    },
+
+    // Only samples still referenced by a channel or audio clip end up in the project
+    used() {
+        const ids = new Set([
+            ...DAW.channels.map(ch => ch.sampleId),
+            ...Song.current().clips.map(c => c.sampleId)
+        ].filter(Boolean));
+        return Object.values(this.samples).filter(s => ids.has(s.id));
+    }
+};
+
+export { ProceduralAudio, SamplePool };
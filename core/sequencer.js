@@ -0,0 +1,243 @@
+// Lookahead scheduler: pattern and song playback, shared with the offline export.
+
+import { DAW, Events } from './state.js';
+import { Arpeggiator } from './arpeggiator.js';
+import { Transport } from './transport.js';
+import { Patterns, Song } from './song.js';
+import { Automation } from './automation.js';
+import { SamplePool } from './samples.js';
+
+// --- SEQUENCER ---
+
+class Sequencer {
+    static start() {
+        if (DAW.isPlaying) return;
+        if (DAW.ctx.state === 'suspended') DAW.ctx.resume();
+        DAW.channels.forEach(ch => ch.type === 'drum' && ch.drum.prepare(DAW.ctx));
+        const { start, end } = Sequencer.loopBounds();
+        let step = DAW.songMode ? DAW.songPosition : 0;
+        let delay = 0;
+        const resumed = DAW.pausedAt !== null;
+        if (resumed) {
+            // Resume on the first step boundary after the pause position
+            step = Math.ceil(DAW.pausedAt);
+            delay = (step - DAW.pausedAt) * Transport.stepDuration(DAW.songMode ? Math.floor(DAW.pausedAt) : null);
+        } else {
+            DAW.stepCounter = 0;
+        }
+        if (step < start || step >= end) step = start;
+        DAW.pausedAt = null;
+        DAW.isPlaying = true;
+        DAW.currentStep = step;
+        DAW.countInStep = step;
+        DAW.startedClips = false;
+        DAW.nextNoteTime = DAW.ctx.currentTime + delay;
+        DAW.nextNoteTime += Transport.countIn(DAW.nextNoteTime, Transport.stepDuration(DAW.songMode ? step : null));
+        Events.emit('start', { time: DAW.nextNoteTime, step, resumed });
+        Events.emit('transport', { playing: true });
+        DAW.stats.lastPass = 0;
+        Sequencer.scheduler();
+    }
+
+    // Stop but keep the position; start() picks up from there
+    static pause() {
+        if (!DAW.isPlaying) return;
+        const pos = Sequencer.position();
+        Sequencer.stop();
+        DAW.pausedAt = pos;
+        Events.emit('transport', { playing: false, step: Math.floor(pos) });
+    }
+
+    static stop() {
+        const wasStopped = !DAW.isPlaying && DAW.pausedAt === null;
+        DAW.isPlaying = false;
+        DAW.pausedAt = null;
+        DAW.countInUntil = 0;
+        clearTimeout(DAW.timerID);
+        DAW.activeSources.forEach(src => {
+            try { src.stop(); } catch (e) { /* already stopped */ }
+        });
+        DAW.activeSources.clear();
+        DAW.uiQueue = [];
+        Events.emit('stop');
+        Events.emit('transport', { playing: false, step: wasStopped ? undefined : (DAW.songMode ? DAW.songPosition : 0) });
+    }
+
+    // Playback position in steps at the audio clock (the scheduler runs ahead of it)
+    static position() {
+        if (DAW.ctx.currentTime < DAW.countInUntil) return DAW.countInStep;
+        const { start, end } = Sequencer.loopBounds();
+        const stepDur = Transport.stepDuration(DAW.songMode ? DAW.currentStep - 1 : null);
+        const pos = DAW.currentStep - (DAW.nextNoteTime - DAW.ctx.currentTime) / stepDur;
+        const length = end - start;
+        return start + (((pos - start) % length) + length) % length;
+    }
+
+    // Steps playback loops over: the pattern, the song, or the song's loop region
+    static loopBounds() {
+        if (!DAW.songMode) return { start: 0, end: Patterns.active().length };
+        const loop = Song.current().loop;
+        if (loop && loop.enabled && loop.end > loop.start) return { start: loop.start, end: loop.end };
+        return { start: 0, end: Song.length() };
+    }
+
+    static setSongMode(enabled) {
+        if (DAW.songMode === enabled) return;
+        const wasPlaying = DAW.isPlaying;
+        Sequencer.stop();
+        DAW.songMode = enabled;
+        Events.emit('songmode');
+        if (wasPlaying) Sequencer.start();
+    }
+
+    static scheduler() {
+        const stats = DAW.stats;
+        const started = performance.now();
+        // Timer lag: how much later than asked the browser ran us (throttled or blocked thread)
+        if (stats.lastPass) stats.maxLag = Math.max(stats.maxLag, started - stats.lastPass - DAW.lookahead);
+        // While there are notes that will need to play before the next interval, schedule them
+        while (DAW.nextNoteTime < DAW.ctx.currentTime + DAW.scheduleAheadTime) {
+            const late = DAW.ctx.currentTime - DAW.nextNoteTime;
+            if (late > DAW.scheduleAheadTime) {
+                // Too far behind to play in time: skip rather than fire a burst of stale notes
+                stats.dropped++;
+                stats.totalDropped++;
+            } else {
+                if (late > 0) {
+                    stats.late++;
+                    stats.totalLate++;
+                }
+                Sequencer.scheduleNote(DAW.currentStep, DAW.nextNoteTime);
+            }
+            Sequencer.nextStep();
+        }
+        const finished = performance.now();
+        stats.busy += finished - started;
+        stats.maxPass = Math.max(stats.maxPass, finished - started);
+        stats.lastPass = finished;
+        if (DAW.isPlaying) {
+            DAW.timerID = setTimeout(Sequencer.scheduler, DAW.lookahead);
+        }
+    }
+
+    static nextStep() {
+        DAW.nextNoteTime += Transport.stepDuration(DAW.songMode ? DAW.currentStep : null); // 16th notes
+        DAW.currentStep++;
+        DAW.stepCounter++;
+        // >= because the active pattern may be switched to a shorter one mid-loop
+        const { start, end } = Sequencer.loopBounds();
+        if (DAW.currentStep >= end) {
+            DAW.currentStep = start;
+            DAW.startedClips = false; // audio clips running across the loop start need restarting
+        }
+    }
+
+    static scheduleNote(stepNumber, time) {
+        Transport.tick(stepNumber, time);
+        if (DAW.songMode) {
+            // Audio clips already running under the start position need kicking off too
+            Sequencer.triggerSongStep(stepNumber, time, DAW, DAW.channels, !DAW.startedClips);
+            DAW.startedClips = true;
+        } else {
+            // stepCounter keeps counting across loops so polymetric channels drift correctly
+            Sequencer.triggerStep(stepNumber, time, DAW, DAW.channels, DAW.activePatternId, DAW.stepCounter);
+        }
+
+        // Transport UI (LCD, playhead, step highlight) is updated when the audio clock gets here
+        DAW.uiQueue.push({ step: stepNumber, time, counter: DAW.stepCounter });
+    }
+
+    // Song mode: play whatever the playlist has under songStep.
+    // resume: also start audio clips that began before songStep (playback started mid-clip).
+    static triggerSongStep(songStep, time, graph = DAW, channels = DAW.channels, resume = false, includeTrack = () => true) {
+        const song = Song.current();
+        const stepDur = Transport.stepDuration(songStep);
+        song.clips.forEach(clip => {
+            const track = song.tracks[clip.track];
+            if (!track || track.muted || clip.muted) return;
+            if (songStep < clip.start || songStep >= clip.start + clip.length) return;
+            const local = songStep - clip.start + clip.offset;
+
+            if (clip.type === 'pattern') {
+                const pattern = Patterns.get(clip.patternId);
+                if (!pattern) return;
+                Sequencer.triggerStep(local % pattern.length, time, graph, channels, clip.patternId, local, stepDur);
+            } else if (clip.type === 'automation') {
+                Automation.scheduleLane(clip.automation, local, local + 1, time, stepDur, graph);
+            } else if (clip.type === 'audio' && (songStep === clip.start || resume)) {
+                const sample = SamplePool.get(clip.sampleId);
+                if (!sample || !includeTrack(track.targetMixerTrack)) return;
+                // Audio doesn't follow tempo changes: offset is the time since the clip began
+                const offset = clip.offset * Transport.stepDuration(clip.start) + Transport.span(clip.start, songStep);
+                if (offset >= sample.buffer.duration) return;
+                const remaining = Transport.span(songStep, clip.start + clip.length);
+                const src = graph.ctx.createBufferSource();
+                src.buffer = sample.buffer;
+                const mixer = graph.mixerTracks[track.targetMixerTrack];
+                src.connect(mixer ? mixer.input : graph.masterGain);
+                src.start(time, offset, remaining);
+                if (graph === DAW) {
+                    DAW.activeSources.add(src);
+                    src.onended = () => DAW.activeSources.delete(src);
+                }
+            }
+        });
+    }
+
+    // Audio side of a step, shared by live playback and WAVExporter.
+    // graph/channels let the exporter target an offline mixer or a single stem.
+    // time is the unswung start of stepNumber; everything inside [stepNumber, stepNumber + 1)
+    // is placed relative to it, so off-grid notes land exactly where they are drawn.
+    // absStep counts steps since playback (or the clip) started, for polymetric channels.
+    // stepDur comes from the tempo map in song mode.
+    static triggerStep(stepNumber, time, graph = DAW, channels = DAW.channels, patternId = DAW.activePatternId, absStep = stepNumber,
+        stepDur = Transport.stepDuration()) {
+        const random = graph.random || Math.random;
+        const pattern = Patterns.get(patternId) || Patterns.active();
+        Automation.lanes(pattern).forEach(lane => {
+            Automation.scheduleLane(lane, stepNumber, stepNumber + 1, time, stepDur, graph);
+        });
+        channels.forEach(ch => {
+            if (!ch.audible) return;
+            const data = Patterns.dataFor(ch.id, patternId);
+            const swing = Math.min(1, DAW.swing + ch.swing);
+            const at = (pos) => time + (Sequencer.swingPosition(pos, swing) - stepNumber) * stepDur;
+
+            // 1. Play Step Sequencer (channels may loop at their own length)
+            const step = data.steps[data.length ? absStep % data.length : stepNumber];
+            if (step) Sequencer.playStep(ch, step, at(stepNumber), stepDur, graph, random);
+            
+            // 2. Play Piano Roll Notes starting anywhere inside this step (arpeggiated if the channel says so)
+            const notes = ch.arp.enabled ? Arpeggiator.render(data.notes, ch.arp, stepNumber, stepNumber + 1, random) : data.notes;
+            notes.forEach(note => {
+                // note.start is in 16th steps
+                if (note.start >= stepNumber && note.start < stepNumber + 1) {
+                    ch.playNote(at(note.start), note.duration * stepDur, note.pitch, note.velocity, graph);
+                }
+            });
+        });
+    }
+
+    // One step-sequencer hit with its per-step velocity, pitch, pan, probability and ratchet
+    static playStep(ch, step, time, stepDur, graph, random) {
+        if (random() >= step.probability) return;
+        const count = Math.max(1, step.ratchet);
+        const sub = stepDur / count;
+        for (let i = 0; i < count; i++) {
+            // Default C4 for drums
+            ch.playNote(time + i * sub, Math.min(0.1, sub), 60 + step.pitch, step.velocity, graph, step.pan, step.decay);
+        }
+    }
+
+    // Swing warps each pair of 16ths: the off-beat moves later by up to half a step,
+    // positions in between are stretched/squeezed linearly.
+    static swingPosition(pos, swing) {
+        if (!swing) return pos;
+        const s = swing * 0.5;
+        const pair = Math.floor(pos / 2) * 2;
+        const x = pos - pair;
+        return pair + (x < 1 ? x * (1 + s) : (1 + s) + (x - 1) * (1 - s));
+    }
+}
+
+export { Sequencer };
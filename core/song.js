@@ -0,0 +1,132 @@
+// Song data: the pattern bank and the playlist arrangement.
+
+import { DAW, Events } from './state.js';
+import { Transport } from './transport.js';
+import { Automation } from './automation.js';
+
+// --- PATTERNS ---
+
+// Pattern bank. Each pattern keeps its own length and per-channel step/note data;
+// Channel.steps / Channel.pianoRollNotes always resolve against the active one.
+// The transport bar selector is added by script.js.
+const Patterns = {
+    nextId: 1,
+
+    create(name, length = DAW.stepCount) {
+        const id = `p${this.nextId++}`;
+        DAW.state.patterns[id] = { id, name: name || `Pattern ${this.nextId - 1}`, length, channels: {}, automation: [] };
+        return DAW.state.patterns[id];
+    },
+
+    get(id) {
+        return DAW.state.patterns[id] || null;
+    },
+
+    active() {
+        return this.get(DAW.activePatternId) || Object.values(DAW.state.patterns)[0];
+    },
+
+    list() {
+        return Object.values(DAW.state.patterns);
+    },
+
+    // Per-channel data of a pattern, created on first access.
+    // steps[i] is false (off) or a step object (see newStep); length is the
+    // channel's own step count for polymeter (null = pattern length).
+    dataFor(channelId, patternId = DAW.activePatternId) {
+        const pattern = this.get(patternId) || this.active();
+        if (!pattern.channels[channelId]) {
+            pattern.channels[channelId] = { steps: [], notes: [], length: null };
+        }
+        const data = pattern.channels[channelId];
+        // Pad only: shrinking a pattern should not throw away hits past the end
+        const length = Math.max(pattern.length, data.length || 0);
+        while (data.steps.length < length) data.steps.push(false);
+        return data;
+    },
+
+    newStep() {
+        return { velocity: 1.0, pitch: 0, pan: 0, probability: 1, ratchet: 1, decay: 1 };
+    },
+
+    // Steps saved before step objects existed were plain booleans; older objects lack newer fields
+    upgradeSteps(steps) {
+        return steps.map(step => step === true ? this.newStep() : step && { ...this.newStep(), ...step });
+    },
+
+    select(id) {
+        if (!this.get(id)) return;
+        DAW.activePatternId = id;
+        Events.emit('patterns');
+    },
+
+    rename(id, name) {
+        const pattern = this.get(id);
+        if (pattern && name) pattern.name = name;
+        Events.emit('patterns');
+    },
+
+    clone(id) {
+        const src = this.get(id);
+        if (!src) return null;
+        const copy = this.create(`${src.name} (copy)`, src.length);
+        copy.channels = JSON.parse(JSON.stringify(src.channels));
+        copy.automation = JSON.parse(JSON.stringify(Automation.lanes(src)));
+        this.select(copy.id);
+        return copy;
+    },
+
+    remove(id) {
+        if (this.list().length <= 1) return; // a project always has one pattern
+        delete DAW.state.patterns[id];
+        const clips = Song.current().clips;
+        for (let i = clips.length - 1; i >= 0; i--) {
+            if (clips[i].patternId === id) clips.splice(i, 1);
+        }
+        if (DAW.activePatternId === id) DAW.activePatternId = this.list()[0].id;
+        Events.emit('patterns');
+    },
+
+    setLength(id, length) {
+        const pattern = this.get(id);
+        if (!pattern) return;
+        pattern.length = Math.max(1, Math.min(256, Math.round(length)));
+        Events.emit('patterns');
+    },
+
+    // Restore after project load
+    restore(activeId) {
+        this.nextId = this.list().reduce((max, p) => Math.max(max, parseInt(p.id.slice(1)) + 1 || 0), 1);
+        DAW.activePatternId = this.get(activeId) ? activeId : this.list()[0].id;
+    }
+};
+
+// --- SONG ---
+
+// The playlist arrangement (first song in DAW.state.songs). Positions are in 16th steps;
+// Playlist (script.js) draws and edits it.
+const Song = {
+    current() {
+        if (!DAW.state.songs[0]) {
+            DAW.state.songs[0] = { name: 'Song 1', tracks: [], clips: [] };
+        }
+        const song = DAW.state.songs[0];
+        if (!song.tempoMap) song.tempoMap = []; // see Transport
+        if (song.loop === undefined) song.loop = null; // { start, end, enabled }
+        while (song.tracks.length < 8) this.addTrack(song);
+        return song;
+    },
+
+    addTrack(song = this.current()) {
+        song.tracks.push({ name: `Track ${song.tracks.length + 1}`, muted: false, targetMixerTrack: 0 });
+    },
+
+    // End of the last clip, rounded up to a whole bar
+    length() {
+        const end = this.current().clips.reduce((max, c) => Math.max(max, c.start + c.length), 0);
+        const bar = Transport.stepsPerBar();
+        return Math.max(bar, Math.ceil(end / bar) * bar);
+    }
+};
+
+export { Patterns, Song };
@@ -0,0 +1,75 @@
+// Engine state shared by the core modules and the UI.
+
+// --- ENGINE STATE ---
+
+const DAW = {
+    ctx: null,         // AudioContext
+    masterGain: null,
+    isPlaying: false,
+    tempo: 130,
+    currentStep: 0,
+    nextNoteTime: 0.0,
+    lookahead: 25.0,   // ms
+    scheduleAheadTime: 0.1, // sec
+    timerID: null,
+    channels: [],
+    mixerTracks: [],
+    selectedChannelIndex: 0,
+    selectedMixerTrack: 0, // whose insert effects #fx-slots shows
+    stepCount: 16,     // Default length for new patterns
+    activePatternId: null,
+    swing: 0,          // global swing 0..1, channels add their own
+    stepCounter: 0,    // steps since playback started (polymeter)
+    songMode: false,   // false = loop active pattern, true = play the playlist
+    songPosition: 0,   // song start position in 16th steps (set from the playlist ruler)
+    pausedAt: null,    // step position playback was paused at (resumed by start)
+    timeSignature: [4, 4], // beats per bar, beat unit (see Transport)
+    metronome: false,
+    countIn: false,    // one bar of clicks before playback while recording is armed
+    countInUntil: 0,   // audio time the running count-in ends
+    countInStep: 0,    // step playback starts at after the count-in
+    activeSources: new Set(), // long-running live sources (audio clips) cut on stop
+    uiQueue: [],       // { step, time } scheduled ahead, drawn when the audio clock gets there
+    // Scheduler timing since the last CPU meter update (busy/maxPass/maxLag in ms) and
+    // steps that missed their time: late ones still play, dropped ones were skipped
+    stats: { busy: 0, maxPass: 0, maxLag: 0, late: 0, dropped: 0, totalLate: 0, totalDropped: 0, lastPass: 0 },
+    
+    // Project Data State
+    state: {
+        patterns: {}, // { patternId: { id, name, length, channels: { channelId: { steps, notes } } } }
+        songs: [],    // [{ name, tracks: [{ name, muted, targetMixerTrack }], clips: [...] }], see Playlist
+        scale: { root: 0, type: 'chromatic', snap: false } // Piano Roll key, see Scales
+    }
+};
+
+// --- EVENTS ---
+
+// Engine -> UI notifications. The core modules never touch the DOM or the UI objects
+// in script.js; the UI subscribes here instead.
+//   'channels'   the channel list changed
+//   'patterns'   patterns were added, removed, renamed, resized or another one was selected
+//   'transport'  { playing, step } play / pause / stop; step = position to show, if it moved
+//   'songmode'   pattern / song playback toggled
+//   'start'      { time, step, resumed } playback begins at audio time `time` (after any
+//                count-in); resumed when it picks up after a pause
+//   'stop'       playback stopped (also on pause)
+//   'project'    a project was loaded
+const Events = {
+    listeners: {},
+
+    // Returns an unsubscribe function
+    on(type, fn) {
+        (this.listeners[type] = this.listeners[type] || []).push(fn);
+        return () => this.off(type, fn);
+    },
+
+    off(type, fn) {
+        this.listeners[type] = (this.listeners[type] || []).filter(f => f !== fn);
+    },
+
+    emit(type, detail) {
+        (this.listeners[type] || []).slice().forEach(fn => fn(detail));
+    }
+};
+
+export { DAW, Events };
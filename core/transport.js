@@ -0,0 +1,107 @@
+// Tempo, time signature and metronome timing.
+
+import { DAW } from './state.js';
+import { Song } from './song.js';
+
+// --- TRANSPORT ---
+
+// Time signature, tempo map and metronome / count-in timing. The transport bar controls
+// (tap tempo, buttons, tempo map panel) are added by script.js.
+// Steps are always 16ths and DAW.tempo counts quarter notes; the time signature only
+// changes how steps group into beats and bars.
+const Transport = {
+    TIME_SIGNATURES: [[2, 4], [3, 4], [4, 4], [5, 4], [6, 8], [7, 8], [12, 8]],
+
+    stepsPerBeat() {
+        return 16 / DAW.timeSignature[1];
+    },
+
+    stepsPerBar() {
+        return DAW.timeSignature[0] * this.stepsPerBeat();
+    },
+
+    setTimeSignature(signature) {
+        DAW.timeSignature = signature;
+        DAW.stepCount = this.stepsPerBar(); // new patterns are one bar long
+    },
+
+    // --- Tempo map ---
+    // song.tempoMap: [{ step, bpm, ramp }] sorted by step. DAW.tempo applies before the first
+    // point; a ramp point glides linearly from the previous tempo and arrives at its bpm.
+    // Only the song timeline follows the map, patterns loop at DAW.tempo.
+
+    tempoAt(step) {
+        let bpm = DAW.tempo;
+        let from = 0;
+        for (const point of Song.current().tempoMap) {
+            if (point.step > step) {
+                if (point.ramp) bpm += (point.bpm - bpm) * Math.max(0, step - from) / (point.step - from);
+                break;
+            }
+            bpm = point.bpm;
+            from = point.step;
+        }
+        return bpm;
+    },
+
+    // Seconds per 16th: at DAW.tempo, or at a song step (tempo taken mid-step)
+    stepDuration(songStep = null) {
+        return 60 / (songStep === null ? DAW.tempo : this.tempoAt(songStep + 0.5)) / 4;
+    },
+
+    // Seconds from the song start to a (fractional) song step
+    time(step) {
+        if (!Song.current().tempoMap.length) return step * this.stepDuration();
+        const whole = Math.floor(step);
+        let t = 0;
+        for (let s = 0; s < whole; s++) t += this.stepDuration(s);
+        return t + (step - whole) * this.stepDuration(whole);
+    },
+
+    span(from, to) {
+        return this.time(to) - this.time(from);
+    },
+
+    // --- Metronome ---
+
+    click(time, accent) {
+        const ctx = DAW.ctx;
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+        osc.frequency.value = accent ? 1600 : 1000;
+        gain.gain.setValueAtTime(accent ? 0.5 : 0.3, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.05);
+        osc.connect(gain).connect(DAW.masterGain);
+        osc.start(time);
+        osc.stop(time + 0.06);
+        // Tracked so stop() silences a count-in that is still ahead
+        DAW.activeSources.add(osc);
+        osc.onended = () => {
+            DAW.activeSources.delete(osc);
+            gain.disconnect();
+        };
+    },
+
+    // Called for every scheduled step; clicks on beats, accented on the bar
+    tick(step, time) {
+        if (!DAW.metronome || step % this.stepsPerBeat() !== 0) return;
+        this.click(time, step % this.stepsPerBar() === 0);
+    },
+
+    // Whether anything is armed to record; the UI plugs in its record buttons
+    armed() {
+        return false;
+    },
+
+    // One bar of clicks from `time` when recording is armed; returns its length in seconds
+    countIn(time, stepDur) {
+        if (!DAW.countIn || !this.armed()) return 0;
+        const beats = DAW.timeSignature[0];
+        const beat = this.stepsPerBeat() * stepDur;
+        for (let i = 0; i < beats; i++) this.click(time + i * beat, i === 0);
+        DAW.countInUntil = time + beats * beat;
+        return beats * beat;
+    }
+};
+
+export { Transport };
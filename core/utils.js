@@ -0,0 +1,69 @@
+// Audio helpers (envelopes, seeded noise) and encoding helpers.
+
+// --- UTILS & HELPERS ---
+
+const Utils = {
+    // Piecewise ADSR: base -> peak (attack) -> sustain (decay) ... release from noteEnd
+    envelope(param, time, noteEnd, env, base, peak) {
+        const a = Math.max(0.001, env.attack);
+        const d = Math.max(0.001, env.decay);
+        const sus = base + (peak - base) * env.sustain;
+        param.setValueAtTime(base, time);
+        if (noteEnd <= time + a) {
+            param.linearRampToValueAtTime(base + (peak - base) * (noteEnd - time) / a, noteEnd);
+        } else {
+            param.linearRampToValueAtTime(peak, time + a);
+            if (noteEnd <= time + a + d) {
+                param.linearRampToValueAtTime(peak + (sus - peak) * (noteEnd - time - a) / d, noteEnd);
+            } else {
+                param.linearRampToValueAtTime(sus, time + a + d);
+                param.setValueAtTime(sus, noteEnd);
+            }
+        }
+        param.setTargetAtTime(base, noteEnd, Math.max(0.001, env.release) / 5);
+    },
+
+    // Freeze an AudioParam at its value at `time`, dropping later events.
+    // cancelAndHoldAtTime is missing in some browsers; cancelScheduledValues is close enough.
+    holdParam(param, time) {
+        if (param.cancelAndHoldAtTime) param.cancelAndHoldAtTime(time);
+        else param.cancelScheduledValues(time);
+    },
+
+    // Seeded PRNG (mulberry32), returns floats in [0, 1)
+    createRNG(seed) {
+        let a = seed >>> 0;
+        return () => {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    // mm:ss:cc
+    formatTime(seconds) {
+        const pad = (n) => String(Math.floor(n)).padStart(2, '0');
+        return `${pad(seconds / 60)}:${pad(seconds % 60)}:${pad((seconds % 1) * 100)}`;
+    },
+
+    arrayBufferToBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        // Chunked to stay under the argument limit of String.fromCharCode
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    },
+
+    base64ToArrayBuffer(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes.buffer;
+    }
+};
+
+export { Utils };
@@ -1,5 +1,5 @@
-/* script.js - WebDAW Core Engine
-  Modules: Core, Audio, Sequencer, UI, Utils
+/* script.js - WebDAW UI
+  Modules: UI, file I/O and export here; the engine (audio, sequencer, song data) in core/
   Includes: Web Audio API implementation, Canvas rendering, State Management
 */
 
@@ -7,273 +7,330 @@
 /*
   HOW TO USE:
   1. Open index.html in a modern browser.
-  2. Press SPACE to Play/Stop.
-  3. Channel Rack: Click steps to create a beat. Use knobs for Vol/Pan.
+  2. Press SPACE to Play/Stop. Pause (Shift+Space) keeps the position, Play resumes from it.
+     "Shortcuts" lists every keyboard shortcut; click one and press new keys to rebind it
+     (F5-F8 switch views, P/E/C/U pick tools, Ctrl+S saves). Bindings are kept in this browser.
+  2a. Transport: MET toggles the metronome (accented on the bar), "1 BAR" adds a one bar
+      count-in when recording is armed. TAP sets the tempo from clicks; the select next to it
+      sets the time signature. MAP edits tempo changes and ramps along the song (playback,
+      export and the clock follow them; patterns loop at the BPM field's tempo).
+      Drag along the playlist ruler to set a loop region, LOOP toggles it, right click removes it.
+  2b. Undo / Redo: Ctrl+Z / Ctrl+Shift+Z or Ctrl+Y (or the arrow buttons) for any edit. "History"
+      lists recent actions; click one to jump back (or forward) to it.
+  2c. KEYS (Shift+K) turns the computer keyboard into a piano for the selected channel:
+      Z-M row = lower octave (S, D, G, H, J black keys), Q-P row = upper octave (2, 3, 5...).
+      Shift+Z / Shift+X shift the octave, Shift+C / Shift+V the velocity. Notes are recorded
+      like MIDI input when the record button is armed.
+  3. Channel Rack: Click steps to create a beat. Knobs set Vol / Pan / Pitch (drag, wheel,
+     double-click resets). M / S mute and solo a channel.
+     - Right-click a channel name to rename, clone, delete, switch synth / sampler, pick a
+       color, group or mixer insert. Drag the grip on the left to reorder.
+     - "Show" filters the rack to one group (handy for large kits).
+     - "Edit" switches the steps to Velocity / Pitch / Pan / Probability / Ratchet:
+       drag over active steps to paint values.
+     - Swing: global slider in the rack toolbar plus a per-channel swing knob.
+     - The number box sets a channel's own step count (polymeter); empty = pattern length.
+     - Piano roll notes off the 16th grid play at their exact position.
   4. Piano Roll: Select a channel, go to Piano Roll tab, click to draw notes.
-     - Right Click (or Ctrl+Click) to delete notes.
-     - Drag note edge to resize.
-  5. Mixer: Routing is auto-assigned. Master is on the far left of mixer view.
+     - Drag while drawing to set the length; drag a note to move it, drag its edge to resize.
+     - Right Click (or Ctrl+Click) to delete notes, hold and drag to erase several.
+     - Select tool or Shift+drag: rubber-band selection. Shift+click toggles a note.
+     - Ctrl+C / X / V / D: copy, cut, paste, duplicate. Delete removes the selection.
+     - Arrow Up/Down transpose (Shift = octave), Left/Right move by the snap value.
+     - Snap: 1/4 to 1/32, triplets or off. Quantize and Legato act on the selection (or all).
+     - Velocity lane under the grid: click/drag bars. Ctrl+wheel / Alt+wheel to zoom.
+     - Key: pick a root and scale to highlight its rows (root tinted). "Snap to key" keeps
+       drawn, moved and transposed notes in it. The key is saved with the project.
+     - Chord tool (K): click to stamp the chord chosen next to it (major, minor, 7ths, sus...,
+       or "Triad / 7th (key)" built from the key), with an inversion; drag to set its length.
+     - "Bake arp" replaces the selection (or all notes) with what the arpeggiator plays.
+  5. Mixer: Channels are auto-assigned to inserts; change it with the insert selector
+     in each Channel Rack row. Master is on the far left of mixer view.
+     - Strips have Mute / Solo / Arm buttons and a pan knob (double-click resets).
+     - Select a strip to set its output (route inserts into buses) and post-fader sends.
+       Routes that would form a feedback loop are rejected.
+     - Meters show sample peak (light) and RMS (solid) in dBFS from -60 to +6, with a
+       1.5 s peak hold. The red clip light latches at 0 dBFS; click the meter to clear it.
+     - ANALYZER (top bar) opens the master spectrum, oscilloscope and goniometer, plus
+       EBU R128 loudness (Momentary / Short-term / Integrated LUFS) and max true peak (dBTP).
+       Integrated and true peak start over when playback starts (not on resume from pause).
+     - The CPU readout is the browser's audio render load where it is reported, otherwise the
+       scheduler's share of the main thread. Notes scheduled late (played, but behind time) or
+       dropped (skipped after a long stall) are counted next to it; click it to reset.
+  5b. Synth channels: click the channel name to open the synth editor (3 oscillators with
+      unison, noise, filter + envelope, amp envelope, 2 LFOs, poly/mono/legato, glide).
+      Presets are stored with the channel; "Save preset" also keeps them in this browser.
+  5c. Sampler channels: click the channel name to open the sampler editor. Drag the
+      start/end and loop markers on the waveform; set loop mode, root note, fine tune,
+      reverse, amp envelope and choke group (e.g. put open + closed hats in group 1).
   6. Export: Click "Export WAV" to render the current loop to a .wav file.
+     - Choose length (loops or bars), release tail and bit depth (16/24-bit, 32-bit float).
+     - "Stems" additionally bounces every used mixer insert to its own file.
+  6b. MIDI files: drop a .mid file (or use "Open Project") to import it as a new pattern with
+      one synth channel per track / MIDI channel; the file's tempo is used. Files longer than
+      16 bars are split into several patterns placed on the playlist.
+      "Export MIDI" writes the current pattern or the song; sampler steps go to drum channel 10.
+  7. Projects: "Save Project" downloads a .webdaw file (imported samples embedded),
+     "Open Project" or dropping a .webdaw file loads it back.
+     The project is autosaved to IndexedDB every 30s and offered for recovery on reload.
+  8. Patterns: use the PAT selector in the transport bar to create, clone, rename,
+     delete and switch patterns. Each pattern has its own length (in 16th steps).
+  9. Playlist: pick a pattern or audio source and click to place clips. Drag to move,
+     drag the right edge to resize, right click to delete. Slice/Mute tools split or
+     mute clips. Click the ruler to set the song start, click a track name to mute it.
+     Switch the transport from PAT to SONG to play the arrangement.
+  10. Effects: click a mixer strip, then add EQ / Compressor / Delay / Reverb / Distortion
+      in the Effects Chain panel. Slots can be bypassed, reordered and removed.
+      Compressor "Sidechain" keys its gain reduction from another insert; Release then sets
+      how fast the key follows in both directions, so Attack is hidden. Threshold, ratio and
+      knee still work from the knobs, but their automation lanes pause (marked inactive).
+  11. Automation: in the Automation tab pick a parameter under "+ Add lane" (mixer volume/pan,
+      effect parameters, synth cutoff/resonance). Click to add points, drag to move,
+      right click to delete, Alt+drag a segment to curve it. Lanes belong to the pattern;
+      "To Playlist" copies one into an automation clip (double-click the clip to edit it).
+      With "Rec" on, moving those controls during pattern playback records them.
+  12. MIDI: plug in a controller and play the selected channel (sustain pedal and pitch bend
+      work). "MIDI" in the transport picks the input, MIDI channel, target instrument and
+      record quantize. "MIDI Learn": click a knob/fader/slider, then move a CC to bind it.
+      Arm the red record button to capture what you play during pattern playback.
+  13. Audio recording: "IN" opens the audio input panel. Pick a device ("Test tone" is a
+      built-in synthetic input that beeps on every beat), open it, tick "Arm audio recording"
+      and choose where takes go (a new sampler channel or a playlist track). With the red record
+      button armed, playback records the input from the play position (after the count-in),
+      shifted by the latency compensation (empty = what the browser reports). "Monitor input"
+      plays it through the master.
+  14. Headless: the engine lives in core/ as ES modules (core/index.js exports everything) and
+      does not use the DOM or the UI objects in this file. Core -> UI goes through Events
+      ('channels', 'patterns', 'transport', 'songmode', 'start', 'stop', 'project'); the UI
+      adds its parts (record arm, transport bar, pattern selector, lane editor) on top of the
+      core objects. AudioEngine.init() still creates a live AudioContext from `window` when no
+      context is given, so outside a page import core/index.js and call
+      AudioEngine.init(offlineContext) with any Web Audio implementation. Procedural samples
+      use seeded noise, so a render is reproducible. `npm test` renders patterns that way
+      (web-audio-engine) and checks note timing and output (test/).
+  15. Arpeggiator: in the channel editor of any channel. Mode (up, down, updown, random,
+      played = order of the keys / note starts), rate, gate (fraction of the rate) and octave
+      range. It plays held MIDI / KEYS notes (Latch keeps them going after release; the next
+      chord replaces them) and piano roll chords during playback and export.
   
   SAMPLES:
-  - Default "Kick", "Snare", "Hat" are synthesized procedurally (no download needed).
-  - Drag & Drop any WAV/MP3 file onto the Browser panel to import it.
+  - Default "Kick", "Snare", "Hat" are drum synth channels (no download needed). The drum
+    synth models kick, 808, snare, clap, tom, rim, closed / open hat and cymbal with tune,
+    sweep, decay, click, drive, tone, noise and a noise seed, so renders are reproducible.
+    "Add kit..." in the rack toolbar adds a starter kit; "Render to sampler" in the drum
+    editor bounces a sound into a sampler channel. Edit "Decay (drums)" tweaks single hits.
+  - Drag & Drop WAV/MP3 files onto the Browser panel to add them to the sample library
+    (kept in the browser across projects, imported into the folder shown). Search matches
+    names and tags; right-click a sample to rename it, move it to a folder, tag it or set the
+    tempo of a loop. Click to preview (loops with a tempo play at the project tempo).
+  - Drag a sample onto a channel to replace its sound, onto empty rack space for a new
+    sampler channel, or onto the playlist for an audio clip. Audio files can be dropped on the rack directly. "Change to Synth" /
+    "New Sampler" switch a channel's instrument or add a new channel the same way.
 */
 
-const DAW = {
-    ctx: null,         // AudioContext
-    masterGain: null,
-    isPlaying: false,
-    tempo: 130,
-    currentStep: 0,
-    nextNoteTime: 0.0,
-    lookahead: 25.0,   // ms
-    scheduleAheadTime: 0.1, // sec
-    timerID: null,
-    channels: [],
-    mixerTracks: [],
-    selectedChannelIndex: 0,
-    stepCount: 16,     // Default pattern length
-    
-    // Project Data State
-    state: {
-        patterns: {}, // { patternId: { channelId: [notes...] } }
-        songs: []     // Playlist clips
-    }
-};
-
-// --- AUDIO ENGINE ---
-
-class AudioEngine {
-    static async init() {
-        const AudioContext = window.AudioContext || window.webkitAudioContext;
-        DAW.ctx = new AudioContext({ latencyHint: 'interactive' });
-        
-        // Master Bus
-        DAW.masterGain = DAW.ctx.createGain();
-        DAW.masterGain.connect(DAW.ctx.destination);
-        
-        // Setup Mixer Tracks (0 = Master, 1-16 Inserts)
-        for(let i=0; i<=16; i++) {
-            const track = new MixerTrack(i);
-            DAW.mixerTracks.push(track);
-        }
-
-        // Initialize default channels
-        await this.createChannel('Kick', 'sampler', 'kick');
-        await this.createChannel('Snare', 'sampler', 'snare');
-        await this.createChannel('Hat', 'sampler', 'hat');
-        await this.createChannel('Lead', 'synth', null);
-
-        // Resume context on interaction
-        document.addEventListener('click', () => {
-            if (DAW.ctx.state === 'suspended') DAW.ctx.resume();
-        }, { once: true });
-    }
-
-    static async createChannel(name, type, sampleKey) {
-        const id = DAW.channels.length;
-        const channel = new Channel(id, name, type);
-        if (type === 'sampler' && sampleKey) {
-            // Generate procedural sample for demo
-            channel.buffer = ProceduralAudio.generate(sampleKey);
-        }
-        DAW.channels.push(channel);
-        UIManager.renderChannelRack();
-        return channel;
-    }
-}
-
-class MixerTrack {
-    constructor(index) {
-        this.index = index;
-        this.gainNode = DAW.ctx.createGain();
-        this.panNode = DAW.ctx.createStereoPanner();
-        this.analyser = DAW.ctx.createAnalyser();
-        this.analyser.fftSize = 32;
-        
-        // Chain: Input -> FX -> Gain -> Pan -> Analyser -> Master/Output
-        this.input = DAW.ctx.createGain();
-        this.input.connect(this.gainNode);
-        this.gainNode.connect(this.panNode);
-        this.panNode.connect(this.analyser);
-        
-        if (index > 0) {
-            this.analyser.connect(DAW.mixerTracks[0] ? DAW.mixerTracks[0].input : DAW.masterGain);
-        } else {
-            this.analyser.connect(DAW.masterGain); // Master to context
-        }
+import {
+    DAW, Events, Utils, AudioEngine, MixerTrack, Channel, Sampler, Synth, DrumSynth,
+    Scales, Arpeggiator, Effects, Sequencer, Transport, Patterns, Song, Automation,
+    ProceduralAudio, SamplePool
+} from './core/index.js';
 
-        this.volume = 0.8;
-        this.pan = 0;
-        this.effects = [];
-    }
+// --- TRANSPORT ---
 
-    setVolume(val) { this.gainNode.gain.value = val; this.volume = val; }
-}
+// Transport bar controls on top of the timing in core/transport.js: tap tempo, metronome,
+// count-in and loop buttons, the time signature select and the tempo map panel.
+Object.assign(Transport, {
+    taps: [],
+    dialog: null,
 
-class Channel {
-    constructor(id, name, type) {
-        this.id = id;
-        this.name = name;
-        this.type = type; // 'synth' or 'sampler'
-        this.buffer = null;
-        this.volume = 0.8;
-        this.pan = 0;
-        this.pitch = 0; // semitones
-        this.targetMixerTrack = (id % 16) + 1; // Auto route
-        this.steps = new Array(16).fill(false); // Step sequencer data
-        this.pianoRollNotes = []; // { start, duration, pitch, velocity }
-    }
+    // Count-in only plays while notes or automation are armed to record
+    armed() {
+        return MidiInput.recordArmed || Automation.recording;
+    },
 
-    playNote(time, duration, pitch = 60, velocity = 1.0) {
-        const track = DAW.mixerTracks[this.targetMixerTrack];
-        const dest = track ? track.input : DAW.masterGain;
+    // --- Tap tempo: average of the last few taps, a pause of 2s starts over ---
 
-        if (this.type === 'sampler' && this.buffer) {
-            const src = DAW.ctx.createBufferSource();
-            src.buffer = this.buffer;
-            
-            // Pitch calculation
-            const playbackRate = Math.pow(2, (this.pitch + (pitch - 60)) / 12);
-            src.playbackRate.value = playbackRate;
-
-            const gain = DAW.ctx.createGain();
-            gain.gain.value = this.volume * velocity;
-
-            src.connect(gain);
-            gain.connect(dest);
-            src.start(time);
-            // Simple release
-            src.stop(time + (this.buffer.duration / playbackRate)); // Naive
-        } else if (this.type === 'synth') {
-            const osc = DAW.ctx.createOscillator();
-            const gain = DAW.ctx.createGain();
-            const filter = DAW.ctx.createBiquadFilter();
-
-            osc.type = 'sawtooth';
-            osc.frequency.value = 440 * Math.pow(2, (pitch - 69) / 12);
-            
-            // ADSR Envelope (Simple)
-            const attack = 0.01;
-            const decay = 0.1;
-            const sustain = 0.5;
-            const release = 0.2;
-
-            gain.gain.setValueAtTime(0, time);
-            gain.gain.linearRampToValueAtTime(this.volume * velocity, time + attack);
-            gain.gain.exponentialRampToValueAtTime(this.volume * velocity * sustain, time + attack + decay);
-            
-            osc.connect(filter);
-            filter.connect(gain);
-            gain.connect(dest);
+    tap() {
+        const now = performance.now();
+        if (this.taps.length && now - this.taps[this.taps.length - 1] > 2000) this.taps = [];
+        this.taps.push(now);
+        if (this.taps.length > 5) this.taps.shift();
+        if (this.taps.length < 2) return;
+        const interval = (this.taps[this.taps.length - 1] - this.taps[0]) / (this.taps.length - 1);
+        const bpm = Math.max(20, Math.min(300, Math.round(60000 / interval)));
+        History.change('Tap tempo', () => DAW.tempo, v => {
+            DAW.tempo = v;
+            document.getElementById('bpm-input').value = v;
+        }, bpm, 'tap-tempo');
+    },
 
-            osc.start(time);
-            
-            const stopTime = time + duration;
-            gain.gain.setValueAtTime(this.volume * velocity * sustain, stopTime);
-            gain.gain.exponentialRampToValueAtTime(0.001, stopTime + release);
-            osc.stop(stopTime + release + 0.1);
-        }
-    }
-}
+    init() {
+        document.getElementById('btn-pause').onclick = Sequencer.pause;
+        document.getElementById('btn-tap').onclick = () => this.tap();
+        document.getElementById('btn-metronome').onclick = () => {
+            DAW.metronome = !DAW.metronome;
+            this.renderButtons();
+        };
+        document.getElementById('btn-count-in').onclick = () => {
+            DAW.countIn = !DAW.countIn;
+            this.renderButtons();
+        };
+        document.getElementById('btn-loop').onclick = () => {
+            const loop = Song.current().loop;
+            if (!loop) {
+                alert('Drag along the playlist ruler to set a loop region first.');
+                return;
+            }
+            const commit = Playlist.track(loop.enabled ? 'Loop off' : 'Loop on');
+            loop.enabled = !loop.enabled;
+            commit();
+            this.renderButtons();
+            Playlist.render();
+        };
 
-// --- SEQUENCER ---
+        const select = document.getElementById('time-signature');
+        select.innerHTML = this.TIME_SIGNATURES.map(sig => `<option value="${sig.join('/')}">${sig.join('/')}</option>`).join('');
+        select.onchange = () => {
+            History.change('Time signature', () => DAW.timeSignature.join('/'),
+                v => this.setTimeSignature(v.split('/').map(Number)), select.value);
+            Patterns.refresh();
+        };
 
-class Sequencer {
-    static start() {
-        if (DAW.isPlaying) return;
-        if (DAW.ctx.state === 'suspended') DAW.ctx.resume();
-        DAW.isPlaying = true;
-        DAW.currentStep = 0;
-        DAW.nextNoteTime = DAW.ctx.currentTime;
-        Sequencer.scheduler();
-        document.getElementById('btn-play').style.color = '#0f0';
-    }
+        this.dialog = document.getElementById('tempo-panel');
+        this.dialog.querySelector('[data-action="close"]').onclick = () => this.dialog.close();
+        document.getElementById('btn-tempo-map').onclick = () => {
+            if (this.dialog.open) return this.dialog.close();
+            this.dialog.show();
+            this.render();
+        };
+        this.renderButtons();
+    },
 
-    static stop() {
-        DAW.isPlaying = false;
-        clearTimeout(DAW.timerID);
-        document.getElementById('btn-play').style.color = '#eee';
-    }
+    renderButtons() {
+        document.getElementById('btn-metronome').classList.toggle('active', DAW.metronome);
+        document.getElementById('btn-count-in').classList.toggle('active', DAW.countIn);
+        const loop = Song.current().loop;
+        document.getElementById('btn-loop').classList.toggle('active', !!(loop && loop.enabled));
+        document.getElementById('time-signature').value = DAW.timeSignature.join('/');
+    },
 
-    static scheduler() {
-        // While there are notes that will need to play before the next interval, schedule them
-        while (DAW.nextNoteTime < DAW.ctx.currentTime + DAW.scheduleAheadTime) {
-            Sequencer.scheduleNote(DAW.currentStep, DAW.nextNoteTime);
-            Sequencer.nextStep();
-        }
-        if (DAW.isPlaying) {
-            DAW.timerID = setTimeout(Sequencer.scheduler, DAW.lookahead);
-        }
-    }
+    // --- Tempo map panel ---
 
-    static nextStep() {
-        const secondsPerBeat = 60.0 / DAW.tempo;
-        DAW.nextNoteTime += 0.25 * secondsPerBeat; // 16th notes
-        DAW.currentStep++;
-        if (DAW.currentStep === DAW.stepCount) DAW.currentStep = 0;
-    }
+    // Edits go through a playlist snapshot since the map lives in the song
+    editMap(label, fn) {
+        const commit = Playlist.track(label);
+        fn();
+        const song = Song.current();
+        song.tempoMap.sort((a, b) => a.step - b.step);
+        song.tempoMap = song.tempoMap.filter((p, i, all) => i === 0 || p.step !== all[i - 1].step);
+        commit();
+        this.render();
+        Playlist.render();
+    },
 
-    static scheduleNote(stepNumber, time) {
-        // UI Visualization Queue
-        requestAnimationFrame(() => {
-            const steps = document.querySelectorAll('.step');
-            steps.forEach(s => s.style.border = 'none');
-            // Highlight current column (simplified)
+    render() {
+        if (!this.dialog || !this.dialog.open) return;
+        const body = this.dialog.querySelector('.editor-body');
+        const map = Song.current().tempoMap;
+        const perBar = this.stepsPerBar();
+        const perBeat = this.stepsPerBeat();
+        body.innerHTML = `
+            <div class="tempo-row tempo-head"><span>Bar</span><span>Beat</span><span>BPM</span><span>Ramp</span><span></span></div>
+            <div class="tempo-row"><span>1</span><span>1</span><span>${DAW.tempo}</span><span></span><span></span></div>
+            ${map.map((point, i) => `
+                <div class="tempo-row" data-index="${i}">
+                    <input type="number" name="bar" min="1" value="${Math.floor(point.step / perBar) + 1}">
+                    <input type="number" name="beat" min="1" max="${DAW.timeSignature[0]}" value="${Math.floor(point.step % perBar / perBeat) + 1}">
+                    <input type="number" name="bpm" min="20" max="300" step="0.1" value="${point.bpm}">
+                    <input type="checkbox" name="ramp" title="Ramp from the previous tempo" ${point.ramp ? 'checked' : ''}>
+                    <button data-action="remove" title="Remove">&#10005;</button>
+                </div>`).join('')}
+            <div class="editor-presets"><button data-action="add">+ Tempo change at song start marker</button></div>
+        `;
+        body.querySelectorAll('.tempo-row[data-index]').forEach(row => {
+            const index = parseInt(row.dataset.index);
+            const field = (name) => row.querySelector(`[name="${name}"]`);
+            row.querySelectorAll('input').forEach(input => input.onchange = () => this.editMap('Edit tempo change', () => {
+                const point = Song.current().tempoMap[index];
+                const bar = Math.max(1, parseInt(field('bar').value) || 1);
+                const beat = Math.max(1, Math.min(DAW.timeSignature[0], parseInt(field('beat').value) || 1));
+                point.step = (bar - 1) * perBar + (beat - 1) * perBeat;
+                point.bpm = Math.max(20, Math.min(300, parseFloat(field('bpm').value) || DAW.tempo));
+                point.ramp = field('ramp').checked;
+            }));
+            row.querySelector('[data-action="remove"]').onclick = () =>
+                this.editMap('Remove tempo change', () => Song.current().tempoMap.splice(index, 1));
         });
-
-        DAW.channels.forEach(ch => {
-            // 1. Play Step Sequencer
-            if (ch.steps[stepNumber]) {
-                ch.playNote(time, 0.1, 60, 1.0); // Default C4 for drums
-            }
-            
-            // 2. Play Piano Roll Notes
-            // Convert stepNumber to time offset in pattern, check active notes
-            // NOTE: A full Piano Roll scheduler is complex. 
-            // Simplified: Notes strictly quantized to 16th grid for this demo.
-            ch.pianoRollNotes.forEach(note => {
-                // note.start is in 16th steps
-                if (Math.abs(note.start - stepNumber) < 0.01) {
-                    const dur = note.duration * (60 / DAW.tempo / 4);
-                    ch.playNote(time, dur, note.pitch, note.velocity);
-                }
-            });
+        body.querySelector('[data-action="add"]').onclick = () => this.editMap('Add tempo change', () => {
+            Song.current().tempoMap.push({ step: DAW.songPosition, bpm: Math.round(this.tempoAt(DAW.songPosition)), ramp: false });
         });
-
-        // Update Transport UI
-        const bar = Math.floor(stepNumber / 16) + 1;
-        const beat = Math.floor((stepNumber % 16) / 4) + 1;
-        const sixteenth = (stepNumber % 4) + 1;
-        document.getElementById('lcd-bar').innerText = `${bar}.${beat}.${sixteenth}`;
     }
-}
+});
 
 // --- UI MANAGER ---
 
 class UIManager {
+    // Per-step values editable in the channel rack ('' = plain on/off steps)
+    static stepParam = '';
+    static stepParams = {
+        velocity: { min: 0, max: 1, label: v => `${Math.round(v * 100)}%` },
+        pitch: { min: -24, max: 24, step: 1, label: v => `${v > 0 ? '+' : ''}${v} st` },
+        pan: { min: -1, max: 1, label: v => v === 0 ? 'C' : `${Math.round(Math.abs(v) * 100)}${v < 0 ? 'L' : 'R'}` },
+        probability: { min: 0, max: 1, label: v => `${Math.round(v * 100)}%` },
+        ratchet: { min: 1, max: 4, step: 1, label: v => `x${v}` },
+        decay: { min: 0.25, max: 2, label: v => `${Math.round(v * 100)}% decay` } // drum channels
+    };
+
     static init() {
+        // Engine events
+        Events.on('channels', () => {
+            UIManager.renderChannelRack();
+            PianoRoll.render();
+        });
+        Events.on('transport', ({ playing, step }) => {
+            document.getElementById('btn-play').style.color = playing ? '#0f0' : '#eee';
+            if (step !== undefined) UIManager.updateLCD(step);
+        });
+        Events.on('songmode', () => {
+            const btn = document.getElementById('btn-song-mode');
+            btn.innerText = DAW.songMode ? 'SONG' : 'PAT';
+            btn.classList.toggle('active', DAW.songMode);
+        });
+        Events.on('project', () => UIManager.refreshProject());
+
+        // Resume context on interaction
+        document.addEventListener('click', () => {
+            if (DAW.ctx.state === 'suspended') DAW.ctx.resume();
+        }, { once: true });
+
         // Tabs
         document.querySelectorAll('.tab-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                document.querySelectorAll('.tab-btn').forEach(b => b.classList.remove('active'));
-                document.querySelectorAll('.view-panel').forEach(p => p.classList.remove('active'));
-                e.target.classList.add('active');
-                document.getElementById(e.target.dataset.target).classList.add('active');
-                
-                if (e.target.dataset.target === 'piano-roll-view') PianoRoll.render();
-            });
+            btn.addEventListener('click', () => UIManager.showTab(btn.dataset.target));
         });
 
         // Transport
         document.getElementById('btn-play').onclick = Sequencer.start;
         document.getElementById('btn-stop').onclick = Sequencer.stop;
-        document.getElementById('bpm-input').onchange = (e) => DAW.tempo = parseInt(e.target.value);
+        document.getElementById('btn-song-mode').onclick = () => Sequencer.setSongMode(!DAW.songMode);
+        document.getElementById('bpm-input').onchange = (e) => {
+            History.set('Tempo', DAW, 'tempo', Math.max(20, Math.min(300, parseInt(e.target.value) || DAW.tempo)));
+            e.target.value = DAW.tempo;
+            Transport.render();
+        };
+        document.getElementById('swing-input').oninput = (e) => History.set('Swing', DAW, 'swing', parseFloat(e.target.value));
+        document.getElementById('step-param').onchange = (e) => {
+            UIManager.stepParam = e.target.value;
+            UIManager.renderChannelRack();
+        };
         document.getElementById('btn-export').onclick = WAVExporter.export;
+        document.getElementById('btn-save').onclick = () => ProjectIO.saveToFile();
+        document.getElementById('btn-open').onclick = () => document.getElementById('file-import').click();
+        document.getElementById('file-import').onchange = (e) => {
+            FileLoader.importFiles(e.target.files);
+            e.target.value = '';
+        };
 
-        // Add Channel
-        document.getElementById('add-channel-btn').onclick = () => AudioEngine.createChannel('New Synth', 'synth');
+        // Add Channel (into the group being shown)
+        document.getElementById('add-channel-btn').onclick = () => ChannelRack.addChannels([{ name: 'New Synth', type: 'synth' }]);
 
         // Drag & Drop
         const dropZone = document.getElementById('drop-zone');
@@ -283,20 +340,96 @@ class UIManager {
             e.preventDefault();
             dropZone.style.background = '';
             const files = e.dataTransfer.files;
-            if (files.length > 0) FileLoader.loadSample(files[0]);
+            if (files.length > 0) FileLoader.importFiles(files);
         };
 
+        Keyboard.init();
+        History.init();
+        SampleLibrary.init();
+        Meters.init();
         PianoRoll.init();
+        ChannelEditor.init();
+        ChannelRack.init();
+        Patterns.initUI();
+        Playlist.init();
+        Automation.init();
+        WAVExporter.init();
+        MidiFile.init();
+        Transport.init();
         UIManager.renderMixer();
+        UIManager.renderChannelRack();
+        UIManager.startTransportDisplay();
+    }
+
+    // Everything that shows project data, after ProjectIO.load
+    static refreshProject() {
+        ChannelEditor.dialog.close();
+        History.clear();
+        document.getElementById('bpm-input').value = DAW.tempo;
+        document.getElementById('swing-input').value = DAW.swing;
+        Patterns.renderSelector();
+        Playlist.restore();
+        Transport.renderButtons();
+        Transport.render();
+        UIManager.updateLCD(0);
+        UIManager.renderChannelRack();
+        UIManager.renderMixer();
+        PianoRoll.syncScale();
+        PianoRoll.render();
+    }
+
+    static showTab(target) {
+        document.querySelectorAll('.tab-btn').forEach(b => b.classList.toggle('active', b.dataset.target === target));
+        document.querySelectorAll('.view-panel').forEach(p => p.classList.toggle('active', p.id === target));
+        if (target === 'piano-roll-view') PianoRoll.render();
+        if (target === 'playlist-view') Playlist.render();
+        if (target === 'automation-view') Automation.render();
+    }
+
+    // LCD + playhead follow the audio clock rather than the (ahead-of-time) scheduler
+    static startTransportDisplay() {
+        const update = () => {
+            let latest = null;
+            while (DAW.uiQueue.length && DAW.uiQueue[0].time <= DAW.ctx.currentTime) {
+                latest = DAW.uiQueue.shift();
+            }
+            if (latest) {
+                UIManager.updateLCD(latest.step);
+                if (DAW.songMode) {
+                    Playlist.playheadStep = latest.step;
+                    Playlist.render();
+                } else {
+                    UIManager.highlightSteps(latest.step, latest.counter);
+                }
+            }
+            requestAnimationFrame(update);
+        };
+        requestAnimationFrame(update);
+    }
+
+    // Bar.beat.step and elapsed time of a step (song steps follow the tempo map)
+    static updateLCD(step) {
+        const perBar = Transport.stepsPerBar();
+        const perBeat = Transport.stepsPerBeat();
+        const bar = Math.floor(step / perBar) + 1;
+        const beat = Math.floor((step % perBar) / perBeat) + 1;
+        const sub = (step % perBeat) + 1;
+        document.getElementById('lcd-bar').innerText = `${bar}.${beat}.${sub}`;
+        document.getElementById('lcd-time').innerText = Utils.formatTime(DAW.songMode ? Transport.time(step) : step * Transport.stepDuration());
+        document.getElementById('lcd-tempo').innerText = Math.round(DAW.songMode ? Transport.tempoAt(step) : DAW.tempo);
     }
 
     static renderChannelRack() {
         const container = document.getElementById('channel-list');
         container.innerHTML = '';
 
+        ChannelRack.renderFilter();
+
         DAW.channels.forEach((ch, idx) => {
+            if (!ChannelRack.visible(ch)) return;
             const row = document.createElement('div');
-            row.className = `channel-row ${DAW.selectedChannelIndex === idx ? 'selected' : ''}`;
+            row.className = `channel-row ${DAW.selectedChannelIndex === idx ? 'selected' : ''} ${ch.audible ? '' : 'silent'}`;
+            ChannelRack.bindDrag(row, idx);
             row.onclick = (e) => {
                 if(!e.target.classList.contains('step')) {
                     DAW.selectedChannelIndex = idx;
@@ -305,64 +438,305 @@ class UIManager {
                 }
             };
 
+            // Drag handle for reordering
+            const grip = document.createElement('div');
+            grip.className = 'ch-grip';
+            grip.draggable = true;
+            grip.title = 'Drag to reorder';
+            grip.innerHTML = '&#8942;';
+            row.appendChild(grip);
+
+            // Mute / Solo
+            const buttons = document.createElement('div');
+            buttons.className = 'strip-buttons';
+            buttons.innerHTML = `
+                <button data-action="mute" class="${ch.muted ? 'on' : ''}" title="Mute channel">M</button>
+                <button data-action="solo" class="${ch.soloed ? 'on' : ''}" title="Solo channel">S</button>
+            `;
+            buttons.querySelectorAll('button').forEach(b => {
+                b.onclick = (e) => {
+                    e.stopPropagation();
+                    const key = b.dataset.action === 'mute' ? 'muted' : 'soloed';
+                    History.set(b.dataset.action === 'mute' ? 'Mute channel' : 'Solo channel', ch, key, !ch[key], null);
+                    UIManager.renderChannelRack();
+                };
+            });
+            row.appendChild(buttons);
+
             // Name
             const btn = document.createElement('div');
             btn.className = 'ch-btn';
             btn.innerText = ch.name;
+            btn.title = 'Open instrument editor (right-click for channel options)';
+            if (ch.color) btn.style.borderLeft = `4px solid ${ch.color}`;
+            btn.onclick = () => ChannelEditor.open(ch);
+            btn.oncontextmenu = (e) => ChannelRack.openMenu(ch, e);
             row.appendChild(btn);
 
-            // Controls (Simple Vol/Pan knobs)
+            // Vol / Pan / Pitch knobs
             const controls = document.createElement('div');
             controls.className = 'ch-controls';
-            controls.innerHTML = `
-                <div class="knob-wrap" title="Volume"><div class="knob-circle" style="transform: rotate(${-135 + (ch.volume * 270)}deg)"><div class="knob-line"></div></div></div>
-                <div class="knob-wrap" title="Pan"><div class="knob-circle" style="transform: rotate(${(ch.pan * 90)}deg)"><div class="knob-line"></div></div></div>
-            `;
-            // Add Knob Drag Logic here (simplified for brevity)
+            const knob = (title, options) => {
+                const wrap = document.createElement('div');
+                wrap.className = 'knob-wrap';
+                wrap.title = title;
+                wrap.innerHTML = '<div class="knob-circle"><div class="knob-line"></div></div>';
+                UIManager.bindKnob(wrap, options);
+                controls.appendChild(wrap);
+            };
+            knob('Volume', {
+                min: 0, max: 1, defaultValue: 0.8, label: 'Channel volume',
+                get: () => ch.volume,
+                set: v => ch.volume = v
+            });
+            knob('Pan', {
+                min: -1, max: 1, defaultValue: 0, label: 'Channel pan',
+                get: () => ch.pan,
+                set: v => ch.pan = v
+            });
+            knob('Pitch (semitones)', {
+                min: -24, max: 24, defaultValue: 0, label: 'Channel pitch',
+                get: () => ch.pitch,
+                set: v => ch.pitch = Math.round(v)
+            });
             row.appendChild(controls);
 
-            // Step Sequencer
-            const seq = document.createElement('div');
-            seq.className = 'step-sequencer';
-            for(let i=0; i<DAW.stepCount; i++) {
-                const step = document.createElement('div');
-                step.className = `step ${ch.steps[i] ? 'active' : ''}`;
+            // Mixer target
+            const target = document.createElement('select');
+            target.className = 'ch-target';
+            target.title = 'Mixer insert';
+            target.innerHTML = DAW.mixerTracks
+                .map(t => `<option value="${t.index}">${t.index === 0 ? 'M' : t.index}</option>`)
+                .join('');
+            target.value = ch.targetMixerTrack;
+            target.onclick = (e) => e.stopPropagation();
+            target.onchange = () => History.set('Mixer insert', ch, 'targetMixerTrack', parseInt(target.value));
+            row.appendChild(target);
+
+            // Per-channel swing, added to the global amount
+            const swing = document.createElement('div');
+            swing.className = 'knob-wrap';
+            swing.title = 'Channel swing';
+            swing.innerHTML = '<div class="knob-circle"><div class="knob-line"></div></div>';
+            UIManager.bindKnob(swing, {
+                min: 0, max: 1, defaultValue: 0, label: 'Channel swing',
+                get: () => ch.swing,
+                set: v => ch.swing = v
+            });
+            row.appendChild(swing);
+
+            // Channel length for polymeter (empty = follow the pattern)
+            const data = Patterns.dataFor(ch.id);
+            const length = document.createElement('input');
+            length.type = 'number';
+            length.className = 'ch-length';
+            length.min = 1;
+            length.max = 256;
+            length.placeholder = Patterns.active().length;
+            length.title = 'Channel steps (empty = pattern length)';
+            length.value = data.length || '';
+            length.onclick = (e) => e.stopPropagation();
+            length.onchange = () => {
+                const val = parseInt(length.value);
+                History.set('Channel steps', data, 'length', val >= 1 ? Math.min(256, val) : null);
+                UIManager.renderChannelRack();
+            };
+            row.appendChild(length);
+
+            row.appendChild(UIManager.renderSteps(ch, data));
+
+            container.appendChild(row);
+        });
+    }
+
+    // Step buttons for one channel. In a param mode, dragging over active steps paints the value.
+    static renderSteps(ch, data) {
+        const seq = document.createElement('div');
+        seq.className = 'step-sequencer';
+        const stepCount = data.length || Patterns.active().length;
+        if (data.length) seq.dataset.poly = 'true';
+        const param = UIManager.stepParams[UIManager.stepParam];
+        const perBeat = Transport.stepsPerBeat();
+
+        for (let i = 0; i < stepCount; i++) {
+            const step = document.createElement('div');
+            step.className = `step ${i % perBeat === 0 ? 'beat' : ''} ${data.steps[i] ? 'active' : ''}`;
+            step.dataset.index = i;
+            if (!param) {
                 step.onclick = (e) => {
                     e.stopPropagation();
-                    ch.steps[i] = !ch.steps[i];
+                    History.set('Toggle step', data.steps, i, data.steps[i] ? false : Patterns.newStep(), null);
                     step.classList.toggle('active');
                 };
-                seq.appendChild(step);
+            } else {
+                step.classList.add('param');
+                UIManager.drawStepParam(step, data.steps[i]);
             }
-            row.appendChild(seq);
+            seq.appendChild(step);
+        }
 
-            container.appendChild(row);
+        if (param) {
+            const paint = (e) => {
+                const el = e.target.closest('.step');
+                const value = el && data.steps[el.dataset.index];
+                if (!value) return;
+                const rect = el.getBoundingClientRect();
+                const norm = Math.max(0, Math.min(1, 1 - (e.clientY - rect.top) / rect.height));
+                let v = param.min + norm * (param.max - param.min);
+                if (param.step) v = Math.round(v / param.step) * param.step;
+                value[UIManager.stepParam] = v;
+                UIManager.drawStepParam(el, value);
+            };
+            seq.onmousedown = (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                const commit = History.track(`Paint ${UIManager.stepParam}`, () => data.steps,
+                    steps => data.steps.splice(0, data.steps.length, ...steps));
+                paint(e);
+                seq.onmousemove = paint;
+                window.addEventListener('mouseup', () => {
+                    seq.onmousemove = null;
+                    commit();
+                }, { once: true });
+            };
+        }
+        return seq;
+    }
+
+    static drawStepParam(el, value) {
+        const key = UIManager.stepParam;
+        const param = UIManager.stepParams[key];
+        el.innerHTML = '';
+        el.title = value ? param.label(value[key]) : '';
+        if (!value) return;
+        const bar = document.createElement('div');
+        bar.className = 'step-bar';
+        if (param.min < 0) {
+            // Bipolar: grow up/down from the middle
+            const half = value[key] / param.max * 50;
+            bar.style.bottom = `${Math.min(50, 50 + half)}%`;
+            bar.style.height = `${Math.max(1, Math.abs(half))}%`;
+        } else {
+            bar.style.bottom = '0';
+            bar.style.height = `${(value[key] - param.min) / (param.max - param.min) * 100}%`;
+        }
+        el.appendChild(bar);
+    }
+
+    // Outline the step each channel is playing; polymetric rows wrap at their own length
+    static highlightSteps(step, counter) {
+        document.querySelectorAll('.step.playing').forEach(el => el.classList.remove('playing'));
+        document.querySelectorAll('#channel-list .step-sequencer').forEach(seq => {
+            const cells = seq.children;
+            const index = seq.dataset.poly ? counter % cells.length : step;
+            if (cells[index]) cells[index].classList.add('playing');
         });
     }
 
+    // Vertical drag / wheel to change, double-click to reset. Rotation spans -135..135deg.
+    // Changes are recorded in History under `label`; one drag is one entry.
+    // `automation` names a target that records knob moves while automation recording is on.
+    static bindKnob(wrap, { min, max, defaultValue, label, automation, get, set }) {
+        const circle = wrap.querySelector('.knob-circle');
+        if (automation) wrap.dataset.automation = automation; // MIDI Learn target
+        const draw = () => {
+            const norm = (get() - min) / (max - min);
+            circle.style.transform = `rotate(${-135 + norm * 270}deg)`;
+            wrap.dataset.value = get().toFixed(2);
+        };
+        const update = (val) => {
+            const value = Math.max(min, Math.min(max, val));
+            History.change(label, get, set, value, wrap);
+            if (automation) Automation.record(automation, value);
+            draw();
+        };
+        wrap.onmousedown = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const startY = e.clientY;
+            const startVal = get();
+            const move = (ev) => update(startVal + (startY - ev.clientY) / 150 * (max - min));
+            window.addEventListener('mousemove', move);
+            window.addEventListener('mouseup', () => window.removeEventListener('mousemove', move), { once: true });
+        };
+        wrap.onwheel = (e) => {
+            e.preventDefault();
+            update(get() - Math.sign(e.deltaY) * (max - min) / 50);
+        };
+        wrap.ondblclick = (e) => {
+            e.stopPropagation();
+            update(defaultValue);
+        };
+        draw();
+    }
+
     static renderMixer() {
         const container = document.getElementById('mixer-strips');
         container.innerHTML = '';
         DAW.mixerTracks.forEach((track, i) => {
             const strip = document.createElement('div');
-            strip.className = `mixer-strip ${i === 0 ? 'master' : ''}`;
+            strip.className = `mixer-strip ${i === 0 ? 'master' : ''} ${DAW.selectedMixerTrack === i ? 'selected' : ''}`;
+            strip.onclick = () => {
+                if (DAW.selectedMixerTrack === i) return;
+                DAW.selectedMixerTrack = i;
+                container.querySelectorAll('.mixer-strip').forEach((el, j) => el.classList.toggle('selected', j === i));
+                FXRack.render();
+            };
             strip.innerHTML = `
                 <div style="font-size:10px;">${i === 0 ? 'M' : i}</div>
-                <div class="meter"><div class="meter-peak" id="meter-${i}"></div></div>
+                <div class="strip-buttons">
+                    <button data-action="mute" class="${track.muted ? 'on' : ''}" title="Mute">M</button>
+                    <button data-action="solo" class="${track.soloed ? 'on' : ''}" title="Solo" ${i === 0 ? 'disabled' : ''}>S</button>
+                    <button data-action="arm" class="${track.armed ? 'on' : ''}" title="Arm for recording">R</button>
+                </div>
+                <div class="knob-wrap" title="Pan"><div class="knob-circle"><div class="knob-line"></div></div></div>
+                <div class="strip-route">${i === 0 ? 'OUT' : (track.output === 0 ? '&rarr;M' : '&rarr;' + track.output)}</div>
+                <div class="meter" id="meter-${i}">
+                    <div class="meter-clip"></div>
+                    <div class="meter-bars">${'<div class="meter-bar"><div class="meter-rms"></div><div class="meter-peak"></div><div class="meter-hold"></div></div>'.repeat(2)}</div>
+                </div>
                 <div class="fader-track">
                     <div class="fader-handle" style="bottom: ${track.volume * 100}%"></div>
                 </div>
                 <div style="font-size:9px; margin-top:5px;">${(track.volume * 100).toFixed(0)}</div>
             `;
             
+            // Mute / Solo / Arm
+            const toggles = {
+                mute: () => History.change('Mute', () => track.muted, v => track.setMute(v), !track.muted),
+                solo: () => History.change('Solo', () => track.soloed, v => track.setSolo(v), !track.soloed),
+                arm: () => History.set('Arm', track, 'armed', !track.armed, null)
+            };
+            strip.querySelectorAll('.strip-buttons button').forEach(btn => {
+                btn.onclick = (e) => {
+                    e.stopPropagation();
+                    toggles[btn.dataset.action]();
+                    UIManager.renderMixer();
+                };
+            });
+
+            // Pan knob
+            UIManager.bindKnob(strip.querySelector('.knob-wrap'), {
+                min: -1, max: 1, defaultValue: 0, label: 'Mixer pan', automation: `mixer:${i}:pan`,
+                get: () => track.pan,
+                set: (val) => track.setPan(val)
+            });
+
+            strip.querySelector('.meter').onclick = (e) => {
+                e.stopPropagation();
+                Meters.resetClip(track);
+            };
+
             // Interaction: Fader
             const faderTrack = strip.querySelector('.fader-track');
+            faderTrack.dataset.automation = `mixer:${i}:volume`;
             faderTrack.onmousedown = (e) => {
                 const move = (ev) => {
                     const rect = faderTrack.getBoundingClientRect();
                     let val = 1 - (ev.clientY - rect.top) / rect.height;
                     val = Math.max(0, Math.min(1, val));
-                    track.setVolume(val);
+                    History.change('Mixer volume', () => track.volume, v => track.setVolume(v), val, [track, 'volume']);
+                    Automation.record(`mixer:${i}:volume`, val);
                     strip.querySelector('.fader-handle').style.bottom = (val * 100) + '%';
                 };
                 window.addEventListener('mousemove', move);
@@ -372,227 +746,4918 @@ class UIManager {
             container.appendChild(strip);
         });
 
-        // Simple Meter Animation Loop
-        const animateMeters = () => {
-            if (!DAW.isPlaying) return requestAnimationFrame(animateMeters);
-            const tempArray = new Uint8Array(32);
-            DAW.mixerTracks.forEach((t, i) => {
-                t.analyser.getByteFrequencyData(tempArray);
-                const avg = tempArray.reduce((a,b)=>a+b) / tempArray.length;
-                const el = document.getElementById(`meter-${i}`);
-                if(el) el.style.height = (avg / 255 * 100) + '%';
-            });
-            requestAnimationFrame(animateMeters);
-        };
-        requestAnimationFrame(animateMeters);
+        FXRack.render();
     }
 }
 
-// --- PIANO ROLL ---
+// --- CHANNEL RACK ---
+
+// Channel management from the rack: context menu (rename, clone, delete, instrument type,
+// color, group, mixer insert), drag-to-reorder and the group filter.
+const ChannelRack = {
+    menu: null,
+    channel: null,   // channel the menu edits
+    filter: '',      // group shown in the rack, '' = all
+    dragIndex: null,
 
-const PianoRoll = {
-    canvas: null,
-    ctx: null,
-    zoomX: 20, // px per 16th step
-    zoomY: 20, // px per semitone
-    
     init() {
-        this.canvas = document.getElementById('piano-canvas');
-        this.ctx = this.canvas.getContext('2d');
-        
-        // Generate Keys sidebar
-        const keyContainer = document.getElementById('piano-keys-container');
-        const noteNames = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
-        for(let i=84; i>=36; i--) { // C7 to C3
-            const key = document.createElement('div');
-            const noteName = noteNames[i % 12];
-            const isBlack = noteName.includes('#');
-            key.className = `key ${isBlack ? 'black' : 'white'}`;
-            if(noteName === 'C') key.innerHTML = `<span>C${Math.floor(i/12)-1}</span>`;
-            keyContainer.appendChild(key);
-        }
-        
-        this.resize();
-        window.addEventListener('resize', () => this.resize());
-        
-        // Interaction
-        this.canvas.addEventListener('mousedown', this.handleInput.bind(this));
+        this.menu = document.getElementById('channel-menu');
+        this.menu.querySelector('[data-action="close"]').onclick = () => this.menu.close();
+        document.getElementById('channel-filter').onchange = (e) => {
+            this.filter = e.target.value;
+            UIManager.renderChannelRack();
+        };
+        const kits = document.getElementById('drum-kit');
+        kits.innerHTML = '<option value="">Add kit...</option>' +
+            Object.keys(DrumSynth.kits).map(k => `<option value="${k}">${k}</option>`).join('');
+        kits.onchange = async () => {
+            const name = kits.value;
+            kits.value = '';
+            await this.addKit(name);
+            this.filter = name;
+            UIManager.renderChannelRack();
+        };
     },
 
-    resize() {
-        if(!this.canvas) return;
-        this.canvas.width = 16 * 4 * this.zoomX; // 4 bars
-        this.canvas.height = (84-36+1) * this.zoomY;
-        this.render();
+    groups() {
+        return [...new Set(DAW.channels.map(ch => ch.group).filter(Boolean))].sort();
     },
 
-    render() {
-        if(!this.ctx) return;
-        const w = this.canvas.width;
-        const h = this.canvas.height;
-        const ctx = this.ctx;
+    visible(ch) {
+        return !this.filter || ch.group === this.filter;
+    },
 
-        // Background
-        ctx.fillStyle = '#222';
-        ctx.fillRect(0, 0, w, h);
+    renderFilter() {
+        const groups = this.groups();
+        if (!groups.includes(this.filter)) this.filter = '';
+        const select = document.getElementById('channel-filter');
+        select.innerHTML = '<option value="">All</option>' + groups.map(g => `<option>${g}</option>`).join('');
+        select.value = this.filter;
+    },
 
-        // Grid
-        ctx.strokeStyle = '#333';
-        ctx.lineWidth = 1;
-        
-        // Vertical (Time)
-        for(let i=0; i<16*4; i++) {
-            const x = i * this.zoomX;
-            ctx.beginPath();
-            ctx.moveTo(x, 0);
-            ctx.lineTo(x, h);
-            ctx.stroke();
-            if(i % 4 === 0) { // Beat lines
-                ctx.fillStyle = 'rgba(255,255,255,0.1)';
-                ctx.fillRect(x, 0, 1, h);
-            }
-        }
+    openMenu(ch, e) {
+        e.preventDefault();
+        this.channel = ch;
+        this.renderMenu();
+        this.menu.style.left = `${e.clientX}px`;
+        this.menu.style.top = `${e.clientY}px`;
+        if (!this.menu.open) this.menu.show();
+    },
 
-        // Horizontal (Pitch)
-        for(let i=0; i<(84-36); i++) {
-            const y = i * this.zoomY;
-            ctx.beginPath();
-            ctx.moveTo(0, y);
-            ctx.lineTo(w, y);
-            ctx.stroke();
-        }
+    renderMenu() {
+        const ch = this.channel;
+        if (!DAW.channels.includes(ch)) return this.menu.close(); // removed by undo
+        this.menu.querySelector('.editor-title').innerText = ch.name;
+        const body = this.menu.querySelector('.editor-body');
+        body.innerHTML = `
+            <div class="channel-menu-actions">
+                <button data-action="rename">Rename</button>
+                <button data-action="clone">Clone</button>
+                <button data-action="delete">Delete</button>
+            </div>
+            <label>Instrument
+                <select name="type">
+                    <option value="synth">Synth</option>
+                    <option value="sampler">Sampler</option>
+                    <option value="drum">Drum synth</option>
+                </select>
+            </label>
+            <label>Color <input type="color" name="color"> <button data-action="no-color">None</button></label>
+            <label>Group <input type="text" name="group" list="channel-groups" placeholder="none"></label>
+            <datalist id="channel-groups">${this.groups().map(g => `<option value="${g}">`).join('')}</datalist>
+            <label>Mixer insert
+                <select name="target">
+                    ${DAW.mixerTracks.map(t => `<option value="${t.index}">${t.index === 0 ? 'Master' : t.index}</option>`).join('')}
+                </select>
+            </label>
+        `;
+        const field = (name) => body.querySelector(`[name="${name}"]`);
+        field('type').value = ch.type;
+        field('color').value = ch.color || '#888888';
+        field('group').value = ch.group;
+        field('target').value = ch.targetMixerTrack;
 
-        // Notes
-        const ch = DAW.channels[DAW.selectedChannelIndex];
-        if(!ch) return;
+        const done = () => {
+            UIManager.renderChannelRack();
+            if (this.menu.open) this.renderMenu();
+        };
+        body.querySelector('[data-action="rename"]').onclick = () => {
+            const name = prompt('Channel name', ch.name);
+            if (!name) return;
+            History.set('Rename channel', ch, 'name', name, null);
+            if (ChannelEditor.channel === ch && ChannelEditor.dialog.open) ChannelEditor.render();
+            done();
+        };
+        body.querySelector('[data-action="clone"]').onclick = () => this.clone(ch);
+        body.querySelector('[data-action="delete"]').onclick = () => {
+            if (confirm(`Delete "${ch.name}" with its steps and notes in every pattern?`)) this.remove(ch);
+        };
+        field('type').onchange = (e) => {
+            this.setType(ch, e.target.value);
+            done();
+        };
+        field('color').onchange = (e) => {
+            History.set('Channel color', ch, 'color', e.target.value, null);
+            done();
+        };
+        body.querySelector('[data-action="no-color"]').onclick = () => {
+            History.set('Channel color', ch, 'color', null, null);
+            done();
+        };
+        field('group').onchange = (e) => {
+            History.set('Channel group', ch, 'group', e.target.value.trim(), null);
+            done();
+        };
+        field('target').onchange = (e) => {
+            History.set('Mixer insert', ch, 'targetMixerTrack', parseInt(e.target.value), null);
+            done();
+        };
+    },
 
-        ctx.fillStyle = '#f90';
-        ch.pianoRollNotes.forEach(note => {
-            // Note pitch to Y (inverted)
-            // Top note is 84
-            const y = (84 - note.pitch) * this.zoomY;
-            const x = note.start * this.zoomX;
-            const width = note.duration * this.zoomX;
-            
-            ctx.fillRect(x, y, width, this.zoomY - 1);
-            ctx.strokeStyle = '#000';
-            ctx.strokeRect(x, y, width, this.zoomY - 1);
+    // New channels (into the group shown) as one undo step.
+    // specs: [{ name, type, sample?, drum? (DrumSynth params), group? }]
+    async addChannels(specs, label = specs.length > 1 ? 'Add channels' : 'Add channel') {
+        const channels = [];
+        for (const { name, type, sample, drum, group } of specs) {
+            const ch = await AudioEngine.createChannel(name, type, null);
+            if (sample) ch.setSample(sample);
+            if (drum) ch.drum = new DrumSynth(drum);
+            ch.group = group !== undefined ? group : this.filter;
+            channels.push(ch);
+        }
+        History.push({
+            label,
+            undo: () => this.keepSelection(() => channels.forEach(ch => DAW.channels.splice(DAW.channels.indexOf(ch), 1))),
+            redo: () => this.keepSelection(() => DAW.channels.push(...channels))
         });
+        UIManager.renderChannelRack();
+        return channels;
     },
 
-    handleInput(e) {
-        const rect = this.canvas.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
+    // A DrumSynth starter kit, grouped under its name
+    addKit(name) {
+        const kit = DrumSynth.kits[name];
+        if (!kit) return;
+        return this.addChannels(kit.map(([label, params]) => ({ name: label, type: 'drum', drum: params, group: name })));
+    },
 
-        const step = Math.floor(x / this.zoomX);
-        const pitchIndex = Math.floor(y / this.zoomY);
-        const pitch = 84 - pitchIndex;
+    // Structural edit that keeps the same channel selected
+    keepSelection(fn) {
+        const selected = DAW.channels[DAW.selectedChannelIndex];
+        fn();
+        const index = DAW.channels.indexOf(selected);
+        DAW.selectedChannelIndex = index >= 0 ? index : Math.max(0, Math.min(DAW.selectedChannelIndex, DAW.channels.length - 1));
+        Events.emit('channels');
+    },
 
-        const ch = DAW.channels[DAW.selectedChannelIndex];
-        if(!ch) return;
+    // [pattern, data] for every pattern holding steps / notes of the channel
+    patternData(ch) {
+        return Patterns.list().filter(p => p.channels[ch.id]).map(p => [p, p.channels[ch.id]]);
+    },
 
-        // Simple toggle: if note exists, remove. else add.
-        const existingIdx = ch.pianoRollNotes.findIndex(n => 
-            n.pitch === pitch && Math.abs(n.start - step) < 0.1
-        );
+    // Copy next to the original, with its steps and notes in every pattern
+    clone(ch) {
+        const copy = Channel.deserialize({ ...ch.serialize(), id: Channel.nextId(), name: `${ch.name} (copy)` });
+        const data = this.patternData(ch).map(([p, d]) => [p, JSON.parse(JSON.stringify(d))]);
+        const index = DAW.channels.indexOf(ch) + 1;
+        History.perform('Clone channel', () => this.keepSelection(() => {
+            DAW.channels.splice(index, 0, copy);
+            data.forEach(([p, d]) => p.channels[copy.id] = d);
+        }), () => this.keepSelection(() => {
+            DAW.channels.splice(DAW.channels.indexOf(copy), 1);
+            data.forEach(([p]) => delete p.channels[copy.id]);
+        }));
+        this.channel = copy;
+        this.renderMenu();
+    },
 
-        if(existingIdx > -1) {
-            ch.pianoRollNotes.splice(existingIdx, 1);
-        } else {
-            ch.pianoRollNotes.push({
-                start: step,
-                duration: 1, // 1 step
-                pitch: pitch,
-                velocity: 1.0
-            });
-        }
-        this.render();
-    }
-};
+    remove(ch) {
+        if (DAW.channels.length <= 1) return alert('A project needs at least one channel.');
+        const data = this.patternData(ch);
+        const index = DAW.channels.indexOf(ch);
+        History.perform('Delete channel', () => this.keepSelection(() => {
+            DAW.channels.splice(DAW.channels.indexOf(ch), 1);
+            data.forEach(([p]) => delete p.channels[ch.id]);
+        }), () => this.keepSelection(() => {
+            DAW.channels.splice(index, 0, ch);
+            data.forEach(([p, d]) => p.channels[ch.id] = d);
+        }));
+        if (ChannelEditor.channel === ch) ChannelEditor.dialog.close();
+        this.menu.close();
+    },
 
-// --- UTILS & HELPERS ---
+    // Switching keeps the other engine's settings, so switching back restores them
+    setType(ch, type) {
+        if (type === 'synth' && !ch.synth) ch.synth = new Synth();
+        if (type === 'sampler' && !ch.sampler) ch.sampler = new Sampler();
+        if (type === 'drum' && !ch.drum) ch.drum = new DrumSynth();
+        History.set('Instrument type', ch, 'type', type, null);
+        if (ChannelEditor.channel === ch && ChannelEditor.dialog.open) ChannelEditor.render();
+    },
 
-const ProceduralAudio = {
-    generate(type) {
-        const sampleRate = DAW.ctx.sampleRate;
-        let length = sampleRate * 0.5; // 0.5s default
-        const buffer = DAW.ctx.createBuffer(1, length, sampleRate);
-        const data = buffer.getChannelData(0);
+    move(from, to) {
+        if (from === to) return;
+        const apply = (a, b) => () => this.keepSelection(() => DAW.channels.splice(b, 0, ...DAW.channels.splice(a, 1)));
+        History.perform('Move channel', apply(from, to), apply(to, from));
+    },
 
-        if (type === 'kick') {
-            for (let i = 0; i < length; i++) {
-                const t = i / sampleRate;
-                const freq = 150 * Math.exp(-t * 15);
-                data[i] = Math.sin(2 * Math.PI * freq * t) * Math.exp(-t * 5);
-            }
-        } else if (type === 'snare') {
-            for (let i = 0; i < length; i++) {
-                const t = i / sampleRate;
-                const noise = Math.random() * 2 - 1;
-                const tone = Math.sin(2 * Math.PI * 200 * t);
-                data[i] = (noise * 0.8 + tone * 0.2) * Math.exp(-t * 10);
-            }
-        } else if (type === 'hat') {
-            length = sampleRate * 0.1;
-            for (let i = 0; i < length; i++) {
-                const t = i / sampleRate;
-                // High pass noise
-                const noise = Math.random() * 2 - 1;
-                data[i] = noise * Math.exp(-t * 40);
-            }
-        }
-        return buffer;
+    // Rows accept a channel dragged by its grip, and samples / instruments from the browser
+    bindDrag(row, idx) {
+        row.ondragstart = (e) => {
+            this.dragIndex = idx;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', String(idx));
+        };
+        row.ondragend = () => this.dragIndex = null;
+        row.ondragover = (e) => {
+            if (this.dragIndex === null && !SampleLibrary.dragged(e)) return;
+            e.preventDefault();
+            row.classList.add('drop-target');
+        };
+        row.ondragleave = () => row.classList.remove('drop-target');
+        row.ondrop = (e) => {
+            row.classList.remove('drop-target');
+            if (this.dragIndex === null) {
+                if (!SampleLibrary.dragged(e)) return;
+                e.preventDefault();
+                e.stopPropagation(); // not a drop on empty rack space
+                return SampleLibrary.drop(e, DAW.channels[idx]);
+            }
+            e.preventDefault();
+            const from = this.dragIndex;
+            this.dragIndex = null;
+            this.move(from, idx);
+        };
     }
 };
 
-const FileLoader = {
-    loadSample(file) {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            DAW.ctx.decodeAudioData(e.target.result, (buffer) => {
-                AudioEngine.createChannel(file.name.substring(0, 10), 'sampler', null)
-                    .then(ch => {
-                        ch.buffer = buffer;
-                        // Add to browser UI visually
-                        const item = document.createElement('div');
-                        item.className = 'browser-item';
-                        item.innerText = file.name;
-                        document.getElementById('sample-list').appendChild(item);
-                    });
-            });
+// --- FX RACK ---
+
+// Insert effect slots of the selected mixer track (#fx-slots)
+const FXRack = {
+    // Undoable structural edit of a track (effects, routing): snapshot it around fn
+    edit(track, label, fn) {
+        return History.snapshot(label, () => track.serialize(), data => {
+            track.load(data);
+            MixerTrack.link();
+        }, fn);
+    },
+
+    // Effects are rebuilt by track snapshots, so history finds them by id
+    effect(track, id) {
+        return track.effects.find(fx => fx.id === id);
+    },
+
+    render() {
+        const container = document.getElementById('fx-slots');
+        const track = DAW.mixerTracks[DAW.selectedMixerTrack];
+        container.innerHTML = '';
+        if (!track) return;
+
+        const header = document.createElement('div');
+        header.className = 'fx-header';
+        header.innerHTML = `
+            <span>${track.index === 0 ? 'Master' : 'Insert ' + track.index}</span>
+            <select class="fx-add">
+                <option value="">+ Add effect</option>
+                ${Object.entries(Effects.types).map(([type, E]) => `<option value="${type}">${E.label}</option>`).join('')}
+            </select>
+        `;
+        header.querySelector('.fx-add').onchange = (e) => {
+            if (!e.target.value) return;
+            const E = Effects.types[e.target.value];
+            this.edit(track, `Add ${E.label}`, () => track.addEffect(e.target.value));
+            this.render();
+        };
+        container.appendChild(header);
+        container.appendChild(this.renderRouting(track));
+
+        track.effects.forEach((fx, i) => container.appendChild(this.renderSlot(track, fx, i)));
+    },
+
+    // Output target and post-fader sends of the selected track
+    renderRouting(track) {
+        const section = document.createElement('div');
+        section.className = 'fx-routing';
+        const trackOptions = (exclude) => DAW.mixerTracks
+            .filter(t => t.index !== exclude)
+            .map(t => `<option value="${t.index}">${t.index === 0 ? 'Master' : 'Insert ' + t.index}</option>`)
+            .join('');
+
+        if (track.index > 0) {
+            const out = document.createElement('label');
+            out.className = 'fx-param';
+            out.innerHTML = `<span>Output</span><select>${trackOptions(track.index)}</select><span></span>`;
+            const select = out.querySelector('select');
+            select.value = track.output;
+            select.onchange = () => {
+                if (!this.edit(track, 'Route output', () => track.setOutput(parseInt(select.value)))) {
+                    alert('That route would create a feedback loop.');
+                }
+                UIManager.renderMixer();
+            };
+            section.appendChild(out);
+        }
+
+        track.sends.forEach((send, i) => {
+            const row = document.createElement('label');
+            row.className = 'fx-param';
+            row.innerHTML = `
+                <span>Send &rarr; ${send.target === 0 ? 'M' : send.target}</span>
+                <input type="range" min="0" max="1" step="0.01" value="${send.level}">
+                <button title="Remove send">&#10005;</button>
+            `;
+            row.querySelector('input').oninput = (e) => History.change('Send level',
+                () => track.sends[i].level, v => track.setSendLevel(i, v), parseFloat(e.target.value), [track, 'send', i]);
+            row.querySelector('button').onclick = (e) => {
+                e.preventDefault();
+                this.edit(track, 'Remove send', () => track.removeSend(i));
+                this.render();
+            };
+            section.appendChild(row);
+        });
+
+        if (track.index > 0) {
+            const add = document.createElement('select');
+            add.className = 'fx-add-send';
+            add.innerHTML = `<option value="">+ Add send</option>${trackOptions(track.index)}`;
+            add.onchange = () => {
+                if (add.value === '') return;
+                if (!this.edit(track, 'Add send', () => track.addSend(parseInt(add.value)))) {
+                    alert('Cannot add that send (duplicate or feedback loop).');
+                }
+                this.render();
+            };
+            section.appendChild(add);
+        }
+        return section;
+    },
+
+    renderSlot(track, fx, index) {
+        const slot = document.createElement('div');
+        slot.className = `fx-slot-wrap ${fx.bypassed ? 'bypassed' : ''}`;
+        slot.innerHTML = `
+            <div class="fx-slot">
+                <span class="fx-name">${fx.constructor.label}</span>
+                <span class="fx-buttons">
+                    <button data-action="bypass" title="Bypass">${fx.bypassed ? 'OFF' : 'ON'}</button>
+                    <button data-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}>&#9650;</button>
+                    <button data-action="down" title="Move down" ${index === track.effects.length - 1 ? 'disabled' : ''}>&#9660;</button>
+                    <button data-action="remove" title="Remove">&#10005;</button>
+                </span>
+            </div>
+            <div class="fx-params"></div>
+        `;
+        const label = fx.constructor.label;
+        const actions = {
+            bypass: () => History.change(`Bypass ${label}`, () => fx.bypassed,
+                v => this.effect(track, fx.id).setBypass(v), !fx.bypassed),
+            up: () => this.edit(track, `Move ${label}`, () => track.moveEffect(index, index - 1)),
+            down: () => this.edit(track, `Move ${label}`, () => track.moveEffect(index, index + 1)),
+            remove: () => this.edit(track, `Remove ${label}`, () => track.removeEffect(index))
+        };
+        slot.querySelectorAll('[data-action]').forEach(btn => {
+            btn.onclick = (e) => {
+                e.stopPropagation();
+                actions[btn.dataset.action]();
+                this.render();
+            };
+        });
+        // Collapse / expand the parameter list
+        slot.querySelector('.fx-name').onclick = () => slot.classList.toggle('collapsed');
+
+        const params = slot.querySelector('.fx-params');
+        fx.constructor.params
+            .filter(def => !fx.hidden(def.key))
+            .forEach(def => params.appendChild(this.renderParam(track, fx, def)));
+        return slot;
+    },
+
+    renderParam(track, fx, def) {
+        const row = document.createElement('label');
+        row.className = 'fx-param';
+        if (def.kind === 'track') {
+            // Sidechain source: any insert except this one (master would form a loop)
+            const options = DAW.mixerTracks
+                .filter(t => t.index > 0 && t.index !== track.index)
+                .map(t => `<option value="${t.index}">Insert ${t.index}</option>`)
+                .join('');
+            row.innerHTML = `<span>${def.label}</span><select><option value="0">None</option>${options}</select>`;
+            const select = row.querySelector('select');
+            select.value = fx.values[def.key];
+            select.onchange = () => {
+                const source = parseInt(select.value);
+                // Keying from a track this one feeds would close a loop
+                if (source && MixerTrack.reaches(track.index, source)) {
+                    alert('That sidechain source would create a feedback loop.');
+                    select.value = fx.values[def.key];
+                    return;
+                }
+                this.setParam(track, fx, def, source);
+                // Which parameters apply can depend on the source
+                this.render();
+            };
+            return row;
+        }
+        const format = (v) => `${+v.toFixed(3)}${def.unit ? ' ' + def.unit : ''}`;
+        if (fx.audioParams(def.key).length) row.dataset.automation = `fx:${track.index}:${fx.id}:${def.key}`;
+        row.innerHTML = `
+            <span>${def.label}</span>
+            <input type="range" min="${def.min}" max="${def.max}" step="${def.step}" value="${fx.values[def.key]}">
+            <span class="fx-value">${format(fx.values[def.key])}</span>
+        `;
+        const input = row.querySelector('input');
+        const display = row.querySelector('.fx-value');
+        input.oninput = () => {
+            this.setParam(track, fx, def, parseFloat(input.value));
+            display.innerText = format(fx.values[def.key]);
+        };
+        // Double-click resets to default
+        input.ondblclick = () => {
+            input.value = def.value;
+            input.oninput();
+        };
+        return row;
+    },
+
+    setParam(track, fx, def, value) {
+        History.change(`${fx.constructor.label} ${def.label}`, () => fx.values[def.key],
+            v => this.effect(track, fx.id).setParam(def.key, v), value, [track, fx.id, def.key]);
+        if (fx.audioParams(def.key).length) Automation.record(`fx:${track.index}:${fx.id}:${def.key}`, value);
+    }
+};
+
+// --- METERS ---
+
+// Mixer strip meters (sample peak and RMS in dBFS, peak hold, clip latch), the master
+// analyzer (spectrum, scope, goniometer, true peak, EBU R128 loudness) and the CPU /
+// audio load indicator. Strip levels come from time-domain analyser snapshots; loudness
+// and true peak need every sample, so a worklet measures those on the master output.
+const Meters = {
+    FLOOR: -60,         // dB at the bottom of a strip meter
+    CEIL: 6,
+    HOLD: 1.5,          // s a peak stays held
+    FALL: 20,           // dB/s the peak bar falls
+    RMS_TIME: 0.3,      // s RMS integration
+    LOUDNESS_WORKLET: `
+        // Per 100 ms block: K-weighted mean square per channel (BS.1770), sample peak and
+        // 4x oversampled true peak
+        class WebDAWLoudness extends AudioWorkletProcessor {
+            constructor() {
+                super();
+                this.block = Math.round(sampleRate / 10);
+                this.frames = 0;
+                this.sums = [0, 0];
+                this.peak = 0;
+                this.truePeak = 0;
+                this.filters = [0, 1].map(() => this.kWeighting());
+                this.history = [0, 1].map(() => new Float32Array(12));
+                // Windowed-sinc phases between the samples (phase 0 is the sample itself)
+                this.phases = [1, 2, 3].map(phase => {
+                    const taps = Array.from({ length: 12 }, (_, j) => {
+                        const x = j - 6 + phase / 4;
+                        return (x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x)) * (0.5 + 0.5 * Math.cos(Math.PI * x / 6.5));
+                    });
+                    const sum = taps.reduce((a, b) => a + b, 0);
+                    return taps.map(t => t / sum);
+                });
+            }
+            biquad(b, a) {
+                let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+                return (x) => {
+                    const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+                    x2 = x1; x1 = x; y2 = y1; y1 = y;
+                    return y;
+                };
+            }
+            kWeighting() {
+                let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+                const Q = 0.7071752369554196;
+                const Vh = Math.pow(10, 3.999843853973347 / 20);
+                const Vb = Math.pow(Vh, 0.4996667741545416);
+                let a0 = 1 + K / Q + K * K;
+                const shelf = this.biquad(
+                    [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+                    [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]);
+                const Q2 = 0.5003270373238773;
+                K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+                a0 = 1 + K / Q2 + K * K;
+                const highpass = this.biquad([1, -2, 1], [2 * (K * K - 1) / a0, (1 - K / Q2 + K * K) / a0]);
+                return (x) => highpass(shelf(x));
+            }
+            process(inputs) {
+                const input = inputs[0];
+                if (!input.length) return true;
+                const length = input[0].length;
+                for (let c = 0; c < 2; c++) {
+                    const data = input[c] || input[0];
+                    const filter = this.filters[c];
+                    const hist = this.history[c];
+                    for (let i = 0; i < length; i++) {
+                        const x = data[i];
+                        const k = filter(x);
+                        this.sums[c] += k * k;
+                        const abs = Math.abs(x);
+                        if (abs > this.peak) this.peak = abs;
+                        hist.copyWithin(1, 0, 11);
+                        hist[0] = x;
+                        if (abs > this.truePeak) this.truePeak = abs;
+                        for (const taps of this.phases) {
+                            let y = 0;
+                            for (let j = 0; j < 12; j++) y += taps[j] * hist[j];
+                            if (Math.abs(y) > this.truePeak) this.truePeak = Math.abs(y);
+                        }
+                    }
+                }
+                this.frames += length;
+                if (this.frames >= this.block) {
+                    this.port.postMessage({ power: this.sums.map(s => s / this.frames), peak: this.peak, truePeak: this.truePeak });
+                    this.frames = 0;
+                    this.sums = [0, 0];
+                    this.peak = 0;
+                    this.truePeak = 0;
+                }
+                return true;
+            }
+        }
+        registerProcessor('webdaw-loudness', WebDAWLoudness);
+    `,
+    tracks: new WeakMap(),  // MixerTrack -> { peak, hold, holdTime, power, clip }
+    buffer: null,
+    lastFrame: 0,
+    lastTitles: 0,
+    dialog: null,
+    master: null,           // { spectrum, taps, loudness }
+    // Loudness: 100 ms block powers (channel sum) for momentary / short-term, and the gating
+    // blocks for the integrated value as a histogram (see addGatingBlock)
+    blocks: [],
+    gating: null,
+    truePeakMax: 0,
+    load: null,             // latest AudioContext renderCapacity update, if supported
+    lastStats: 0,
+
+    init() {
+        this.buffer = new Float32Array(2048);
+        this.dialog = document.getElementById('analyzer-panel');
+        this.dialog.querySelector('[data-action="close"]').onclick = () => this.dialog.close();
+        this.dialog.querySelector('[data-action="reset"]').onclick = () => this.resetLoudness();
+        document.getElementById('btn-analyzer').onclick = () => {
+            if (this.dialog.open) return this.dialog.close();
+            this.dialog.show();
+        };
+        document.getElementById('cpu-meter').onclick = () => this.resetStats();
+        Events.on('start', (e) => this.transportStarted(e));
+        this.resetLoudness();
+
+        // Master taps after the master gain: what actually reaches the speakers
+        const ctx = DAW.ctx;
+        const spectrum = ctx.createAnalyser();
+        spectrum.fftSize = 4096;
+        spectrum.smoothingTimeConstant = 0.8;
+        const splitter = ctx.createChannelSplitter(2);
+        const taps = [0, 1].map(c => {
+            const analyser = ctx.createAnalyser();
+            analyser.fftSize = 2048;
+            splitter.connect(analyser, c);
+            return analyser;
+        });
+        DAW.masterGain.connect(spectrum);
+        DAW.masterGain.connect(splitter);
+        this.master = { spectrum, taps, loudness: null };
+        this.startLoudness();
+
+        if (ctx.renderCapacity) {
+            ctx.renderCapacity.addEventListener('update', (e) => this.load = e);
+            ctx.renderCapacity.start({ updateInterval: 1 });
+        }
+
+        const frame = (now) => {
+            this.frame(now / 1000);
+            requestAnimationFrame(frame);
+        };
+        requestAnimationFrame(frame);
+    },
+
+    async startLoudness() {
+        try {
+            const url = URL.createObjectURL(new Blob([this.LOUDNESS_WORKLET], { type: 'application/javascript' }));
+            await DAW.ctx.audioWorklet.addModule(url);
+            const node = new AudioWorkletNode(DAW.ctx, 'webdaw-loudness', {
+                numberOfOutputs: 0, channelCount: 2, channelCountMode: 'explicit'
+            });
+            node.port.onmessage = (e) => this.receiveLoudness(e.data);
+            DAW.masterGain.connect(node);
+            this.master.loudness = node;
+        } catch (err) {
+            console.warn('Loudness metering unavailable', err);
+        }
+    },
+
+    receiveLoudness({ power, truePeak }) {
+        this.blocks.push(power[0] + power[1]);
+        if (this.blocks.length > 30) this.blocks.shift();
+        this.truePeakMax = Math.max(this.truePeakMax, truePeak);
+        // Gating blocks are 400 ms with 75% overlap: one per 100 ms block
+        if (this.blocks.length >= 4) this.addGatingBlock(this.mean(this.blocks.slice(-4)));
+    },
+
+    // Integrated loudness and true peak measure one take from play (not across a pause)
+    transportStarted({ resumed }) {
+        if (!resumed) this.resetLoudness();
+    },
+
+    resetLoudness() {
+        this.blocks = [];
+        // 0.1 LU buckets from the -70 LUFS absolute gate up; each keeps a block count and
+        // power sum, so the integrated value costs the same however long the take runs
+        this.gating = { count: new Uint32Array(this.GATE_BUCKETS), power: new Float64Array(this.GATE_BUCKETS) };
+        this.truePeakMax = 0;
+    },
+
+    GATE_BUCKETS: 800,      // -70 .. +10 LUFS, louder blocks go in the top bucket
+
+    addGatingBlock(power) {
+        const lufs = this.lufs(power);
+        if (!(lufs > -70)) return;
+        const bucket = Math.min(this.GATE_BUCKETS - 1, Math.floor((lufs + 70) * 10));
+        this.gating.count[bucket]++;
+        this.gating.power[bucket] += power;
+    },
+
+    mean(values) {
+        return values.reduce((a, b) => a + b, 0) / values.length;
+    },
+
+    lufs(power) {
+        return power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity;
+    },
+
+    // BS.1770 gating: absolute at -70 LUFS, then relative at 10 LU below the absolute-gated mean.
+    // The relative gate works to the bucket: blocks within 0.1 LU under it may still count.
+    integrated() {
+        const { count, power } = this.gating;
+        const mean = (from) => {
+            let n = 0, sum = 0;
+            for (let i = from; i < this.GATE_BUCKETS; i++) {
+                n += count[i];
+                sum += power[i];
+            }
+            return n ? sum / n : 0;
+        };
+        const absolute = mean(0);
+        if (!absolute) return -Infinity;
+        const threshold = this.lufs(absolute) - 10;
+        return this.lufs(mean(Math.max(0, Math.floor((threshold + 70) * 10))));
+    },
+
+    db(value) {
+        return value > 0 ? 20 * Math.log10(value) : -Infinity;
+    },
+
+    format(db, unit = '') {
+        return isFinite(db) ? `${db.toFixed(1)}${unit}` : `-inf${unit}`;
+    },
+
+    // Meter height in % for a dB value
+    scale(db) {
+        return Math.max(0, Math.min(100, (db - this.FLOOR) / (this.CEIL - this.FLOOR) * 100));
+    },
+
+    // Peak / RMS of one track (both channels) since the last frame
+    measure(track, dt, now) {
+        if (!this.tracks.has(track)) {
+            this.tracks.set(track, { peak: [-Infinity, -Infinity], hold: [-Infinity, -Infinity], holdTime: [0, 0], power: [0, 0], clip: false });
+        }
+        const st = this.tracks.get(track);
+        const data = this.buffer;
+        track.meterTaps.forEach((analyser, c) => {
+            analyser.getFloatTimeDomainData(data);
+            let peak = 0, sum = 0;
+            for (let i = 0; i < data.length; i++) {
+                const abs = Math.abs(data[i]);
+                if (abs > peak) peak = abs;
+                sum += data[i] * data[i];
+            }
+            if (peak >= 1) st.clip = true;
+            const peakDb = this.db(peak);
+            st.peak[c] = Math.max(peakDb, st.peak[c] - this.FALL * dt);
+            if (peakDb >= st.hold[c] || now - st.holdTime[c] > this.HOLD) {
+                st.hold[c] = peakDb;
+                st.holdTime[c] = now;
+            }
+            // RMS ballistics in the power domain
+            st.power[c] += (sum / data.length - st.power[c]) * Math.min(1, dt / this.RMS_TIME);
+        });
+        return st;
+    },
+
+    resetClip(track) {
+        const st = this.tracks.get(track);
+        if (st) st.clip = false;
+    },
+
+    frame(now) {
+        const dt = this.lastFrame ? Math.min(0.5, now - this.lastFrame) : 0;
+        this.lastFrame = now;
+        const titles = now - this.lastTitles > 0.25;
+        if (titles) this.lastTitles = now;
+
+        DAW.mixerTracks.forEach((track, i) => {
+            const st = this.measure(track, dt, now);
+            const el = document.getElementById(`meter-${i}`);
+            if (!el) return;
+            el.querySelectorAll('.meter-bar').forEach((bar, c) => {
+                bar.querySelector('.meter-rms').style.height = `${this.scale(10 * Math.log10(st.power[c]))}%`;
+                bar.querySelector('.meter-peak').style.height = `${this.scale(st.peak[c])}%`;
+                bar.querySelector('.meter-hold').style.bottom = `${this.scale(st.hold[c])}%`;
+            });
+            el.querySelector('.meter-clip').classList.toggle('on', st.clip);
+            if (titles) {
+                el.title = `Click to reset the clip indicator\nPeak ${this.format(st.hold[0])} / ${this.format(st.hold[1])} dBFS\n` +
+                    `RMS ${this.format(10 * Math.log10(st.power[0]))} / ${this.format(10 * Math.log10(st.power[1]))} dBFS`;
+            }
+        });
+
+        if (now - this.lastStats >= 1) {
+            this.renderStats(now - this.lastStats);
+            this.lastStats = now;
+        }
+        if (this.dialog.open) this.renderAnalyzer();
+    },
+
+    // --- CPU / audio load ---
+
+    // DAW.stats is filled by the Sequencer; this turns it into rates per update
+    renderStats(seconds) {
+        const stats = DAW.stats;
+        const schedulerLoad = stats.busy / (seconds * 1000);
+        const audioLoad = this.load ? this.load.averageLoad : null;
+        const el = document.getElementById('cpu-meter');
+        const load = audioLoad !== null ? audioLoad : schedulerLoad;
+        const problems = stats.late + stats.dropped;
+        el.innerText = `CPU: ${Math.round(load * 100)}%${problems ? ` (${stats.late} late, ${stats.dropped} dropped)` : ''}`;
+        el.classList.toggle('warn', load > 0.8 || problems > 0 || (this.load && this.load.underrunRatio > 0));
+        el.title = [
+            audioLoad !== null
+                ? `Audio render: ${Math.round(audioLoad * 100)}% average, ${Math.round(this.load.peakLoad * 100)}% peak, ${(this.load.underrunRatio * 100).toFixed(1)}% underruns`
+                : 'Audio render load: not reported by this browser',
+            `Scheduler: ${(schedulerLoad * 100).toFixed(1)}% of the main thread, slowest pass ${stats.maxPass.toFixed(1)} ms, timer lag up to ${stats.maxLag.toFixed(0)} ms`,
+            `Events scheduled late: ${stats.totalLate}, dropped: ${stats.totalDropped} (since reset)`,
+            'Click to reset'
+        ].join('\n');
+        Object.assign(stats, { busy: 0, maxPass: 0, maxLag: 0, late: 0, dropped: 0 });
+    },
+
+    resetStats() {
+        Object.assign(DAW.stats, { busy: 0, maxPass: 0, maxLag: 0, late: 0, dropped: 0, totalLate: 0, totalDropped: 0 });
+        this.renderStats(1);
+    },
+
+    // --- Master analyzer ---
+
+    renderAnalyzer() {
+        const body = this.dialog.querySelector('.editor-body');
+        const canvas = (name) => body.querySelector(`canvas[data-view="${name}"]`);
+        this.drawSpectrum(canvas('spectrum'));
+        const [left, right] = this.master.taps.map(analyser => {
+            const data = new Float32Array(analyser.fftSize);
+            analyser.getFloatTimeDomainData(data);
+            return data;
+        });
+        this.drawScope(canvas('scope'), left, right);
+        const correlation = this.drawGoniometer(canvas('goniometer'), left, right);
+
+        const momentary = this.blocks.length >= 4 ? this.lufs(this.mean(this.blocks.slice(-4))) : -Infinity;
+        const shortTerm = this.blocks.length >= 30 ? this.lufs(this.mean(this.blocks)) : -Infinity;
+        const readout = body.querySelector('.loudness-readout');
+        readout.innerHTML = this.master.loudness ? `
+            <span>M ${this.format(momentary, ' LUFS')}</span>
+            <span>S ${this.format(shortTerm, ' LUFS')}</span>
+            <span>I ${this.format(this.integrated(), ' LUFS')}</span>
+            <span class="${this.truePeakMax >= 1 ? 'clip' : ''}">TP ${this.format(this.db(this.truePeakMax), ' dBTP')}</span>
+            <span>Corr ${correlation.toFixed(2)}</span>
+        ` : `<span>Loudness needs AudioWorklet support</span><span>Corr ${correlation.toFixed(2)}</span>`;
+    },
+
+    // Log frequency axis 20 Hz - 20 kHz, -100..0 dB
+    drawSpectrum(canvas) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const analyser = this.master.spectrum;
+        const data = new Float32Array(analyser.frequencyBinCount);
+        analyser.getFloatFrequencyData(data);
+        ctx.fillStyle = '#111';
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.fillStyle = '#666';
+        ctx.font = '9px sans-serif';
+        [100, 1000, 10000].forEach(f => {
+            const x = Math.log(f / 20) / Math.log(1000) * width;
+            ctx.fillRect(x, 0, 1, height);
+            ctx.fillText(f >= 1000 ? `${f / 1000}k` : f, x + 2, height - 2);
+        });
+
+        const binHz = DAW.ctx.sampleRate / analyser.fftSize;
+        ctx.beginPath();
+        ctx.moveTo(0, height);
+        for (let x = 0; x < width; x++) {
+            const freq = 20 * Math.pow(1000, x / width);
+            const db = data[Math.min(data.length - 1, Math.round(freq / binHz))];
+            ctx.lineTo(x, height * Math.min(1, Math.max(0, -db / 100)));
+        }
+        ctx.lineTo(width, height);
+        ctx.fillStyle = 'rgba(255, 153, 0, 0.5)';
+        ctx.fill();
+    },
+
+    drawScope(canvas, left, right) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        ctx.fillStyle = '#111';
+        ctx.fillRect(0, 0, width, height);
+        [[left, '#9cd'], [right, '#f9c']].forEach(([data, color]) => {
+            ctx.strokeStyle = color;
+            ctx.beginPath();
+            for (let x = 0; x < width; x++) {
+                const y = height / 2 - data[Math.floor(x / width * data.length)] * height / 2;
+                if (x === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            }
+            ctx.stroke();
+        });
+    },
+
+    // Mid up, side across; returns the L/R correlation (-1..1)
+    drawGoniometer(canvas, left, right) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        ctx.fillStyle = '#111';
+        ctx.fillRect(0, 0, width, height);
+        ctx.strokeStyle = '#333';
+        ctx.beginPath();
+        ctx.moveTo(width / 2, 0);
+        ctx.lineTo(width / 2, height);
+        ctx.moveTo(0, height / 2);
+        ctx.lineTo(width, height / 2);
+        ctx.stroke();
+
+        const r = Math.min(width, height) / 2;
+        ctx.fillStyle = 'rgba(153, 204, 221, 0.6)';
+        let lr = 0, ll = 0, rr = 0;
+        for (let i = 0; i < left.length; i++) {
+            const side = (right[i] - left[i]) / Math.SQRT2;
+            const mid = (left[i] + right[i]) / Math.SQRT2;
+            ctx.fillRect(width / 2 + side * r, height / 2 - mid * r, 1, 1);
+            lr += left[i] * right[i];
+            ll += left[i] * left[i];
+            rr += right[i] * right[i];
+        }
+        return ll && rr ? lr / Math.sqrt(ll * rr) : 0;
+    }
+};
+
+// --- CHANNEL EDITOR ---
+
+// Floating instrument panel (#channel-editor) for the channel whose name button was clicked
+const ChannelEditor = {
+    dialog: null,
+    channel: null,
+    USER_PRESETS_KEY: 'webdaw-synth-presets',
+
+    init() {
+        this.dialog = document.getElementById('channel-editor');
+        this.dialog.querySelector('[data-action="close"]').onclick = () => this.dialog.close();
+    },
+
+    open(channel) {
+        this.channel = channel;
+        this.render();
+        if (!this.dialog.open) this.dialog.show();
+    },
+
+    render() {
+        const ch = this.channel;
+        if (!ch) return;
+        this.dialog.querySelector('.editor-title').innerText = ch.name;
+        const body = this.dialog.querySelector('.editor-body');
+        body.innerHTML = '';
+        if (ch.type === 'synth') this.renderSynth(body, ch.synth);
+        else if (ch.type === 'sampler') this.renderSampler(body, ch);
+        else if (ch.type === 'drum') this.renderDrum(body, ch);
+        else body.innerHTML = '<div class="editor-empty">No editor for this channel type.</div>';
+        this.renderArp(body, ch);
+    },
+
+    // --- Control helpers: bind straight to a property of a params object ---
+
+    section(parent, title) {
+        const el = document.createElement('fieldset');
+        el.className = 'editor-section';
+        el.innerHTML = `<legend>${title}</legend>`;
+        parent.appendChild(el);
+        return el;
+    },
+
+    // `automation` names a target that records slider moves while automation recording is on
+    slider(parent, label, obj, key, { min, max, step, unit = '', automation }) {
+        const row = document.createElement('label');
+        row.className = 'fx-param';
+        row.innerHTML = `
+            <span>${label}</span>
+            <input type="range" min="${min}" max="${max}" step="${step}" value="${obj[key]}">
+            <span class="fx-value"></span>
+        `;
+        const input = row.querySelector('input');
+        const display = row.querySelector('.fx-value');
+        if (automation) row.dataset.automation = automation;
+        const show = () => display.innerText = `${+(+obj[key]).toFixed(3)}${unit ? ' ' + unit : ''}`;
+        input.oninput = () => {
+            History.set(label, obj, key, parseFloat(input.value));
+            if (automation) Automation.record(automation, obj[key]);
+            show();
+        };
+        show();
+        parent.appendChild(row);
+        return row;
+    },
+
+    select(parent, label, obj, key, options) {
+        const row = document.createElement('label');
+        row.className = 'fx-param';
+        row.innerHTML = `<span>${label}</span><select>${options.map(o => `<option value="${o}">${o}</option>`).join('')}</select><span></span>`;
+        const select = row.querySelector('select');
+        select.value = obj[key];
+        select.onchange = () => History.set(label, obj, key, select.value);
+        parent.appendChild(row);
+        return row;
+    },
+
+    checkbox(parent, label, obj, key) {
+        const row = document.createElement('label');
+        row.className = 'editor-check';
+        row.innerHTML = `<input type="checkbox" ${obj[key] ? 'checked' : ''}> ${label}`;
+        row.querySelector('input').onchange = (e) => History.set(label, obj, key, e.target.checked, null);
+        parent.appendChild(row);
+        return row;
+    },
+
+    envelope(parent, title, env, maxTime = 4) {
+        const sec = this.section(parent, title);
+        this.slider(sec, 'Attack', env, 'attack', { min: 0.001, max: maxTime, step: 0.001, unit: 's' });
+        this.slider(sec, 'Decay', env, 'decay', { min: 0.001, max: maxTime, step: 0.001, unit: 's' });
+        this.slider(sec, 'Sustain', env, 'sustain', { min: 0, max: 1, step: 0.01 });
+        this.slider(sec, 'Release', env, 'release', { min: 0.001, max: maxTime, step: 0.001, unit: 's' });
+        return sec;
+    },
+
+    // --- Arpeggiator (every channel type) ---
+
+    renderArp(body, ch) {
+        const arp = ch.arp;
+        const sec = this.section(body, 'Arpeggiator');
+        sec.classList.add('editor-arp');
+        this.checkbox(sec, 'Arpeggiator on', arp, 'enabled');
+        this.checkbox(sec, 'Latch', arp, 'latch');
+        this.select(sec, 'Mode', arp, 'mode', Arpeggiator.MODES);
+        this.select(sec, 'Rate', arp, 'rate', Object.keys(Arpeggiator.RATES));
+        this.slider(sec, 'Gate', arp, 'gate', { min: 0.05, max: 1, step: 0.01 });
+        this.slider(sec, 'Octaves', arp, 'octaves', { min: 1, max: 4, step: 1 });
+    },
+
+    // --- Drum synth ---
+
+    renderDrum(body, ch) {
+        const drum = ch.drum;
+        const p = drum.params;
+
+        const bar = document.createElement('div');
+        bar.className = 'editor-presets';
+        bar.innerHTML = `
+            <select title="Model">${Object.keys(DrumSynth.models).map(m => `<option value="${m}">${m}</option>`).join('')}</select>
+            <button data-action="preview">&#9658; Preview</button>
+            <button data-action="bounce" title="Render this sound into a new sampler channel">Render to sampler</button>
+        `;
+        const model = bar.querySelector('select');
+        model.value = p.model;
+        model.onchange = () => {
+            const before = drum.params;
+            drum.setModel(model.value);
+            const after = drum.params;
+            History.push({ label: `Drum model ${model.value}`, undo: () => drum.params = before, redo: () => drum.params = after });
+            this.render();
+        };
+        bar.querySelector('[data-action="preview"]').onclick = () => {
+            if (DAW.ctx.state === 'suspended') DAW.ctx.resume();
+            ch.playNote(DAW.ctx.currentTime + 0.01, 0.5, 60 - ch.pitch, 1.0);
+        };
+        bar.querySelector('[data-action="bounce"]').onclick = () => {
+            const buffer = DrumSynth.bounce(p, DAW.ctx);
+            const sample = SamplePool.add(`${ch.name}.wav`, buffer, { data: WAVExporter.encode(buffer, 'pcm16'), mime: 'audio/wav' });
+            ChannelRack.addChannels([{ name: `${ch.name} (sample)`, type: 'sampler', sample }]);
+            Playlist.renderSources();
+        };
+        body.appendChild(bar);
+
+        const grid = document.createElement('div');
+        grid.className = 'editor-grid';
+        body.appendChild(grid);
+
+        const tone = this.section(grid, 'Body');
+        this.slider(tone, 'Tune', p, 'tune', { min: 20, max: 2000, step: 1, unit: 'Hz' });
+        this.slider(tone, 'Sweep', p, 'sweep', { min: 0, max: 1, step: 0.01 });
+        this.slider(tone, 'Decay', p, 'decay', { min: 0.01, max: 4, step: 0.01, unit: 's' });
+
+        const color = this.section(grid, 'Character');
+        this.slider(color, 'Click', p, 'click', { min: 0, max: 1, step: 0.01 });
+        this.slider(color, 'Drive', p, 'drive', { min: 0, max: 1, step: 0.01 });
+        this.slider(color, 'Tone', p, 'tone', { min: 0, max: 1, step: 0.01 });
+        this.slider(color, 'Noise', p, 'noise', { min: 0, max: 1, step: 0.01 });
+
+        const misc = this.section(grid, 'Hit');
+        this.slider(misc, 'Seed', p, 'seed', { min: 1, max: 999, step: 1 });
+        this.slider(misc, 'Choke group', p, 'chokeGroup', { min: 0, max: 8, step: 1 });
+    },
+
+    // --- Sampler ---
+
+    renderSampler(body, ch) {
+        const p = ch.sampler.params;
+        const sample = SamplePool.get(ch.sampleId);
+
+        const info = document.createElement('div');
+        info.className = 'editor-presets';
+        info.innerHTML = `<span>${sample ? sample.name : 'No sample loaded'}</span><button>&#9658; Preview</button>`;
+        info.querySelector('button').onclick = () => {
+            if (DAW.ctx.state === 'suspended') DAW.ctx.resume();
+            ch.playNote(DAW.ctx.currentTime + 0.01, 0.5, p.rootNote - ch.pitch, 1.0);
+        };
+        body.appendChild(info);
+
+        // Waveform with draggable start / end / loop markers
+        const canvas = document.createElement('canvas');
+        canvas.className = 'sample-wave';
+        canvas.width = 700;
+        canvas.height = 120;
+        body.appendChild(canvas);
+        const markers = [
+            { key: 'start', color: '#8f8' },
+            { key: 'end', color: '#f66' },
+            { key: 'loopStart', color: '#fc3', loop: true },
+            { key: 'loopEnd', color: '#fc3', loop: true }
+        ];
+        const draw = () => this.drawWaveform(canvas, ch.buffer, p, markers);
+        canvas.onmousedown = (e) => {
+            const rect = canvas.getBoundingClientRect();
+            const toPos = (ev) => Math.max(0, Math.min(1, (ev.clientX - rect.left) / rect.width));
+            const pos = toPos(e);
+            const visible = markers.filter(m => !m.loop || p.loopMode !== 'off');
+            const hit = visible
+                .map(m => ({ m, dist: Math.abs(p[m.key] - pos) * rect.width }))
+                .sort((a, b) => a.dist - b.dist)[0];
+            if (!hit || hit.dist > 8) return;
+            const move = (ev) => {
+                History.set('Move sample marker', p, hit.m.key, toPos(ev));
+                draw();
+            };
+            window.addEventListener('mousemove', move);
+            window.addEventListener('mouseup', () => window.removeEventListener('mousemove', move), { once: true });
+        };
+        draw();
+
+        const grid = document.createElement('div');
+        grid.className = 'editor-grid';
+        body.appendChild(grid);
+
+        const playback = this.section(grid, 'Playback');
+        this.select(playback, 'Loop', p, 'loopMode', ['off', 'forward', 'pingpong']).querySelector('select')
+            .addEventListener('change', draw);
+        this.slider(playback, 'Root note', p, 'rootNote', { min: 0, max: 127, step: 1 });
+        this.slider(playback, 'Fine tune', p, 'fineTune', { min: -100, max: 100, step: 1, unit: 'ct' });
+        this.checkbox(playback, 'Reverse', p, 'reverse');
+        this.checkbox(playback, 'One-shot (ignore note length)', p, 'oneShot');
+        this.slider(playback, 'Choke group', p, 'chokeGroup', { min: 0, max: 8, step: 1 });
+
+        this.envelope(grid, 'Amp Env', p.ampEnv);
+    },
+
+    drawWaveform(canvas, buffer, p, markers) {
+        const ctx = canvas.getContext('2d');
+        const w = canvas.width;
+        const h = canvas.height;
+        ctx.fillStyle = '#1a1a1a';
+        ctx.fillRect(0, 0, w, h);
+        if (!buffer) return;
+
+        if (p.loopMode !== 'off') {
+            ctx.fillStyle = 'rgba(255,204,51,0.12)';
+            ctx.fillRect(Math.min(p.loopStart, p.loopEnd) * w, 0, Math.abs(p.loopEnd - p.loopStart) * w, h);
+        }
+
+        const data = buffer.getChannelData(0);
+        const per = Math.max(1, Math.floor(data.length / w));
+        ctx.fillStyle = '#9cd';
+        for (let x = 0; x < w; x++) {
+            let min = 0, max = 0;
+            for (let i = x * per; i < Math.min(data.length, (x + 1) * per); i++) {
+                if (data[i] < min) min = data[i];
+                if (data[i] > max) max = data[i];
+            }
+            ctx.fillRect(x, h / 2 - max * h / 2, 1, Math.max(1, (max - min) * h / 2));
+        }
+
+        // Dim outside the playback region
+        const a = Math.min(p.start, p.end) * w;
+        const b = Math.max(p.start, p.end) * w;
+        ctx.fillStyle = 'rgba(0,0,0,0.6)';
+        ctx.fillRect(0, 0, a, h);
+        ctx.fillRect(b, 0, w - b, h);
+
+        markers.forEach(m => {
+            if (m.loop && p.loopMode === 'off') return;
+            ctx.fillStyle = m.color;
+            ctx.fillRect(Math.round(p[m.key] * w) - 1, 0, 2, h);
+        });
+        if (p.reverse) {
+            ctx.fillStyle = '#fc3';
+            ctx.font = '10px sans-serif';
+            ctx.fillText('REVERSE', 4, 12);
+        }
+    },
+
+    // --- Synth ---
+
+    userPresets() {
+        try {
+            return JSON.parse(localStorage.getItem(this.USER_PRESETS_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    },
+
+    renderSynth(body, synth) {
+        const p = synth.params;
+        const waves = ['sine', 'square', 'sawtooth', 'triangle'];
+
+        // Presets
+        const presetBar = document.createElement('div');
+        presetBar.className = 'editor-presets';
+        const user = this.userPresets();
+        presetBar.innerHTML = `
+            <select>
+                <optgroup label="Factory">${Object.keys(Synth.presets).map(n => `<option value="factory:${n}">${n}</option>`).join('')}</optgroup>
+                <optgroup label="User">${Object.keys(user).map(n => `<option value="user:${n}">${n}</option>`).join('')}</optgroup>
+            </select>
+            <button>Save preset</button>
+        `;
+        const presetSelect = presetBar.querySelector('select');
+        presetSelect.value = (user[p.preset] ? 'user:' : 'factory:') + p.preset;
+        presetSelect.onchange = () => {
+            const [kind, name] = presetSelect.value.split(/:(.*)/);
+            const before = synth.params;
+            synth.loadPreset(name, kind === 'user' ? this.userPresets()[name] : null);
+            const after = synth.params;
+            History.push({ label: `Load preset ${name}`, undo: () => synth.params = before, redo: () => synth.params = after });
+            this.render();
+        };
+        presetBar.querySelector('button').onclick = () => {
+            const name = prompt('Preset name', p.preset);
+            if (!name) return;
+            const presets = this.userPresets();
+            p.preset = name.trim();
+            presets[p.preset] = synth.serialize();
+            localStorage.setItem(this.USER_PRESETS_KEY, JSON.stringify(presets));
+            this.render();
+        };
+        body.appendChild(presetBar);
+
+        const grid = document.createElement('div');
+        grid.className = 'editor-grid';
+        body.appendChild(grid);
+
+        p.oscillators.forEach((o, i) => {
+            const sec = this.section(grid, `Osc ${i + 1}`);
+            this.checkbox(sec, 'On', o, 'enabled');
+            this.select(sec, 'Wave', o, 'wave', waves);
+            this.slider(sec, 'Octave', o, 'octave', { min: -3, max: 3, step: 1 });
+            this.slider(sec, 'Semi', o, 'semi', { min: -12, max: 12, step: 1 });
+            this.slider(sec, 'Detune', o, 'detune', { min: -100, max: 100, step: 1, unit: 'ct' });
+            this.slider(sec, 'Level', o, 'level', { min: 0, max: 1, step: 0.01 });
+            this.slider(sec, 'Unison', o, 'unison', { min: 1, max: 7, step: 1 });
+            this.slider(sec, 'Spread', o, 'spread', { min: 0, max: 100, step: 1, unit: 'ct' });
+        });
+
+        const filter = this.section(grid, 'Filter');
+        this.select(filter, 'Type', p.filter, 'type', ['lowpass', 'highpass', 'bandpass', 'notch']);
+        this.slider(filter, 'Cutoff', p.filter, 'cutoff', { min: 20, max: 20000, step: 1, unit: 'Hz', automation: `synth:${this.channel.id}:cutoff` });
+        this.slider(filter, 'Resonance', p.filter, 'resonance', { min: 0.1, max: 30, step: 0.1, automation: `synth:${this.channel.id}:resonance` });
+        this.slider(filter, 'Env amt', p.filter, 'envAmount', { min: -5, max: 5, step: 0.1, unit: 'oct' });
+        this.slider(filter, 'Key track', p.filter, 'keyTrack', { min: 0, max: 1, step: 0.01 });
+        this.slider(filter, 'Noise', p, 'noise', { min: 0, max: 1, step: 0.01 });
+
+        this.envelope(grid, 'Filter Env', p.filterEnv);
+        this.envelope(grid, 'Amp Env', p.ampEnv);
+
+        p.lfos.forEach((l, i) => {
+            const sec = this.section(grid, `LFO ${i + 1}`);
+            this.select(sec, 'Target', l, 'target', ['none', 'pitch', 'filter', 'amp']);
+            this.select(sec, 'Wave', l, 'wave', waves);
+            this.slider(sec, 'Rate', l, 'rate', { min: 0.05, max: 20, step: 0.05, unit: 'Hz' });
+            this.slider(sec, 'Depth', l, 'depth', { min: 0, max: 2, step: 0.01 });
+        });
+
+        const voice = this.section(grid, 'Voice');
+        this.select(voice, 'Mode', p, 'mode', ['poly', 'mono', 'legato']);
+        this.slider(voice, 'Voices', p, 'voices', { min: 1, max: 16, step: 1 });
+        this.slider(voice, 'Glide', p, 'glide', { min: 0, max: 1, step: 0.005, unit: 's' });
+    }
+};
+
+// --- PATTERNS ---
+
+// Pattern selector in the transport bar, on top of the pattern bank in core/song.js
+Object.assign(Patterns, {
+    initUI() {
+        Events.on('patterns', () => this.refresh());
+        const select = document.getElementById('pattern-select');
+        select.onchange = () => this.select(select.value);
+        document.getElementById('pattern-length').onchange = (e) => {
+            const pattern = this.active();
+            History.change('Pattern length', () => pattern.length, v => this.setLength(pattern.id, v),
+                Math.max(1, Math.min(256, parseInt(e.target.value) || DAW.stepCount)));
+        };
+        document.getElementById('btn-pattern-new').onclick = () => {
+            const previous = DAW.activePatternId;
+            this.select(this.create().id);
+            this.recordAdd('New pattern', previous);
+        };
+        document.getElementById('btn-pattern-clone').onclick = () => {
+            const previous = DAW.activePatternId;
+            this.clone(previous);
+            this.recordAdd('Clone pattern', previous);
+        };
+        document.getElementById('btn-pattern-rename').onclick = () => {
+            const pattern = this.active();
+            const name = prompt('Pattern name', pattern.name);
+            if (name) History.change('Rename pattern', () => pattern.name, v => this.rename(pattern.id, v), name.trim());
+        };
+        document.getElementById('btn-pattern-delete').onclick = () => {
+            if (this.list().length > 1 && confirm(`Delete "${this.active().name}"?`)) {
+                const pattern = this.active();
+                const index = this.list().indexOf(pattern);
+                const clips = JSON.stringify(Song.current().clips);
+                this.remove(pattern.id);
+                History.push({
+                    label: 'Delete pattern',
+                    undo: () => {
+                        // Put it back in its old place in the bank
+                        const entries = Object.entries(DAW.state.patterns);
+                        entries.splice(index, 0, [pattern.id, pattern]);
+                        DAW.state.patterns = Object.fromEntries(entries);
+                        Song.current().clips = JSON.parse(clips);
+                        DAW.activePatternId = pattern.id;
+                    },
+                    redo: () => this.remove(pattern.id)
+                });
+            }
+        };
+        this.renderSelector();
+    },
+
+    // History entry for the pattern just created and selected
+    recordAdd(label, previousId) {
+        const pattern = this.active();
+        History.push({
+            label,
+            undo: () => {
+                delete DAW.state.patterns[pattern.id];
+                DAW.activePatternId = previousId;
+            },
+            redo: () => {
+                DAW.state.patterns[pattern.id] = pattern;
+                DAW.activePatternId = pattern.id;
+            }
+        });
+    },
+
+    renderSelector() {
+        const select = document.getElementById('pattern-select');
+        if (!select) return;
+        select.innerHTML = '';
+        this.list().forEach(p => {
+            const opt = document.createElement('option');
+            opt.value = p.id;
+            opt.innerText = p.name;
+            select.appendChild(opt);
+        });
+        select.value = DAW.activePatternId;
+        document.getElementById('pattern-length').value = this.active().length;
+        document.getElementById('btn-pattern-delete').disabled = this.list().length <= 1;
+    },
+
+    refresh() {
+        this.renderSelector();
+        UIManager.renderChannelRack();
+        PianoRoll.render();
+        Playlist.renderSources();
+        Playlist.render();
+        Automation.render();
+    }
+});
+
+// --- AUTOMATION ---
+
+// Recording control moves and the lane editor, on top of lane playback in core/automation.js
+Object.assign(Automation, {
+    recording: false,
+    take: null,           // { pattern, commit } while recording
+    lastRecorded: new Map(), // target -> last recorded position in this take
+    editing: null,        // { patternId, index } or { clipId }
+    canvas: null,
+    ctx: null,
+    drag: null,
+
+    // --- Recording: control moves while playing (pattern mode) write into the active pattern ---
+
+    record(id, value) {
+        if (!this.recording || !DAW.isPlaying || DAW.songMode || DAW.ctx.currentTime < DAW.countInUntil) return;
+        const pattern = Patterns.active();
+        if (!this.take || this.take.pattern !== pattern) {
+            this.endTake();
+            this.take = {
+                pattern,
+                commit: History.track('Record automation', () => this.lanes(pattern), lanes => pattern.automation = lanes)
+            };
+        }
+        const pos = Sequencer.position() % pattern.length;
+        const lanes = this.lanes(pattern);
+        let lane = lanes.find(l => l.target === id);
+        if (!lane) {
+            lane = { target: id, points: [] };
+            lanes.push(lane);
+        }
+        // Overwrite what was there since the previous recorded value
+        const last = this.lastRecorded.get(id);
+        if (last !== undefined && last < pos) {
+            lane.points = lane.points.filter(pt => pt.step <= last || pt.step > pos);
+        }
+        lane.points = lane.points.filter(pt => pt.step !== pos);
+        lane.points.push({ step: pos, value, curve: 0 });
+        lane.points.sort((x, y) => x.step - y.step);
+        this.lastRecorded.set(id, pos);
+        if (this.isVisible()) this.render();
+    },
+
+    endTake() {
+        if (this.take) this.take.commit();
+        this.take = null;
+        this.lastRecorded.clear();
+    },
+
+    // --- Editor view ---
+
+    // The lane being edited and where it lives
+    current() {
+        if (this.editing && this.editing.clipId) {
+            const clip = Song.current().clips.find(c => c.id === this.editing.clipId);
+            if (clip) return { lane: clip.automation, length: clip.length, offset: clip.offset, clip };
+            this.editing = null;
+        }
+        const pattern = Patterns.active();
+        const lanes = this.lanes(pattern);
+        if (!this.editing || this.editing.patternId !== pattern.id || !lanes[this.editing.index]) {
+            this.editing = lanes.length ? { patternId: pattern.id, index: 0 } : null;
+        }
+        return this.editing ? { lane: lanes[this.editing.index], length: pattern.length, offset: 0, pattern } : null;
+    },
+
+    // Undo entry around an edit of the current lane
+    track(label) {
+        const cur = this.current();
+        if (cur && cur.clip) return Playlist.track(label);
+        const pattern = Patterns.active();
+        return History.track(label, () => this.lanes(pattern), lanes => pattern.automation = lanes);
+    },
+
+    init() {
+        Events.on('stop', () => { this.endTake(); this.reset(); });
+        this.canvas = document.getElementById('automation-canvas');
+        this.ctx = this.canvas.getContext('2d');
+
+        document.getElementById('automation-lane').onchange = (e) => {
+            const [kind, id] = e.target.value.split(':');
+            this.editing = kind === 'clip' ? { clipId: id } : { patternId: DAW.activePatternId, index: parseInt(id) };
+            this.render();
+        };
+        document.getElementById('automation-target').onchange = (e) => {
+            const id = e.target.value;
+            e.target.value = '';
+            if (!id) return;
+            const pattern = Patterns.active();
+            const lanes = this.lanes(pattern);
+            let index = lanes.findIndex(l => l.target === id);
+            if (index < 0) {
+                // Start flat at the current value
+                const target = this.resolve(id);
+                const commit = History.track('Add automation lane', () => lanes, saved => pattern.automation = saved);
+                lanes.push({ target: id, points: [{ step: 0, value: target ? target.rest() : 0, curve: 0 }] });
+                commit();
+                index = lanes.length - 1;
+            }
+            this.editing = { patternId: pattern.id, index };
+            this.render();
+        };
+        document.getElementById('btn-auto-delete').onclick = () => {
+            const cur = this.current();
+            if (!cur || cur.clip) return;
+            const commit = this.track('Delete automation lane');
+            this.lanes(cur.pattern).splice(this.editing.index, 1);
+            commit();
+            this.editing = null;
+            this.render();
+        };
+        document.getElementById('btn-auto-clip').onclick = () => this.toPlaylist();
+        document.getElementById('btn-auto-record').onclick = (e) => {
+            this.recording = !this.recording;
+            e.target.classList.toggle('active', this.recording);
+            if (!this.recording) this.endTake();
+        };
+
+        this.canvas.addEventListener('mousedown', this.handleInput.bind(this));
+        this.canvas.addEventListener('contextmenu', e => e.preventDefault());
+        window.addEventListener('resize', () => this.render());
+    },
+
+    // Copy the pattern lane into a playlist automation clip on the first free track at the song start
+    toPlaylist() {
+        const cur = this.current();
+        if (!cur || cur.clip) return;
+        const song = Song.current();
+        const start = DAW.songPosition;
+        const end = start + cur.length;
+        let track = song.tracks.findIndex((t, i) =>
+            !song.clips.some(c => c.track === i && c.start < end && c.start + c.length > start));
+        const commit = Playlist.track('Automation clip');
+        if (track < 0) {
+            Song.addTrack(song);
+            track = song.tracks.length - 1;
+        }
+        song.clips.push({
+            id: `c${Playlist.nextClipId++}`,
+            type: 'automation',
+            track,
+            start,
+            length: cur.length,
+            offset: 0,
+            muted: false,
+            automation: JSON.parse(JSON.stringify(cur.lane))
+        });
+        commit();
+        Playlist.render();
+    },
+
+    isVisible() {
+        return document.getElementById('automation-view').classList.contains('active');
+    },
+
+    // Canvas geometry for the current lane
+    geometry(cur) {
+        const target = this.describe(cur.lane.target);
+        const w = this.canvas.width;
+        const h = this.canvas.height;
+        const pad = 8;
+        const stepW = w / cur.length;
+        const range = target.max - target.min;
+        return {
+            target, stepW,
+            x: step => (step - cur.offset) * stepW,
+            y: value => pad + (1 - (value - target.min) / range) * (h - pad * 2),
+            step: x => x / stepW + cur.offset,
+            value: y => Math.max(target.min, Math.min(target.max, target.min + (1 - (y - pad) / (h - pad * 2)) * range))
+        };
+    },
+
+    // Click: add a point (snapped to 1/4 step unless Shift). Drag a point to move it,
+    // right click deletes it, Alt+drag on a segment bends its curve.
+    handleInput(e) {
+        const cur = this.current();
+        if (!cur) return;
+        const g = this.geometry(cur);
+        const rect = this.canvas.getBoundingClientRect();
+        const posOf = (ev) => ({ x: ev.clientX - rect.left, y: ev.clientY - rect.top });
+        const pos = posOf(e);
+        const points = cur.lane.points;
+        const hit = points.find(pt => Math.abs(g.x(pt.step) - pos.x) < 6 && Math.abs(g.y(pt.value) - pos.y) < 6);
+        const commit = this.track('Edit automation');
+
+        if (e.button === 2) {
+            if (hit && points.length > 1) points.splice(points.indexOf(hit), 1);
+            commit('Delete automation point');
+            this.render();
+            return;
+        }
+
+        let mode = 'move';
+        let point = hit;
+        let segment = null;
+        if (!hit && e.altKey) {
+            const step = g.step(pos.x);
+            segment = [...points].reverse().find(pt => pt.step <= step);
+            if (!segment || segment === points[points.length - 1]) return;
+            mode = 'curve';
+        } else if (!hit) {
+            const raw = g.step(pos.x);
+            point = { step: e.shiftKey ? raw : Math.round(raw * 4) / 4, value: g.value(pos.y), curve: 0 };
+            points.push(point);
+            points.sort((x, y) => x.step - y.step);
+        }
+        const startY = pos.y;
+        const startCurve = segment ? segment.curve || 0 : 0;
+        const move = (ev) => {
+            const p = posOf(ev);
+            if (mode === 'curve') {
+                segment.curve = Math.max(-1, Math.min(1, startCurve + (startY - p.y) / 100));
+            } else {
+                const raw = Math.max(cur.offset, Math.min(cur.offset + cur.length, g.step(p.x)));
+                point.step = ev.shiftKey ? raw : Math.round(raw * 4) / 4;
+                point.value = g.value(p.y);
+                points.sort((x, y) => x.step - y.step);
+            }
+            this.render();
+        };
+        window.addEventListener('mousemove', move);
+        window.addEventListener('mouseup', () => {
+            window.removeEventListener('mousemove', move);
+            commit(mode === 'curve' ? 'Bend automation' : hit ? 'Move automation point' : 'Add automation point');
+            this.render();
+        }, { once: true });
+        this.render();
+    },
+
+    renderSelectors(cur) {
+        const laneSelect = document.getElementById('automation-lane');
+        const options = this.lanes(Patterns.active())
+            .map((lane, i) => `<option value="lane:${i}">${this.describe(lane.target).label}</option>`);
+        if (cur && cur.clip) {
+            options.unshift(`<option value="clip:${cur.clip.id}">Clip: ${this.describe(cur.lane.target).label}</option>`);
+        }
+        laneSelect.innerHTML = options.join('') || '<option value="">No lanes in this pattern</option>';
+        if (cur) laneSelect.value = cur.clip ? `clip:${cur.clip.id}` : `lane:${this.editing.index}`;
+
+        const groups = {};
+        this.targets().filter(t => !t.inactive).forEach(t => (groups[t.group] = groups[t.group] || []).push(t));
+        document.getElementById('automation-target').innerHTML = '<option value="">+ Add lane</option>' +
+            Object.entries(groups).map(([group, list]) =>
+                `<optgroup label="${group}">${list.map(t => `<option value="${t.id}">${t.label}</option>`).join('')}</optgroup>`
+            ).join('');
+        document.getElementById('btn-auto-delete').disabled = !cur || !!cur.clip;
+        document.getElementById('btn-auto-clip').disabled = !cur || !!cur.clip;
+    },
+
+    render() {
+        if (!this.ctx || !this.isVisible()) return;
+        const container = this.canvas.parentElement;
+        const w = container.clientWidth;
+        const h = container.clientHeight;
+        if (this.canvas.width !== w) this.canvas.width = w;
+        if (this.canvas.height !== h) this.canvas.height = h;
+
+        const cur = this.current();
+        this.renderSelectors(cur);
+        const ctx = this.ctx;
+        ctx.fillStyle = '#1e1e1e';
+        ctx.fillRect(0, 0, w, h);
+        if (!cur) {
+            ctx.fillStyle = '#888';
+            ctx.font = '12px sans-serif';
+            ctx.fillText('Pick a parameter under "+ Add lane" to automate it in this pattern.', 10, 20);
+            return;
+        }
+        const g = this.geometry(cur);
+
+        // Step / beat grid
+        for (let s = 0; s <= cur.length; s++) {
+            ctx.fillStyle = (s + cur.offset) % Transport.stepsPerBeat() === 0 ? '#3a3a3a' : '#2a2a2a';
+            ctx.fillRect(Math.round(s * g.stepW), 0, 1, h);
+        }
+
+        // Envelope
+        const points = cur.lane.points;
+        ctx.strokeStyle = '#ff9900';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let x = 0; x <= w; x += 2) {
+            const y = g.y(this.valueAt(points, g.step(x)));
+            if (x === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        }
+        ctx.stroke();
+        ctx.lineWidth = 1;
+
+        ctx.fillStyle = '#fff';
+        points.forEach(pt => {
+            ctx.beginPath();
+            ctx.arc(g.x(pt.step), g.y(pt.value), 4, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        ctx.fillStyle = '#888';
+        ctx.font = '10px sans-serif';
+        ctx.fillText(`${g.target.label}: ${+g.target.max.toFixed(3)}`, 4, 12);
+        ctx.fillText(String(+g.target.min.toFixed(3)), 4, h - 4);
+    }
+});
+
+// --- PLAYLIST ---
+
+// Arrangement timeline. Positions and lengths are in 16th steps.
+// clip: { id, type: 'pattern' | 'audio', track, start, length, offset, muted, patternId | sampleId }
+const Playlist = {
+    canvas: null,
+    ctx: null,
+    zoomX: 6,          // px per 16th step (96px per bar)
+    trackHeight: 40,
+    headerWidth: 100,
+    rulerHeight: 20,
+    snap: 'bar',       // 'bar' | 'beat' | steps (see snapSize)
+    tool: 'draw',      // 'draw' | 'slice' | 'mute'
+    source: null,      // { type: 'pattern' | 'audio', id } placed by the draw tool
+    nextClipId: 1,
+    drag: null,
+    peaks: new Map(),  // sampleId -> Float32Array of [min, max] pairs
+    playheadStep: null,
+
+    // Audio clips cover the sample at the tempo from `start` on (tempo map included)
+    sourceLength(source, start = 0) {
+        if (source.type === 'pattern') {
+            const pattern = Patterns.get(source.id);
+            return pattern ? pattern.length : 16;
+        }
+        const sample = SamplePool.get(source.id);
+        if (!sample) return 16;
+        let steps = 0;
+        for (let t = 0; t < sample.buffer.duration; steps++) t += Transport.stepDuration(start + steps);
+        return Math.max(1, steps);
+    },
+
+    addClip(source, track, start) {
+        const clip = {
+            id: `c${this.nextClipId++}`,
+            type: source.type,
+            track,
+            start,
+            length: this.sourceLength(source, start),
+            offset: 0,
+            muted: false
+        };
+        if (source.type === 'pattern') clip.patternId = source.id;
+        else clip.sampleId = source.id;
+        Song.current().clips.push(clip);
+        return clip;
+    },
+
+    // Undo entry for whatever happens to the arrangement until commit() is called
+    track(label) {
+        return History.track(label, () => Song.current(), song => DAW.state.songs[0] = song);
+    },
+
+    removeClip(clip) {
+        const clips = Song.current().clips;
+        clips.splice(clips.indexOf(clip), 1);
+    },
+
+    splitClip(clip, at) {
+        if (at <= clip.start || at >= clip.start + clip.length) return null;
+        const right = { ...clip, id: `c${this.nextClipId++}`, start: at,
+            length: clip.start + clip.length - at, offset: clip.offset + (at - clip.start) };
+        if (clip.automation) right.automation = JSON.parse(JSON.stringify(clip.automation));
+        clip.length = at - clip.start;
+        Song.current().clips.push(right);
+        return right;
+    },
+
+    // Restore after project load
+    restore() {
+        const clips = Song.current().clips;
+        this.nextClipId = clips.reduce((max, c) => Math.max(max, parseInt(c.id.slice(1)) + 1 || 0), 1);
+        this.peaks.clear();
+        this.renderSources();
+        this.render();
+    },
+
+    init() {
+        this.canvas = document.getElementById('playlist-canvas');
+        this.ctx = this.canvas.getContext('2d');
+
+        document.getElementById('playlist-source').onchange = (e) => {
+            const [type, id] = e.target.value.split(':');
+            this.source = { type, id };
+        };
+        document.getElementById('playlist-snap').onchange = (e) => {
+            this.snap = isNaN(e.target.value) ? e.target.value : parseInt(e.target.value);
+        };
+        document.querySelectorAll('#playlist-toolbar [data-tool]').forEach(btn => {
+            btn.onclick = () => {
+                this.tool = btn.dataset.tool;
+                document.querySelectorAll('#playlist-toolbar [data-tool]').forEach(b => b.classList.toggle('active', b === btn));
+            };
+        });
+        document.getElementById('btn-add-track').onclick = () => {
+            const commit = this.track('Add track');
+            Song.addTrack();
+            commit();
+            this.render();
+        };
+
+        this.canvas.addEventListener('mousedown', this.handleInput.bind(this));
+        this.canvas.addEventListener('dblclick', this.handleDoubleClick.bind(this));
+        this.canvas.addEventListener('contextmenu', e => e.preventDefault());
+
+        // Audio files dropped on the timeline become audio clips
+        this.canvas.addEventListener('dragover', e => e.preventDefault());
+        this.canvas.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            const pos = this.eventPos(e);
+            const entry = SampleLibrary.entries.find(en => en.id === e.dataTransfer.getData(SampleLibrary.MIME));
+            const files = [...e.dataTransfer.files];
+            const commit = this.track('Add audio clip');
+            const samples = [];
+            if (entry) samples.push(await SampleLibrary.load(entry).catch(err => alert(err.message)));
+            for (const file of files) samples.push(await FileLoader.decodeFile(file));
+            samples.filter(Boolean).forEach(sample => {
+                this.addClip({ type: 'audio', id: sample.id }, Math.max(0, pos.track), this.snapStep(pos.step));
+            });
+            commit();
+            this.renderSources();
+            this.render();
+        });
+
+        window.addEventListener('resize', () => this.render());
+        this.renderSources();
+        this.render();
+    },
+
+    // Fill the clip source picker with patterns and pool samples
+    renderSources() {
+        const select = document.getElementById('playlist-source');
+        if (!select) return;
+        const options = [
+            ...Patterns.list().map(p => ({ value: `pattern:${p.id}`, label: `Pattern: ${p.name}` })),
+            ...Object.values(SamplePool.samples).map(smp => ({ value: `audio:${smp.id}`, label: `Audio: ${smp.name}` }))
+        ];
+        select.innerHTML = options.map(o => `<option value="${o.value}">${o.label}</option>`).join('');
+        const current = this.source && `${this.source.type}:${this.source.id}`;
+        if (options.some(o => o.value === current)) {
+            select.value = current;
+        } else if (options.length) {
+            const [type, id] = options[0].value.split(':');
+            this.source = { type, id };
+        }
+    },
+
+    eventPos(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+        return {
+            x, y,
+            step: Math.max(0, (x - this.headerWidth) / this.zoomX),
+            track: Math.floor((y - this.rulerHeight) / this.trackHeight)
+        };
+    },
+
+    // Snap setting in steps ('bar' / 'beat' follow the time signature)
+    snapSize() {
+        if (this.snap === 'bar') return Transport.stepsPerBar();
+        if (this.snap === 'beat') return Transport.stepsPerBeat();
+        return this.snap;
+    },
+
+    snapStep(step) {
+        const snap = this.snapSize();
+        return Math.max(0, Math.floor(step / snap) * snap);
+    },
+
+    clipAt(pos) {
+        const clips = Song.current().clips;
+        for (let i = clips.length - 1; i >= 0; i--) {
+            const c = clips[i];
+            if (c.track === pos.track && pos.step >= c.start && pos.step < c.start + c.length) return c;
+        }
+        return null;
+    },
+
+    handleInput(e) {
+        const pos = this.eventPos(e);
+        const song = Song.current();
+
+        // Ruler: click sets the song start, drag sets the loop region, right click removes it
+        if (pos.y < this.rulerHeight) {
+            if (e.button === 2) {
+                if (!song.loop) return;
+                const commit = this.track('Remove loop');
+                song.loop = null;
+                commit();
+                Transport.renderButtons();
+                this.render();
+                return;
+            }
+            const anchor = this.snapStep(pos.step);
+            const commit = this.track('Set loop');
+            let dragged = false;
+            const move = (ev) => {
+                const snap = this.snapSize();
+                const step = Math.max(0, Math.round(this.eventPos(ev).step / snap) * snap);
+                if (step === anchor && !dragged) return;
+                dragged = true;
+                song.loop = step === anchor ? null : { start: Math.min(anchor, step), end: Math.max(anchor, step), enabled: true };
+                this.render();
+            };
+            window.addEventListener('mousemove', move);
+            window.addEventListener('mouseup', () => {
+                window.removeEventListener('mousemove', move);
+                if (!dragged) DAW.songPosition = anchor;
+                commit();
+                Transport.renderButtons();
+                this.render();
+            }, { once: true });
+            return;
+        }
+        if (pos.track < 0 || pos.track >= song.tracks.length) return;
+        const commit = this.track('Edit playlist');
+
+        // Track header: mute toggle
+        if (pos.x < this.headerWidth) {
+            song.tracks[pos.track].muted = !song.tracks[pos.track].muted;
+            commit('Mute track');
+            this.render();
+            return;
+        }
+
+        const clip = this.clipAt(pos);
+        if (clip && (e.button === 2 || e.ctrlKey)) {
+            this.removeClip(clip);
+            commit('Delete clip');
+        } else if (clip && this.tool === 'slice') {
+            this.splitClip(clip, Math.round(pos.step / this.snapSize()) * this.snapSize());
+            commit('Slice clip');
+        } else if (clip && this.tool === 'mute') {
+            clip.muted = !clip.muted;
+            commit('Mute clip');
+        } else if (clip) {
+            const edgeX = this.headerWidth + (clip.start + clip.length) * this.zoomX;
+            const mode = edgeX - pos.x < 6 ? 'resize' : 'move';
+            this.startDrag(e, clip, mode, pos, () => commit(mode === 'resize' ? 'Resize clip' : 'Move clip'));
+        } else if (this.tool === 'draw' && this.source && e.button === 0) {
+            const created = this.addClip(this.source, pos.track, this.snapStep(pos.step));
+            this.startDrag(e, created, 'move', pos, () => commit('Add clip'));
+        }
+        this.render();
+    },
+
+    handleDoubleClick(e) {
+        const pos = this.eventPos(e);
+        const song = Song.current();
+        if (pos.x < this.headerWidth && song.tracks[pos.track]) {
+            const name = prompt('Track name', song.tracks[pos.track].name);
+            if (name) {
+                const commit = this.track('Rename track');
+                song.tracks[pos.track].name = name.trim();
+                commit();
+            }
+            this.render();
+            return;
+        }
+        const clip = this.clipAt(pos);
+        if (clip && clip.type === 'pattern') Patterns.select(clip.patternId);
+        if (clip && clip.type === 'automation') {
+            Automation.editing = { clipId: clip.id };
+            document.querySelector('.tab-btn[data-target="automation-view"]').click();
+        }
+    },
+
+    startDrag(e, clip, mode, pos, done) {
+        this.drag = { clip, mode, grabOffset: pos.step - clip.start };
+        const move = (ev) => {
+            const p = this.eventPos(ev);
+            const c = this.drag.clip;
+            if (this.drag.mode === 'move') {
+                c.start = this.snapStep(p.step - this.drag.grabOffset + this.snapSize() / 2);
+                c.track = Math.max(0, Math.min(Song.current().tracks.length - 1, p.track));
+            } else {
+                const snap = this.snapSize();
+                const end = Math.round(p.step / snap) * snap;
+                c.length = Math.max(snap, end - c.start);
+            }
+            this.render();
+        };
+        window.addEventListener('mousemove', move);
+        window.addEventListener('mouseup', () => {
+            window.removeEventListener('mousemove', move);
+            this.drag = null;
+            done();
+        }, { once: true });
+    },
+
+    // Min/max pairs at 200 points per second, cached per sample
+    peaksFor(sample) {
+        if (this.peaks.has(sample.id)) return this.peaks.get(sample.id);
+        const data = sample.buffer.getChannelData(0);
+        const bucket = Math.max(1, Math.floor(sample.buffer.sampleRate / 200));
+        const count = Math.ceil(data.length / bucket);
+        const peaks = new Float32Array(count * 2);
+        for (let b = 0; b < count; b++) {
+            let min = 0, max = 0;
+            const end = Math.min(data.length, (b + 1) * bucket);
+            for (let i = b * bucket; i < end; i++) {
+                if (data[i] < min) min = data[i];
+                if (data[i] > max) max = data[i];
+            }
+            peaks[b * 2] = min;
+            peaks[b * 2 + 1] = max;
+        }
+        this.peaks.set(sample.id, peaks);
+        return peaks;
+    },
+
+    render() {
+        if (!this.ctx) return;
+        const song = Song.current();
+        const perBar = Transport.stepsPerBar();
+        const perBeat = Transport.stepsPerBeat();
+        const bars = Math.max(32, Song.length() / perBar + 8);
+        const container = this.canvas.parentElement;
+        const width = Math.max(container.clientWidth, this.headerWidth + bars * perBar * this.zoomX);
+        const height = Math.max(container.clientHeight, this.rulerHeight + song.tracks.length * this.trackHeight);
+        // Resizing clears and reallocates the canvas, only do it when needed
+        if (this.canvas.width !== width) this.canvas.width = width;
+        if (this.canvas.height !== height) this.canvas.height = height;
+
+        const ctx = this.ctx;
+        const w = this.canvas.width;
+        const h = this.canvas.height;
+        const gridTop = this.rulerHeight;
+        const x0 = this.headerWidth;
+        const barW = perBar * this.zoomX;
+
+        ctx.fillStyle = '#1e1e1e';
+        ctx.fillRect(0, 0, w, h);
+
+        // Track lanes
+        song.tracks.forEach((track, i) => {
+            const y = gridTop + i * this.trackHeight;
+            ctx.fillStyle = i % 2 ? '#262626' : '#2a2a2a';
+            ctx.fillRect(x0, y, w - x0, this.trackHeight);
+        });
+
+        // Bar / beat lines
+        for (let bar = 0; bar <= bars; bar++) {
+            const x = x0 + bar * barW;
+            ctx.fillStyle = '#3a3a3a';
+            ctx.fillRect(x, gridTop, 1, h - gridTop);
+            for (let beat = 1; beat < DAW.timeSignature[0]; beat++) {
+                ctx.fillStyle = '#2f2f2f';
+                ctx.fillRect(x + beat * perBeat * this.zoomX, gridTop, 1, h - gridTop);
+            }
+        }
+
+        // Clips
+        song.clips.forEach(clip => {
+            const x = x0 + clip.start * this.zoomX;
+            const y = gridTop + clip.track * this.trackHeight + 1;
+            const cw = clip.length * this.zoomX;
+            const ch = this.trackHeight - 2;
+            const dimmed = clip.muted || (song.tracks[clip.track] && song.tracks[clip.track].muted);
+
+            ctx.globalAlpha = dimmed ? 0.35 : 1;
+            ctx.fillStyle = { pattern: '#5a6e3a', audio: '#3a5a6e', automation: '#6e3a5a' }[clip.type];
+            ctx.fillRect(x, y, cw, ch);
+            ctx.strokeStyle = '#111';
+            ctx.strokeRect(x + 0.5, y + 0.5, cw - 1, ch - 1);
+
+            if (clip.type === 'audio') {
+                const sample = SamplePool.get(clip.sampleId);
+                if (sample) {
+                    const peaks = this.peaksFor(sample);
+                    const mid = y + ch / 2 + 5;
+                    const amp = (ch - 12) / 2;
+                    // Sample time at each step of the clip, as Sequencer plays it
+                    const times = [clip.offset * Transport.stepDuration(clip.start)];
+                    for (let s = 0; s < clip.length; s++) times.push(times[s] + Transport.stepDuration(clip.start + s));
+                    ctx.fillStyle = '#9cd';
+                    for (let px = 0; px < cw; px++) {
+                        const pos = px / this.zoomX;
+                        const s = Math.floor(pos);
+                        const t = times[s] + (pos - s) * (times[s + 1] - times[s]);
+                        const b = Math.floor(t * 200);
+                        if (b * 2 + 1 >= peaks.length) break;
+                        const top = mid - peaks[b * 2 + 1] * amp;
+                        const bottom = mid - peaks[b * 2] * amp;
+                        ctx.fillRect(x + px, top, 1, Math.max(1, bottom - top));
+                    }
+                }
+            } else if (clip.type === 'automation') {
+                // Envelope preview
+                const lane = clip.automation;
+                const target = Automation.describe(lane.target);
+                if (lane.points.length) {
+                    ctx.strokeStyle = '#f9c';
+                    ctx.beginPath();
+                    for (let px = 0; px <= cw; px += 2) {
+                        const v = Automation.valueAt(lane.points, clip.offset + px / this.zoomX);
+                        const py = y + ch - 3 - (v - target.min) / (target.max - target.min) * (ch - 16);
+                        if (px === 0) ctx.moveTo(x + px, py);
+                        else ctx.lineTo(x + px, py);
+                    }
+                    ctx.stroke();
+                }
+            } else {
+                // Pattern preview: a tick for every step hit across channels
+                const pattern = Patterns.get(clip.patternId);
+                if (pattern) {
+                    ctx.fillStyle = '#cde0a0';
+                    Object.values(pattern.channels).forEach((data, row) => {
+                        for (let s = 0; s < clip.length; s++) {
+                            if (data.steps[(s + clip.offset) % (data.length || pattern.length)]) {
+                                ctx.fillRect(x + s * this.zoomX + 1, y + 14 + (row % 6) * 4, Math.max(1, this.zoomX - 2), 2);
+                            }
+                        }
+                    });
+                }
+            }
+
+            ctx.fillStyle = '#fff';
+            ctx.font = '10px sans-serif';
+            const label = clip.type === 'pattern'
+                ? (Patterns.get(clip.patternId) || { name: '?' }).name
+                : clip.type === 'automation'
+                    ? Automation.describe(clip.automation.target).label
+                    : (SamplePool.get(clip.sampleId) || { name: '?' }).name;
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(x, y, cw, ch);
+            ctx.clip();
+            ctx.fillText(label, x + 3, y + 10);
+            ctx.restore();
+            ctx.globalAlpha = 1;
+        });
+
+        // Ruler
+        ctx.fillStyle = '#252525';
+        ctx.fillRect(0, 0, w, gridTop);
+        ctx.fillStyle = '#888';
+        ctx.font = '10px sans-serif';
+        for (let bar = 0; bar < bars; bar++) {
+            const x = x0 + bar * barW;
+            ctx.fillRect(x, gridTop - 6, 1, 6);
+            ctx.fillText(String(bar + 1), x + 3, 12);
+        }
+        // Loop region (dimmed while looping is off)
+        const loop = song.loop;
+        if (loop) {
+            const lx = x0 + loop.start * this.zoomX;
+            const lw = (loop.end - loop.start) * this.zoomX;
+            ctx.fillStyle = loop.enabled ? 'rgba(120, 180, 255, 0.45)' : 'rgba(120, 180, 255, 0.15)';
+            ctx.fillRect(lx, 0, lw, gridTop);
+            if (loop.enabled) {
+                ctx.fillStyle = 'rgba(120, 180, 255, 0.06)';
+                ctx.fillRect(lx, gridTop, lw, h - gridTop);
+            }
+        }
+        // Tempo changes
+        ctx.fillStyle = '#fc6';
+        song.tempoMap.forEach(point => {
+            const tx = x0 + point.step * this.zoomX;
+            ctx.fillRect(tx, 0, 1, gridTop);
+            ctx.fillText(`${point.ramp ? '/' : ''}${+point.bpm.toFixed(1)}`, tx + 3, gridTop - 2);
+        });
+        // Song start marker
+        const startX = x0 + DAW.songPosition * this.zoomX;
+        ctx.fillStyle = '#8f8';
+        ctx.beginPath();
+        ctx.moveTo(startX - 5, 0);
+        ctx.lineTo(startX + 5, 0);
+        ctx.lineTo(startX, 8);
+        ctx.fill();
+
+        // Track headers
+        song.tracks.forEach((track, i) => {
+            const y = gridTop + i * this.trackHeight;
+            ctx.fillStyle = '#333';
+            ctx.fillRect(0, y, x0, this.trackHeight);
+            ctx.fillStyle = '#1a1a1a';
+            ctx.fillRect(0, y + this.trackHeight - 1, x0, 1);
+            ctx.fillStyle = track.muted ? '#444' : '#8f8';
+            ctx.fillRect(6, y + this.trackHeight / 2 - 4, 8, 8);
+            ctx.fillStyle = track.muted ? '#777' : '#ddd';
+            ctx.fillText(track.name, 20, y + this.trackHeight / 2 + 4);
+        });
+        ctx.fillStyle = '#252525';
+        ctx.fillRect(0, 0, x0, gridTop);
+
+        // Playhead
+        if (DAW.songMode && this.playheadStep !== null) {
+            const px = x0 + this.playheadStep * this.zoomX;
+            ctx.fillStyle = '#8f8';
+            ctx.fillRect(px, 0, 1, h);
+        }
+    }
+};
+
+// --- PIANO ROLL ---
+
+const PianoRoll = {
+    canvas: null,
+    ctx: null,
+    velCanvas: null,
+    velCtx: null,
+    zoomX: 20, // px per 16th step
+    zoomY: 20, // px per semitone
+    minPitch: 0,
+    maxPitch: 127,
+    snap: 1,            // steps; 0 = off
+    tool: 'draw',       // 'draw' | 'select'
+    lastLength: 1,      // length of newly drawn notes, picked up from the last touched note
+    selection: new Set(),
+    clipboard: [],      // notes relative to the first copied start
+    pasteAt: 0,
+    drag: null,
+    channelRef: null,   // channel the selection belongs to
+    chordType: 'triad', // chord stamp tool, see Scales.CHORDS
+    inversion: 0,
+    noteNames: ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"],
+    
+    init() {
+        this.canvas = document.getElementById('piano-canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.velCanvas = document.getElementById('velocity-canvas');
+        this.velCtx = this.velCanvas.getContext('2d');
+
+        this.buildKeys();
+        this.initToolbar();
+
+        // Keep the keyboard and velocity lane aligned with the scrolled grid
+        const grid = this.canvas.parentElement;
+        grid.addEventListener('scroll', () => {
+            document.getElementById('piano-keys-container').scrollTop = grid.scrollTop;
+            this.velCanvas.parentElement.scrollLeft = grid.scrollLeft;
+        });
+
+        this.resize();
+        window.addEventListener('resize', () => this.resize());
+        // Start around C5 instead of the top of the MIDI range
+        grid.scrollTop = (this.maxPitch - 84) * this.zoomY;
+        
+        // Interaction
+        this.canvas.addEventListener('mousedown', this.handleInput.bind(this));
+        this.canvas.addEventListener('contextmenu', e => e.preventDefault());
+        this.canvas.addEventListener('wheel', this.handleWheel.bind(this), { passive: false });
+        this.velCanvas.addEventListener('mousedown', this.handleVelocityInput.bind(this));
+        document.addEventListener('keydown', this.handleKey.bind(this));
+    },
+
+    buildKeys() {
+        const keyContainer = document.getElementById('piano-keys-container');
+        keyContainer.innerHTML = '';
+        for(let i=this.maxPitch; i>=this.minPitch; i--) {
+            const key = document.createElement('div');
+            const noteName = this.noteNames[i % 12];
+            const isBlack = noteName.includes('#');
+            key.className = `key ${isBlack ? 'black' : 'white'}`;
+            key.style.height = this.zoomY + 'px';
+            if(noteName === 'C') key.innerHTML = `<span>C${Math.floor(i/12)-1}</span>`;
+            key.onmousedown = () => this.preview(i);
+            keyContainer.appendChild(key);
+        }
+    },
+
+    initToolbar() {
+        document.querySelectorAll('#piano-toolbar [data-tool]').forEach(btn => {
+            btn.onclick = () => {
+                this.tool = btn.dataset.tool;
+                document.querySelectorAll('#piano-toolbar [data-tool]').forEach(b => b.classList.toggle('active', b === btn));
+            };
+        });
+        document.getElementById('piano-snap').onchange = (e) => this.snap = parseFloat(e.target.value);
+        document.getElementById('btn-quantize').onclick = () => this.quantize();
+        document.getElementById('btn-legato').onclick = () => this.legato();
+        document.getElementById('btn-bake-arp').onclick = () => this.bakeArp();
+
+        const chord = document.getElementById('piano-chord');
+        chord.innerHTML = Object.keys(Scales.CHORDS).map(c => `<option value="${c}">${{ triad: 'Triad (key)', seventh: '7th (key)' }[c] || c}</option>`).join('');
+        chord.value = this.chordType;
+        chord.onchange = () => this.chordType = chord.value;
+        document.getElementById('piano-inversion').onchange = (e) => this.inversion = parseInt(e.target.value);
+
+        // Key: saved with the project, not an undoable edit (like the snap setting)
+        const root = document.getElementById('piano-root');
+        const type = document.getElementById('piano-scale');
+        const snap = document.getElementById('piano-scale-snap');
+        root.innerHTML = this.noteNames.map((n, i) => `<option value="${i}">${n}</option>`).join('');
+        type.innerHTML = Object.keys(Scales.TYPES).map(t => `<option value="${t}">${t}</option>`).join('');
+        root.onchange = () => { this.scale().root = parseInt(root.value); this.render(); };
+        type.onchange = () => { this.scale().type = type.value; this.render(); };
+        snap.onchange = () => this.scale().snap = snap.checked;
+        this.syncScale();
+        document.querySelectorAll('#piano-toolbar [data-zoom]').forEach(btn => {
+            btn.onclick = () => {
+                const [axis, dir] = btn.dataset.zoom.split(':');
+                this.setZoom(axis, dir === 'in' ? 1.25 : 0.8);
+            };
+        });
+    },
+
+    // After a project load
+    syncScale() {
+        const scale = this.scale();
+        document.getElementById('piano-root').value = scale.root;
+        document.getElementById('piano-scale').value = scale.type;
+        document.getElementById('piano-scale-snap').checked = scale.snap;
+    },
+
+    // --- Helpers ---
+
+    scale() {
+        if (!DAW.state.scale) DAW.state.scale = Scales.defaults(); // projects saved before keys existed
+        return DAW.state.scale;
+    },
+
+    // Pitch moved into the key when snap to scale is on; dir as in Scales.fit
+    fitPitch(pitch, dir = 0) {
+        const scale = this.scale();
+        if (scale.snap && Scales.active(scale)) pitch = Scales.fit(scale, pitch, dir);
+        return Math.max(this.minPitch, Math.min(this.maxPitch, pitch));
+    },
+
+    channel() {
+        const ch = DAW.channels[DAW.selectedChannelIndex];
+        if (ch !== this.channelRef) {
+            this.channelRef = ch;
+            this.selection.clear();
+        }
+        return ch;
+    },
+
+    notes() {
+        const ch = this.channel();
+        return ch ? ch.pianoRollNotes : [];
+    },
+
+    snapStep(step, mode = 'floor') {
+        if (!this.snap) return step;
+        return Math[mode](step / this.snap) * this.snap;
+    },
+
+    gridStep() {
+        return this.snap || 1;
+    },
+
+    eventPos(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+        return { x, y, step: Math.max(0, x / this.zoomX), pitch: this.maxPitch - Math.floor(y / this.zoomY) };
+    },
+
+    noteAt(pos) {
+        const notes = this.notes();
+        for (let i = notes.length - 1; i >= 0; i--) {
+            const n = notes[i];
+            if (n.pitch === pos.pitch && pos.step >= n.start && pos.step < n.start + n.duration) return n;
+        }
+        return null;
+    },
+
+    selectedNotes() {
+        const notes = this.notes();
+        return notes.filter(n => this.selection.has(n));
+    },
+
+    // Selected notes, or all of them when nothing is selected
+    targetNotes() {
+        const sel = this.selectedNotes();
+        return sel.length ? sel : this.notes();
+    },
+
+    preview(pitch, velocity = 0.8) {
+        const ch = this.channel();
+        if (!ch) return;
+        if (DAW.ctx.state === 'suspended') DAW.ctx.resume();
+        ch.playNote(DAW.ctx.currentTime, 0.2, pitch, velocity);
+    },
+
+    setZoom(axis, factor) {
+        if (axis === 'x') {
+            this.zoomX = Math.max(4, Math.min(80, this.zoomX * factor));
+        } else {
+            const grid = this.canvas.parentElement;
+            const centerPitch = this.maxPitch - (grid.scrollTop + grid.clientHeight / 2) / this.zoomY;
+            this.zoomY = Math.max(8, Math.min(40, Math.round(this.zoomY * factor)));
+            this.buildKeys();
+            this.resize();
+            grid.scrollTop = (this.maxPitch - centerPitch) * this.zoomY - grid.clientHeight / 2;
+            return;
+        }
+        this.resize();
+    },
+
+    // --- Editing ---
+
+    // Undo entry for whatever happens to the current channel's notes until commit() is called
+    track(label) {
+        const notes = this.notes();
+        return History.track(label, () => notes, saved => {
+            notes.splice(0, notes.length, ...saved);
+            this.selection.clear();
+        });
+    },
+
+    addNote(note) {
+        this.notes().push(note);
+        return note;
+    },
+
+    deleteNotes(list) {
+        const notes = this.notes();
+        list.forEach(n => {
+            const i = notes.indexOf(n);
+            if (i > -1) notes.splice(i, 1);
+            this.selection.delete(n);
+        });
+    },
+
+    copy() {
+        const sel = this.selectedNotes();
+        if (!sel.length) return;
+        const start = Math.min(...sel.map(n => n.start));
+        const end = Math.max(...sel.map(n => n.start + n.duration));
+        this.clipboard = sel.map(n => ({ ...n, start: n.start - start }));
+        this.pasteAt = start + this.snapStep(end - start, 'ceil');
+    },
+
+    cut() {
+        this.copy();
+        this.deleteNotes(this.selectedNotes());
+    },
+
+    paste() {
+        if (!this.clipboard.length) return;
+        const span = Math.max(...this.clipboard.map(n => n.start + n.duration));
+        this.selection.clear();
+        this.clipboard.forEach(n => this.selection.add(this.addNote({ ...n, start: n.start + this.pasteAt })));
+        this.pasteAt += this.snapStep(span, 'ceil');
+    },
+
+    duplicate() {
+        if (!this.selectedNotes().length) return;
+        this.copy();
+        this.paste();
+    },
+
+    transpose(semitones) {
+        this.selectedNotes().forEach(n => n.pitch = this.fitPitch(n.pitch + semitones, Math.sign(semitones)));
+    },
+
+    nudge(steps) {
+        const sel = this.selectedNotes();
+        if (sel.some(n => n.start + steps < 0)) return;
+        sel.forEach(n => n.start += steps);
+    },
+
+    quantize() {
+        const grid = this.gridStep();
+        const commit = this.track('Quantize');
+        this.targetNotes().forEach(n => {
+            n.start = Math.round(n.start / grid) * grid;
+            n.duration = Math.max(grid, Math.round(n.duration / grid) * grid);
+        });
+        commit();
+        this.render();
+    },
+
+    // Stretch every note up to the start of the next later note
+    legato() {
+        const commit = this.track('Legato');
+        const notes = [...this.targetNotes()].sort((a, b) => a.start - b.start);
+        notes.forEach(n => {
+            const next = notes.find(m => m.start > n.start);
+            if (next) n.duration = next.start - n.start;
+        });
+        commit();
+        this.render();
+    },
+
+    // Replace the notes (selection or all) with what the channel's arpeggiator plays from them,
+    // and switch the arpeggiator off so they aren't arpeggiated twice
+    bakeArp() {
+        const ch = this.channel();
+        if (!ch) return;
+        if (!ch.arp.enabled) return alert('Turn on the arpeggiator in the channel editor first.');
+        const source = this.targetNotes();
+        if (!source.length) return;
+        const start = Math.min(...source.map(n => n.start));
+        const end = Math.max(...source.map(n => n.start + n.duration));
+        const notes = this.notes();
+        const before = JSON.stringify(notes);
+        const after = JSON.stringify(notes.filter(n => !source.includes(n)).concat(Arpeggiator.render(source, ch.arp, start, end)));
+        const apply = (json, enabled) => () => {
+            notes.splice(0, notes.length, ...JSON.parse(json));
+            ch.arp.enabled = enabled;
+            this.selection.clear();
+        };
+        History.perform('Bake arpeggio', apply(after, false), apply(before, true));
+        if (ChannelEditor.channel === ch && ChannelEditor.dialog.open) ChannelEditor.render();
+        this.render();
+    },
+
+    // --- Input ---
+
+    handleInput(e) {
+        const ch = this.channel();
+        if(!ch) return;
+        const pos = this.eventPos(e);
+        const hit = this.noteAt(pos);
+        const commit = this.track('Edit notes');
+
+        // Right Click (or Ctrl+Click) deletes; keep the button down to erase several
+        if (e.button === 2 || (e.ctrlKey && e.button === 0)) {
+            if (hit) this.deleteNotes([hit]);
+            this.startDrag({ mode: 'erase', commit });
+            this.render();
+            return;
+        }
+
+        if (hit && e.shiftKey) {
+            if (this.selection.has(hit)) this.selection.delete(hit);
+            else this.selection.add(hit);
+        } else if (hit) {
+            if (!this.selection.has(hit)) {
+                this.selection.clear();
+                this.selection.add(hit);
+            }
+            this.lastLength = hit.duration;
+            const edgeX = (hit.start + hit.duration) * this.zoomX;
+            const resize = edgeX - pos.x < Math.min(6, hit.duration * this.zoomX / 3);
+            const sel = this.selectedNotes();
+            this.startDrag({
+                mode: resize ? 'resize' : 'move',
+                anchor: hit,
+                origin: pos,
+                originals: sel.map(n => ({ note: n, start: n.start, pitch: n.pitch, duration: n.duration })),
+                commit
+            });
+            if (!resize) this.preview(hit.pitch, hit.velocity);
+        } else if (this.tool === 'select' || e.shiftKey) {
+            if (!e.shiftKey) this.selection.clear();
+            this.startDrag({ mode: 'select', origin: pos, current: pos, base: new Set(this.selection) });
+        } else if (this.tool === 'chord') {
+            // Chord stamp: the clicked row is the root, dragging sets the length of the whole chord
+            this.selection.clear();
+            const start = this.snapStep(pos.step);
+            const chord = Scales.chord(this.scale(), this.fitPitch(pos.pitch, -1), this.chordType, this.inversion)
+                .filter(pitch => pitch <= this.maxPitch)
+                .map(pitch => this.addNote({ start, duration: this.lastLength, pitch, velocity: 1.0 }));
+            chord.forEach(n => {
+                this.selection.add(n);
+                this.preview(n.pitch);
+            });
+            this.startDrag({ mode: 'draw', anchor: chord[0], chord, label: 'Stamp chord', commit });
+        } else {
+            // Draw: place a note, dragging sets its length
+            this.selection.clear();
+            const note = this.addNote({
+                start: this.snapStep(pos.step),
+                duration: this.lastLength,
+                pitch: this.fitPitch(pos.pitch),
+                velocity: 1.0
+            });
+            this.selection.add(note);
+            this.preview(note.pitch);
+            this.startDrag({ mode: 'draw', anchor: note, commit });
+        }
+        this.render();
+    },
+
+    startDrag(drag) {
+        this.drag = drag;
+        const move = (ev) => {
+            const d = this.drag;
+            const pos = this.eventPos(ev);
+            if (d.mode === 'erase') {
+                const hit = this.noteAt(pos);
+                if (hit) this.deleteNotes([hit]);
+            } else if (d.mode === 'move') {
+                const anchor = d.originals.find(o => o.note === d.anchor);
+                const newStart = this.snapStep(anchor.start + pos.step - d.origin.step, 'round');
+                let dStep = newStart - anchor.start;
+                const dPitch = pos.pitch - d.origin.pitch;
+                dStep = Math.max(dStep, -Math.min(...d.originals.map(o => o.start)));
+                d.originals.forEach(o => {
+                    o.note.start = o.start + dStep;
+                    // Sideways moves leave out-of-key notes alone
+                    o.note.pitch = dPitch ? this.fitPitch(o.pitch + dPitch, Math.sign(dPitch)) : o.pitch;
+                });
+            } else if (d.mode === 'resize') {
+                const anchor = d.originals.find(o => o.note === d.anchor);
+                const newEnd = this.snapStep(pos.step, 'round');
+                const delta = newEnd - (anchor.start + anchor.duration);
+                const min = this.snap || 0.25;
+                d.originals.forEach(o => o.note.duration = Math.max(min, o.duration + delta));
+                this.lastLength = d.anchor.duration;
+            } else if (d.mode === 'draw') {
+                const n = d.anchor;
+                const min = this.snap || 0.25;
+                n.duration = Math.max(min, this.snapStep(pos.step, 'ceil') - n.start);
+                (d.chord || []).forEach(c => c.duration = n.duration);
+                this.lastLength = n.duration;
+            } else if (d.mode === 'select') {
+                d.current = pos;
+                const x0 = Math.min(d.origin.step, pos.step), x1 = Math.max(d.origin.step, pos.step);
+                const p0 = Math.min(d.origin.pitch, pos.pitch), p1 = Math.max(d.origin.pitch, pos.pitch);
+                this.selection = new Set(d.base);
+                this.notes().forEach(n => {
+                    if (n.pitch >= p0 && n.pitch <= p1 && n.start < x1 && n.start + n.duration > x0) this.selection.add(n);
+                });
+            }
+            this.render();
+        };
+        const labels = { erase: 'Delete notes', move: 'Move notes', resize: 'Resize notes', draw: 'Add note' };
+        window.addEventListener('mousemove', move);
+        window.addEventListener('mouseup', () => {
+            window.removeEventListener('mousemove', move);
+            if (drag.commit) drag.commit(drag.label || labels[drag.mode]);
+            this.drag = null;
+            this.render();
+        }, { once: true });
+    },
+
+    handleVelocityInput(e) {
+        const rect = this.velCanvas.getBoundingClientRect();
+        const commit = this.track('Change velocity');
+        const apply = (ev) => {
+            const x = ev.clientX - rect.left;
+            const vel = Math.max(0.01, Math.min(1, 1 - (ev.clientY - rect.top) / rect.height));
+            const step = x / this.zoomX;
+            const sel = this.selectedNotes();
+            const pool = sel.length ? sel : this.notes();
+            // Notes whose velocity bar sits under the cursor
+            pool.filter(n => Math.abs(n.start - step) * this.zoomX < 4).forEach(n => n.velocity = vel);
+            this.render();
+        };
+        apply(e);
+        window.addEventListener('mousemove', apply);
+        window.addEventListener('mouseup', () => {
+            window.removeEventListener('mousemove', apply);
+            commit();
+        }, { once: true });
+    },
+
+    handleWheel(e) {
+        if (e.ctrlKey) {
+            e.preventDefault();
+            this.setZoom('x', e.deltaY < 0 ? 1.1 : 0.9);
+        } else if (e.altKey) {
+            e.preventDefault();
+            this.setZoom('y', e.deltaY < 0 ? 1.1 : 0.9);
+        }
+    },
+
+    handleKey(e) {
+        if (e.defaultPrevented) return; // taken by a Keyboard shortcut
+        if (!document.getElementById('piano-roll-view').classList.contains('active')) return;
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+        const mod = e.ctrlKey || e.metaKey;
+        const key = e.key.toLowerCase();
+        const commit = this.track('Edit notes');
+        let handled = true;
+        let label = null; // set for edits that change notes
+        if (key === 'delete' || key === 'backspace') { this.deleteNotes(this.selectedNotes()); label = 'Delete notes'; }
+        else if (mod && key === 'a') this.notes().forEach(n => this.selection.add(n));
+        else if (mod && key === 'c') this.copy();
+        else if (mod && key === 'x') { this.cut(); label = 'Cut notes'; }
+        else if (mod && key === 'v') { this.paste(); label = 'Paste notes'; }
+        else if (mod && key === 'd') { this.duplicate(); label = 'Duplicate notes'; }
+        else if (key === 'arrowup') { this.transpose(e.shiftKey ? 12 : 1); label = 'Transpose notes'; }
+        else if (key === 'arrowdown') { this.transpose(e.shiftKey ? -12 : -1); label = 'Transpose notes'; }
+        else if (key === 'arrowright') { this.nudge(this.gridStep()); label = 'Move notes'; }
+        else if (key === 'arrowleft') { this.nudge(-this.gridStep()); label = 'Move notes'; }
+        else if (key === 'escape') this.selection.clear();
+        else handled = false;
+        if (handled) {
+            e.preventDefault();
+            if (label) commit(label);
+            this.render();
+        }
+    },
+
+    // --- Rendering ---
+
+    // Pattern length or last note end plus four bars, whichever is longer
+    contentSteps() {
+        const lastEnd = this.notes().reduce((max, n) => Math.max(max, n.start + n.duration), 0);
+        const bar = Transport.stepsPerBar();
+        return Math.ceil((Math.max(Patterns.active().length, lastEnd) + 64) / bar) * bar;
+    },
+
+    resize() {
+        if(!this.canvas) return;
+        const width = Math.max(this.canvas.parentElement.clientWidth, this.contentSteps() * this.zoomX);
+        const height = (this.maxPitch - this.minPitch + 1) * this.zoomY;
+        if (this.canvas.width !== width) this.canvas.width = width;
+        if (this.canvas.height !== height) this.canvas.height = height;
+        if (this.velCanvas.width !== width) this.velCanvas.width = width;
+        this.velCanvas.height = this.velCanvas.parentElement.clientHeight || 80;
+        this.render(false);
+    },
+
+    render(checkSize = true) {
+        if(!this.ctx) return;
+        // Notes may have grown past the canvas
+        if (checkSize && this.contentSteps() * this.zoomX > this.canvas.width) return this.resize();
+        const w = this.canvas.width;
+        const h = this.canvas.height;
+        const ctx = this.ctx;
+
+        // Background, black-key rows darker; with a key set, its notes lighter and the root tinted
+        ctx.fillStyle = '#222';
+        ctx.fillRect(0, 0, w, h);
+        const scale = this.scale();
+        const keyed = Scales.active(scale);
+        for (let p = this.maxPitch; p >= this.minPitch; p--) {
+            const y = (this.maxPitch - p) * this.zoomY;
+            if (this.noteNames[p % 12].includes('#')) {
+                ctx.fillStyle = '#1c1c1c';
+                ctx.fillRect(0, y, w, this.zoomY);
+            }
+            if (keyed && Scales.contains(scale, p)) {
+                ctx.fillStyle = (p - scale.root) % 12 === 0 ? 'rgba(255,153,0,0.12)' : 'rgba(255,255,255,0.05)';
+                ctx.fillRect(0, y, w, this.zoomY);
+            }
+        }
+
+        // Grid
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        
+        // Vertical (Time): 16ths when zoomed in enough, beats and bars stronger
+        const steps = Math.ceil(w / this.zoomX);
+        const perBar = Transport.stepsPerBar();
+        const perBeat = Transport.stepsPerBeat();
+        for(let i=0; i<steps; i++) {
+            const x = i * this.zoomX;
+            if (i % perBar === 0) {
+                ctx.fillStyle = 'rgba(255,255,255,0.2)';
+                ctx.fillRect(x, 0, 1, h);
+            } else if(i % perBeat === 0) { // Beat lines
+                ctx.fillStyle = 'rgba(255,255,255,0.1)';
+                ctx.fillRect(x, 0, 1, h);
+            } else if (this.zoomX >= 8) {
+                ctx.fillStyle = '#2c2c2c';
+                ctx.fillRect(x, 0, 1, h);
+            }
+        }
+
+        // Horizontal (Pitch)
+        for(let i=0; i<=(this.maxPitch - this.minPitch); i++) {
+            const y = i * this.zoomY;
+            ctx.fillStyle = this.noteNames[(this.maxPitch - i + 1) % 12] === 'C' ? '#444' : '#2a2a2a';
+            ctx.fillRect(0, y, w, 1);
+        }
+
+        // Shade everything past the end of the active pattern
+        const patternEnd = Patterns.active().length * this.zoomX;
+        if (patternEnd < w) {
+            ctx.fillStyle = 'rgba(0,0,0,0.35)';
+            ctx.fillRect(patternEnd, 0, w - patternEnd, h);
+        }
+
+        // Notes
+        const notes = this.notes();
+        notes.forEach(note => {
+            // Note pitch to Y (inverted)
+            const y = (this.maxPitch - note.pitch) * this.zoomY;
+            const x = note.start * this.zoomX;
+            const width = Math.max(2, note.duration * this.zoomX);
+            const selected = this.selection.has(note);
+            
+            ctx.globalAlpha = 0.45 + 0.55 * note.velocity;
+            ctx.fillStyle = selected ? '#fd6' : '#f90';
+            ctx.fillRect(x, y, width, this.zoomY - 1);
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = selected ? '#fff' : '#000';
+            ctx.strokeRect(x + 0.5, y + 0.5, width - 1, this.zoomY - 2);
+        });
+
+        // Rubber band
+        const d = this.drag;
+        if (d && d.mode === 'select') {
+            const x0 = Math.min(d.origin.x, d.current.x), y0 = Math.min(d.origin.y, d.current.y);
+            ctx.strokeStyle = '#8cf';
+            ctx.setLineDash([4, 3]);
+            ctx.strokeRect(x0 + 0.5, y0 + 0.5, Math.abs(d.current.x - d.origin.x), Math.abs(d.current.y - d.origin.y));
+            ctx.setLineDash([]);
+        }
+
+        this.renderVelocity(notes);
+    },
+
+    renderVelocity(notes) {
+        const ctx = this.velCtx;
+        const w = this.velCanvas.width;
+        const h = this.velCanvas.height;
+        ctx.fillStyle = '#1a1a1a';
+        ctx.fillRect(0, 0, w, h);
+        const perBeat = Transport.stepsPerBeat();
+        for (let i = 0; i * this.zoomX < w; i += perBeat) {
+            ctx.fillStyle = i % Transport.stepsPerBar() === 0 ? '#333' : '#262626';
+            ctx.fillRect(i * this.zoomX, 0, 1, h);
+        }
+        notes.forEach(n => {
+            const x = n.start * this.zoomX;
+            const barH = n.velocity * (h - 4);
+            ctx.fillStyle = this.selection.has(n) ? '#fd6' : '#f90';
+            ctx.fillRect(x, h - barH, 3, barH);
+            ctx.fillRect(x, h - barH, 8, 2);
+        });
+    }
+};
+
+// --- HISTORY ---
+
+// Command-based undo/redo. Every edit is recorded as { label, undo(), redo() }.
+// Continuous gestures (fader drags, knob turns, painting) merge into one entry:
+// edits with the same merge key inside one mouse gesture (or 500ms of wheel/keys) collapse.
+const History = {
+    undoStack: [],
+    redoStack: [],
+    limit: 200,
+    pointerDown: false,
+    gesture: 0,    // bumped on every mousedown
+    dialog: null,
+
+    init() {
+        window.addEventListener('mousedown', () => { this.pointerDown = true; this.gesture++; }, true);
+        window.addEventListener('mouseup', () => this.pointerDown = false, true);
+        // Ctrl+Z / Ctrl+Shift+Z are Keyboard shortcuts
+
+        this.dialog = document.getElementById('history-panel');
+        this.dialog.querySelector('[data-action="close"]').onclick = () => this.dialog.close();
+        document.getElementById('btn-undo').onclick = () => this.undo();
+        document.getElementById('btn-redo').onclick = () => this.redo();
+        document.getElementById('btn-history').onclick = () => {
+            if (this.dialog.open) return this.dialog.close();
+            this.render();
+            this.dialog.show();
+        };
+        this.render();
+    },
+
+    // Record an edit the caller has already applied
+    push(command) {
+        command.gesture = this.gesture;
+        command.time = performance.now();
+        const top = this.undoStack[this.undoStack.length - 1];
+        const continues = top && command.merge != null && this.sameKey(top.merge, command.merge) &&
+            (this.pointerDown ? top.gesture === command.gesture : command.time - top.time < 500);
+        if (continues) {
+            // Keep the oldest undo, take the newest redo
+            top.redo = command.redo;
+            top.time = command.time;
+        } else {
+            this.undoStack.push(command);
+            if (this.undoStack.length > this.limit) this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.render();
+    },
+
+    sameKey(a, b) {
+        if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((v, i) => v === b[i]);
+        return a === b;
+    },
+
+    // Apply an edit and record it
+    perform(label, redo, undo) {
+        redo();
+        this.push({ label, redo, undo });
+    },
+
+    // Value edit through a setter; undo restores what get() returned before.
+    // merge identifies the control so a drag on it becomes a single entry.
+    change(label, get, set, value, merge) {
+        const before = get();
+        if (before === value) return;
+        set(value);
+        this.push({ label, merge, undo: () => set(before), redo: () => set(value) });
+    },
+
+    // Plain property edit. Pass merge = null for toggles that should never merge.
+    set(label, obj, key, value, merge = [obj, key]) {
+        this.change(label, () => obj[key], v => obj[key] = v, value, merge);
+    },
+
+    // Snapshot edit for structural changes: captures get() now and returns a commit
+    // function to call once the edit (possibly a whole drag) is finished.
+    // set() receives a fresh copy of the saved state. Nothing is recorded if it didn't change.
+    track(label, get, set) {
+        const before = JSON.stringify(get());
+        return (finalLabel = label) => {
+            const after = JSON.stringify(get());
+            if (after === before) return false;
+            this.push({ label: finalLabel, undo: () => set(JSON.parse(before)), redo: () => set(JSON.parse(after)) });
+            return true;
+        };
+    },
+
+    snapshot(label, get, set, fn) {
+        const commit = this.track(label, get, set);
+        const result = fn();
+        commit();
+        return result;
+    },
+
+    undo() {
+        if (!this.step(this.undoStack, this.redoStack, 'undo')) return;
+        this.refresh();
+    },
+
+    redo() {
+        if (!this.step(this.redoStack, this.undoStack, 'redo')) return;
+        this.refresh();
+    },
+
+    step(from, to, action) {
+        const command = from.pop();
+        if (!command) return false;
+        command[action]();
+        to.push(command);
+        return true;
+    },
+
+    // Jump to the state after `count` entries of the list
+    goTo(count) {
+        while (this.undoStack.length > count && this.step(this.undoStack, this.redoStack, 'undo'));
+        while (this.undoStack.length < count && this.step(this.redoStack, this.undoStack, 'redo'));
+        this.refresh();
+    },
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.render();
+    },
+
+    // Commands only touch data; redraw everything that shows it
+    refresh() {
+        document.getElementById('bpm-input').value = DAW.tempo;
+        document.getElementById('swing-input').value = DAW.swing;
+        Transport.renderButtons();
+        Transport.render();
+        Patterns.refresh();
+        UIManager.renderMixer();
+        if (ChannelEditor.dialog.open) ChannelEditor.render();
+        if (ChannelRack.menu.open) ChannelRack.renderMenu();
+        this.render();
+    },
+
+    render() {
+        document.getElementById('btn-undo').disabled = !this.undoStack.length;
+        document.getElementById('btn-redo').disabled = !this.redoStack.length;
+        document.getElementById('btn-undo').title = this.undoStack.length
+            ? `Undo ${this.undoStack[this.undoStack.length - 1].label} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+        document.getElementById('btn-redo').title = this.redoStack.length
+            ? `Redo ${this.redoStack[this.redoStack.length - 1].label} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+        if (!this.dialog || !this.dialog.open) return;
+
+        // Oldest first; entries past the current position are greyed out and can be redone
+        const entries = [
+            { label: 'Start' },
+            ...this.undoStack,
+            ...[...this.redoStack].reverse().map(c => ({ label: c.label, undone: true }))
+        ];
+        const list = this.dialog.querySelector('.history-list');
+        list.innerHTML = '';
+        entries.forEach((entry, i) => {
+            const item = document.createElement('li');
+            item.innerText = entry.label;
+            item.className = `${entry.undone ? 'undone' : ''} ${i === this.undoStack.length ? 'current' : ''}`;
+            item.onclick = () => this.goTo(i);
+            list.appendChild(item);
+        });
+        list.children[this.undoStack.length].scrollIntoView({ block: 'nearest' });
+    }
+};
+
+// --- KEYBOARD ---
+
+// Global shortcuts (rebindable, saved in localStorage) and the typing-keyboard piano.
+// Combos are written 'Ctrl+Alt+Shift+Key' using physical key codes without the
+// Key/Digit prefix ('Space', 'Z', '1', 'F5', 'Comma'...). Cmd counts as Ctrl.
+const Keyboard = {
+    SETTINGS_KEY: 'webdaw-keys',
+    ACTIONS: {
+        playStop: { label: 'Play / stop', key: 'Space', run: () => DAW.isPlaying ? Sequencer.stop() : Sequencer.start() },
+        pause: { label: 'Pause', key: 'Shift+Space', run: () => Sequencer.pause() },
+        record: { label: 'Arm recording', key: 'R', run: () => MidiInput.setRecord(!MidiInput.recordArmed) },
+        songMode: { label: 'Pattern / song mode', key: 'L', run: () => Sequencer.setSongMode(!DAW.songMode) },
+        loop: { label: 'Loop on / off', key: 'Shift+L', run: () => document.getElementById('btn-loop').click() },
+        metronome: { label: 'Metronome', key: 'Shift+M', run: () => document.getElementById('btn-metronome').click() },
+        tapTempo: { label: 'Tap tempo', key: 'Shift+T', run: () => Transport.tap() },
+        tabPlaylist: { label: 'Show Playlist', key: 'F5', run: () => UIManager.showTab('playlist-view') },
+        tabRack: { label: 'Show Channel Rack', key: 'F6', run: () => UIManager.showTab('channel-rack-view') },
+        tabPianoRoll: { label: 'Show Piano Roll', key: 'F7', run: () => UIManager.showTab('piano-roll-view') },
+        tabAutomation: { label: 'Show Automation', key: 'F8', run: () => UIManager.showTab('automation-view') },
+        toolDraw: { label: 'Draw tool', key: 'P', run: () => Keyboard.tool('draw') },
+        toolSelect: { label: 'Select tool (Piano Roll)', key: 'E', run: () => Keyboard.tool('select') },
+        toolChord: { label: 'Chord stamp tool (Piano Roll)', key: 'K', run: () => Keyboard.tool('chord') },
+        toolSlice: { label: 'Slice tool (Playlist)', key: 'C', run: () => Keyboard.tool('slice') },
+        toolMute: { label: 'Mute tool (Playlist)', key: 'U', run: () => Keyboard.tool('mute') },
+        undo: { label: 'Undo', key: 'Ctrl+Z', repeat: true, run: () => History.undo() },
+        redo: { label: 'Redo', key: 'Ctrl+Shift+Z', repeat: true, run: () => History.redo() },
+        redoAlt: { label: 'Redo (alternate)', key: 'Ctrl+Y', repeat: true, run: () => History.redo() },
+        save: { label: 'Save project', key: 'Ctrl+S', run: () => ProjectIO.saveToFile() },
+        piano: { label: 'Typing keyboard piano on / off', key: 'Shift+K', run: () => Keyboard.setPiano(!Keyboard.pianoEnabled) },
+        octaveDown: { label: 'Piano octave down', key: 'Shift+Z', repeat: true, run: () => Keyboard.shiftOctave(-1) },
+        octaveUp: { label: 'Piano octave up', key: 'Shift+X', repeat: true, run: () => Keyboard.shiftOctave(1) },
+        velocityDown: { label: 'Piano velocity down', key: 'Shift+C', repeat: true, run: () => Keyboard.shiftVelocity(-0.1) },
+        velocityUp: { label: 'Piano velocity up', key: 'Shift+V', repeat: true, run: () => Keyboard.shiftVelocity(0.1) }
+    },
+    // Semitones above the piano's C: bottom letter row plays the lower octave, top row the upper
+    PIANO_KEYS: {
+        KeyZ: 0, KeyS: 1, KeyX: 2, KeyD: 3, KeyC: 4, KeyV: 5, KeyG: 6, KeyB: 7, KeyH: 8, KeyN: 9, KeyJ: 10, KeyM: 11,
+        Comma: 12, KeyL: 13, Period: 14, Semicolon: 15, Slash: 16,
+        KeyQ: 12, Digit2: 13, KeyW: 14, Digit3: 15, KeyE: 16, KeyR: 17, Digit5: 18, KeyT: 19, Digit6: 20, KeyY: 21,
+        Digit7: 22, KeyU: 23, KeyI: 24, Digit9: 25, KeyO: 26, Digit0: 27, KeyP: 28, BracketLeft: 29, Equal: 30, BracketRight: 31
+    },
+    bindings: {},   // action id -> combo ('' = unbound)
+    pianoEnabled: false,
+    octave: 5,      // the piano's lowest C is MIDI note octave * 12 (5 = C4)
+    velocity: 0.8,
+    pianoHeld: new Map(), // key code -> pitch, so an octave change mid-note releases the right one
+    capturing: null,      // action id waiting for its new key in the shortcuts panel
+    dialog: null,
+
+    init() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(this.SETTINGS_KEY)) || {};
+        } catch (e) { /* corrupt settings, keep defaults */ }
+        this.bindings = { ...this.defaults(), ...saved.bindings };
+        if (saved.octave) this.octave = saved.octave;
+        if (saved.velocity) this.velocity = saved.velocity;
+
+        // Capture phase so shortcuts win over view handlers (PianoRoll.handleKey skips handled keys)
+        window.addEventListener('keydown', this.handleKeyDown.bind(this), true);
+        window.addEventListener('keyup', (e) => this.pianoUp(e.code));
+        window.addEventListener('blur', () => [...this.pianoHeld.keys()].forEach(code => this.pianoUp(code)));
+
+        this.dialog = document.getElementById('keys-panel');
+        this.dialog.querySelector('[data-action="close"]').onclick = () => {
+            this.capturing = null;
+            this.dialog.close();
+        };
+        document.getElementById('btn-keys').onclick = () => {
+            if (this.dialog.open) return this.dialog.close();
+            this.dialog.show();
+            this.render();
+        };
+        document.getElementById('btn-piano').onclick = () => this.setPiano(!this.pianoEnabled);
+        this.renderPianoButton();
+    },
+
+    defaults() {
+        return Object.fromEntries(Object.entries(this.ACTIONS).map(([id, action]) => [id, action.key]));
+    },
+
+    save() {
+        localStorage.setItem(this.SETTINGS_KEY, JSON.stringify({ bindings: this.bindings, octave: this.octave, velocity: this.velocity }));
+    },
+
+    // Combo string for a key event, null for a lone modifier
+    combo(e) {
+        if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return null;
+        return [
+            e.ctrlKey || e.metaKey ? 'Ctrl' : '',
+            e.altKey ? 'Alt' : '',
+            e.shiftKey ? 'Shift' : '',
+            e.code.replace(/^(Key|Digit)/, '')
+        ].filter(Boolean).join('+');
+    },
+
+    handleKeyDown(e) {
+        if (this.capturing) return this.captureKey(e);
+        // Text entry keeps its keys
+        if (e.target.matches('input:not([type="range"]):not([type="checkbox"]), textarea, select')) return;
+
+        const plain = !(e.ctrlKey || e.metaKey || e.altKey || e.shiftKey);
+        if (this.pianoEnabled && plain && e.code in this.PIANO_KEYS) {
+            e.preventDefault();
+            if (!e.repeat) this.pianoDown(e.code);
+            return;
+        }
+
+        const combo = this.combo(e);
+        const id = combo && Object.keys(this.ACTIONS).find(a => this.bindings[a] === combo);
+        if (!id) return;
+        e.preventDefault();
+        if (e.repeat && !this.ACTIONS[id].repeat) return;
+        // Otherwise Space would also "click" the focused button on keyup
+        if (e.target.tagName === 'BUTTON') e.target.blur();
+        this.ACTIONS[id].run();
+    },
+
+    // Click the tool button of the view that is showing
+    tool(name) {
+        const btn = document.querySelector(`.view-panel.active [data-tool="${name}"]`);
+        if (btn) btn.click();
+    },
+
+    // --- Typing keyboard piano (plays the selected channel, records like MIDI input) ---
+
+    setPiano(enabled) {
+        this.pianoEnabled = enabled;
+        if (!enabled) [...this.pianoHeld.keys()].forEach(code => this.pianoUp(code));
+        this.renderPianoButton();
+    },
+
+    pianoDown(code) {
+        const ch = DAW.channels[DAW.selectedChannelIndex];
+        if (!ch) return;
+        const pitch = this.octave * 12 + this.PIANO_KEYS[code];
+        if (pitch > 127) return;
+        this.pianoHeld.set(code, pitch);
+        MidiInput.noteOn(pitch, this.velocity, ch);
+    },
+
+    pianoUp(code) {
+        if (!this.pianoHeld.has(code)) return;
+        MidiInput.noteOff(this.pianoHeld.get(code));
+        this.pianoHeld.delete(code);
+    },
+
+    shiftOctave(delta) {
+        this.octave = Math.max(0, Math.min(9, this.octave + delta));
+        this.save();
+        this.renderPianoButton();
+    },
+
+    shiftVelocity(delta) {
+        this.velocity = Math.max(0.1, Math.min(1, Math.round((this.velocity + delta) * 10) / 10));
+        this.save();
+        this.renderPianoButton();
+    },
+
+    renderPianoButton() {
+        const btn = document.getElementById('btn-piano');
+        btn.classList.toggle('active', this.pianoEnabled);
+        btn.innerText = this.pianoEnabled ? `KEYS C${this.octave - 1} ${Math.round(this.velocity * 100)}%` : 'KEYS';
+        btn.title = `Typing keyboard piano (${this.bindings.piano || 'no shortcut'}). ` +
+            `Octave ${this.bindings.octaveDown} / ${this.bindings.octaveUp}, velocity ${this.bindings.velocityDown} / ${this.bindings.velocityUp}`;
+    },
+
+    // --- Shortcuts panel ---
+
+    captureKey(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        const combo = this.combo(e);
+        if (!combo) return;
+        if (combo === 'Escape') {
+            this.capturing = null;
+        } else {
+            const value = combo === 'Backspace' || combo === 'Delete' ? '' : combo;
+            // A combo runs one action: take it away from whoever had it
+            Object.keys(this.bindings).forEach(id => {
+                if (value && this.bindings[id] === value) this.bindings[id] = '';
+            });
+            this.bindings[this.capturing] = value;
+            this.capturing = null;
+            this.save();
+        }
+        this.render();
+        this.renderPianoButton();
+    },
+
+    render() {
+        if (!this.dialog.open) return;
+        const body = this.dialog.querySelector('.editor-body');
+        body.innerHTML = `
+            <div class="midi-status">Click a shortcut and press the new keys. Backspace clears it, Escape cancels.
+                While the typing piano is on, its keys play notes instead of their shortcuts.</div>
+            <div class="keys-list">
+                ${Object.entries(this.ACTIONS).map(([id, action]) => `
+                    <span>${action.label}</span>
+                    <button data-id="${id}" class="${this.capturing === id ? 'active' : ''}">${
+                        this.capturing === id ? 'Press keys...' : (this.bindings[id] || '&mdash;')}</button>
+                `).join('')}
+            </div>
+            <div class="editor-presets"><button data-action="reset">Reset to defaults</button></div>
+        `;
+        body.querySelectorAll('[data-id]').forEach(btn => {
+            btn.onclick = () => {
+                this.capturing = btn.dataset.id;
+                this.render();
+            };
+        });
+        body.querySelector('[data-action="reset"]').onclick = () => {
+            if (!confirm('Reset all shortcuts to their defaults?')) return;
+            this.bindings = this.defaults();
+            this.save();
+            this.render();
+            this.renderPianoButton();
+        };
+    }
+};
+
+// --- MIDI ---
+
+// WebMIDI input: held notes with note-off and sustain pedal, pitch bend, device and
+// channel filtering, routing to an instrument, MIDI Learn for CCs, and recording notes
+// played during pattern playback into the Piano Roll (when #btn-record is armed).
+// noteOn/noteOff are also the entry points for other live inputs.
+const MidiInput = {
+    SETTINGS_KEY: 'webdaw-midi',
+    BEND_RANGE: 2, // semitones
+    access: null,
+    // channel: 0 = omni; route: -1 = selected channel; quantize in steps (0 = off);
+    // bindings: { 'midiChannel:cc': automation target id }
+    settings: { input: 'all', channel: 0, route: -1, quantize: 0, bindings: {} },
+    held: new Map(),      // pitch -> { channel, voice, pitch, velocity, arp, start }
+    sustain: false,
+    sustained: new Map(), // pitch -> note released while the pedal is down
+    learning: false,
+    learnTarget: null,
+    recordArmed: false,
+    takes: new Map(),     // notes array -> History commit for the current recording take
+    refreshQueued: false,
+    dialog: null,
+
+    init() {
+        Events.on('stop', () => this.endTake());
+        try {
+            Object.assign(this.settings, JSON.parse(localStorage.getItem(this.SETTINGS_KEY)) || {});
+        } catch (e) { /* corrupt settings, keep defaults */ }
+
+        this.dialog = document.getElementById('midi-panel');
+        this.dialog.querySelector('[data-action="close"]').onclick = () => this.dialog.close();
+        document.getElementById('btn-midi').onclick = () => {
+            if (this.dialog.open) return this.dialog.close();
+            this.render();
+            this.dialog.show();
+        };
+        document.getElementById('btn-record').onclick = () => this.setRecord(!this.recordArmed);
+
+        // Learn mode: pressing a control with a target picks it instead of moving it
+        document.addEventListener('mousedown', (e) => {
+            if (!this.learning) return;
+            const el = e.target.closest('[data-automation]');
+            if (!el) return;
+            e.preventDefault();
+            e.stopPropagation();
+            this.learnTarget = el.dataset.automation;
+            document.querySelectorAll('.midi-learn-target').forEach(t => t.classList.remove('midi-learn-target'));
+            el.classList.add('midi-learn-target');
+            this.render();
+        }, true);
+
+        this.render();
+        if (!navigator.requestMIDIAccess) return;
+        navigator.requestMIDIAccess().then(access => {
+            this.access = access;
+            access.onstatechange = () => {
+                this.connectInputs();
+                this.render();
+            };
+            this.connectInputs();
+            this.render();
+        }).catch(() => this.render());
+    },
+
+    save() {
+        localStorage.setItem(this.SETTINGS_KEY, JSON.stringify(this.settings));
+    },
+
+    connectInputs() {
+        if (!this.access) return;
+        this.access.inputs.forEach(input => {
+            const enabled = this.settings.input === 'all' || this.settings.input === input.id;
+            input.onmidimessage = enabled ? (msg) => this.handleMessage(msg.data) : null;
+        });
+    },
+
+    handleMessage([status, d1, d2]) {
+        const type = status & 0xf0;
+        const channel = (status & 0x0f) + 1;
+        if (this.settings.channel && channel !== this.settings.channel) return;
+        if (type === 0x90 && d2 > 0) this.noteOn(d1, d2 / 127);
+        else if (type === 0x80 || type === 0x90) this.noteOff(d1);
+        else if (type === 0xb0) this.controlChange(channel, d1, d2);
+        else if (type === 0xe0) this.pitchBend((((d2 << 7) | d1) - 8192) / 8192);
+    },
+
+    // Instrument live input plays
+    target() {
+        const index = this.settings.route >= 0 ? this.settings.route : DAW.selectedChannelIndex;
+        return DAW.channels[index] || null;
+    },
+
+    noteOn(pitch, velocity = 1.0, ch = this.target()) {
+        if (!ch) return;
+        if (DAW.ctx.state === 'suspended') DAW.ctx.resume();
+        this.noteOff(pitch);
+        if (this.sustained.has(pitch)) {
+            this.release(this.sustained.get(pitch));
+            this.sustained.delete(pitch);
+        }
+        // The arpeggiator plays held notes itself; recording still captures what was held
+        const arp = ch.arp.enabled;
+        const voice = arp ? Arpeggiator.noteOn(ch, pitch, velocity) : ch.noteOn(pitch, velocity);
+        this.held.set(pitch, { channel: ch, voice, pitch, velocity, arp, start: this.recordPosition() });
+    },
+
+    noteOff(pitch) {
+        const note = this.held.get(pitch);
+        if (!note) return;
+        this.held.delete(pitch);
+        this.capture(note);
+        if (this.sustain) this.sustained.set(pitch, note);
+        else this.release(note);
+    },
+
+    release(note) {
+        if (note.arp) return Arpeggiator.noteOff(note.channel, note.pitch);
+        // A legato voice that moved on to another key belongs to that key now
+        if (note.voice && note.voice.pitch !== undefined && note.voice.pitch !== note.pitch) return;
+        note.channel.releaseNote(note.voice);
+    },
+
+    setSustain(down) {
+        this.sustain = down;
+        if (down) return;
+        this.sustained.forEach(note => this.release(note));
+        this.sustained.clear();
+    },
+
+    pitchBend(amount) {
+        const ch = this.target();
+        if (ch) ch.bend(amount * this.BEND_RANGE * 100);
+    },
+
+    controlChange(channel, cc, value) {
+        if (cc === 64) return this.setSustain(value >= 64);
+        const key = `${channel}:${cc}`;
+        if (this.learning && this.learnTarget) {
+            this.settings.bindings[key] = this.learnTarget;
+            this.learnTarget = null;
+            document.querySelectorAll('.midi-learn-target').forEach(t => t.classList.remove('midi-learn-target'));
+            this.save();
+            this.render();
+            return;
+        }
+        const target = this.settings.bindings[key];
+        if (target) this.applyControl(target, value / 127);
+    },
+
+    // Set a target from a 0..1 controller value; frequency-like ranges map exponentially
+    applyControl(id, norm) {
+        const t = Automation.describe(id);
+        if (!Automation.resolve(id)) return;
+        const exponential = t.min > 0 && t.max / t.min >= 100;
+        const value = exponential ? t.min * Math.pow(t.max / t.min, norm) : t.min + (t.max - t.min) * norm;
+        History.change(t.label, () => Automation.resolve(id).rest(), v => {
+            const target = Automation.resolve(id);
+            if (target) target.set(v);
+        }, value, id);
+        Automation.record(id, value);
+        this.queueRefresh();
+    },
+
+    // Controllers send bursts; redraw the affected panels once per frame
+    queueRefresh() {
+        if (this.refreshQueued) return;
+        this.refreshQueued = true;
+        requestAnimationFrame(() => {
+            this.refreshQueued = false;
+            UIManager.renderMixer();
+            if (ChannelEditor.dialog.open) ChannelEditor.render();
+        });
+    },
+
+    // --- Recording ---
+
+    setRecord(armed) {
+        this.recordArmed = armed;
+        document.getElementById('btn-record').classList.toggle('active', armed);
+        if (!armed) this.endTake();
+        // Punch audio in / out while playing
+        if (armed && DAW.isPlaying) AudioRecorder.begin(DAW.ctx.currentTime, Sequencer.position());
+        if (!armed) AudioRecorder.finish();
+    },
+
+    // Step position to record at, or null when not recording (pattern playback only)
+    recordPosition() {
+        if (!this.recordArmed || !DAW.isPlaying || DAW.songMode || DAW.ctx.currentTime < DAW.countInUntil) return null;
+        return Sequencer.position();
+    },
+
+    capture(note) {
+        const end = this.recordPosition();
+        if (note.start === null || end === null) return;
+        const length = Patterns.active().length;
+        let start = note.start;
+        let duration = end - start;
+        if (duration <= 0) duration += length; // held across the loop point
+        const grid = this.settings.quantize;
+        if (grid) {
+            start = (Math.round(start / grid) * grid) % length;
+            duration = Math.max(grid, Math.round(duration / grid) * grid);
+        }
+        const notes = Patterns.dataFor(note.channel.id).notes;
+        if (!this.takes.has(notes)) {
+            this.takes.set(notes, History.track('Record notes', () => notes, saved => notes.splice(0, notes.length, ...saved)));
+        }
+        notes.push({ start, duration, pitch: note.pitch, velocity: note.velocity });
+        PianoRoll.render();
+    },
+
+    endTake() {
+        this.takes.forEach(commit => commit());
+        this.takes.clear();
+    },
+
+    // --- Settings panel ---
+
+    render() {
+        if (!this.dialog) return;
+        document.body.classList.toggle('midi-learn', this.learning);
+        const body = this.dialog.querySelector('.editor-body');
+        const inputs = this.access ? [...this.access.inputs.values()] : [];
+        const status = !navigator.requestMIDIAccess
+            ? 'WebMIDI is not supported in this browser.'
+            : !this.access ? 'Waiting for MIDI access...' : `${inputs.length} input(s) connected.`;
+        const channels = Array.from({ length: 16 }, (_, i) => `<option value="${i + 1}">${i + 1}</option>`).join('');
+        const quantize = [[0, 'Off'], [4, '1/4'], [2, '1/8'], [1, '1/16'], [0.5, '1/32']];
+        body.innerHTML = `
+            <div class="midi-status">${status}</div>
+            <label class="fx-param"><span>Input</span><select name="input">
+                <option value="all">All inputs</option>
+                ${inputs.map(i => `<option value="${i.id}">${i.name}</option>`).join('')}
+            </select><span></span></label>
+            <label class="fx-param"><span>Channel</span><select name="channel">
+                <option value="0">Omni</option>${channels}
+            </select><span></span></label>
+            <label class="fx-param"><span>Play</span><select name="route">
+                <option value="-1">Selected channel</option>
+                ${DAW.channels.map((ch, i) => `<option value="${i}">${ch.name}</option>`).join('')}
+            </select><span></span></label>
+            <label class="fx-param"><span>Rec quantize</span><select name="quantize">
+                ${quantize.map(([v, label]) => `<option value="${v}">${label}</option>`).join('')}
+            </select><span></span></label>
+            <div class="editor-presets">
+                <button data-action="learn" class="${this.learning ? 'active' : ''}">MIDI Learn</button>
+                <span>${!this.learning ? '' : this.learnTarget
+                    ? `Move a controller for ${Automation.describe(this.learnTarget).label}`
+                    : 'Click a fader, knob or slider'}</span>
+            </div>
+            <ul class="midi-bindings"></ul>
+        `;
+        ['input', 'channel', 'route', 'quantize'].forEach(name => {
+            const select = body.querySelector(`[name="${name}"]`);
+            select.value = this.settings[name];
+            if (select.selectedIndex < 0) select.selectedIndex = 0;
+            select.onchange = () => {
+                this.settings[name] = name === 'input' ? select.value : parseFloat(select.value);
+                this.save();
+                this.connectInputs();
+            };
+        });
+        body.querySelector('[data-action="learn"]').onclick = () => {
+            this.learning = !this.learning;
+            this.learnTarget = null;
+            document.querySelectorAll('.midi-learn-target').forEach(t => t.classList.remove('midi-learn-target'));
+            this.render();
+        };
+        const list = body.querySelector('.midi-bindings');
+        Object.entries(this.settings.bindings).forEach(([key, id]) => {
+            const [channel, cc] = key.split(':');
+            const item = document.createElement('li');
+            item.innerHTML = `<span>Ch ${channel} CC ${cc} &rarr; ${Automation.describe(id).label}</span><button title="Remove">&#10005;</button>`;
+            item.querySelector('button').onclick = () => {
+                delete this.settings.bindings[key];
+                this.save();
+                this.render();
+            };
+            list.appendChild(item);
+        });
+    }
+};
+
+// --- AUDIO RECORDING ---
+
+// Records an input device (getUserMedia) while the transport's record button is armed.
+// The take starts where playback starts (after the count-in), is shifted by the latency
+// compensation and lands as an audio clip on a playlist track or as a new sampler channel.
+// setStream() accepts any MediaStream, e.g. the built-in "Test tone" input.
+const AudioRecorder = {
+    SETTINGS_KEY: 'webdaw-audio-in',
+    TEST_TONE: 'test-tone',
+    // Collects input blocks into ~4096 frame chunks stamped with the context time they started at
+    WORKLET: `
+        class WebDAWRecorder extends AudioWorkletProcessor {
+            constructor() {
+                super();
+                this.active = false;
+                this.chunk = [];
+                this.frames = 0;
+                this.port.onmessage = (e) => {
+                    this.active = e.data;
+                    if (!this.active) {
+                        this.flush();
+                        this.port.postMessage({ done: true });
+                    }
+                };
+            }
+            flush() {
+                if (!this.frames) return;
+                const channels = this.chunk[0].map((_, c) => {
+                    const data = new Float32Array(this.frames);
+                    let offset = 0;
+                    this.chunk.forEach(block => { data.set(block[c], offset); offset += block[c].length; });
+                    return data;
+                });
+                this.port.postMessage({ time: this.time, channels });
+                this.chunk = [];
+                this.frames = 0;
+            }
+            process(inputs) {
+                const input = inputs[0];
+                if (!this.active || !input.length) return true;
+                if (!this.frames) this.time = currentTime;
+                this.chunk.push(input.map(channel => channel.slice(0)));
+                this.frames += input[0].length;
+                if (this.frames >= 4096) this.flush();
+                return true;
+            }
+        }
+        registerProcessor('webdaw-recorder', WebDAWRecorder);
+    `,
+    // deviceId: '' = default input; destination: -1 = new sampler channel, else playlist track
+    settings: { deviceId: '', destination: -1, latency: null, monitor: false },
+    devices: [],
+    armed: false,
+    stream: null,
+    source: null,
+    analyser: null,
+    monitorGain: null,
+    testTone: null,
+    recorder: null,
+    moduleReady: null,
+    take: null,    // { startTime, startStep, chunks, finished } while recording
+    takeCount: 0,
+    dialog: null,
+
+    init() {
+        Events.on('start', ({ time, step }) => this.begin(time, step));
+        Events.on('stop', () => this.finish());
+        try {
+            Object.assign(this.settings, JSON.parse(localStorage.getItem(this.SETTINGS_KEY)) || {});
+        } catch (e) { /* corrupt settings, keep defaults */ }
+        this.dialog = document.getElementById('audio-in-panel');
+        this.dialog.querySelector('[data-action="close"]').onclick = () => this.dialog.close();
+        document.getElementById('btn-audio-in').onclick = async () => {
+            if (this.dialog.open) return this.dialog.close();
+            this.dialog.show();
+            await this.listDevices();
+            this.render();
+            this.meter();
+        };
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.listDevices().then(() => this.render()));
+        }
+    },
+
+    save() {
+        localStorage.setItem(this.SETTINGS_KEY, JSON.stringify(this.settings));
+    },
+
+    async listDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return;
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        this.devices = devices.filter(d => d.kind === 'audioinput');
+    },
+
+    // Output + input latency the browser reports, used until the user sets their own
+    defaultLatency() {
+        const track = this.stream && this.stream.getAudioTracks()[0];
+        const input = track && track.getSettings ? track.getSettings().latency || 0 : 0;
+        return Math.round(((DAW.ctx.baseLatency || 0) + (DAW.ctx.outputLatency || 0) + input) * 1000);
+    },
+
+    latency() {
+        return (this.settings.latency === null ? this.defaultLatency() : this.settings.latency) / 1000;
+    },
+
+    async openInput() {
+        this.closeInput();
+        try {
+            if (this.settings.deviceId === this.TEST_TONE) {
+                this.setStream(this.createTestTone());
+            } else {
+                if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) throw new Error('audio input is not supported in this browser');
+                const audio = { echoCancellation: false, noiseSuppression: false, autoGainControl: false };
+                if (this.settings.deviceId) audio.deviceId = { exact: this.settings.deviceId };
+                this.setStream(await navigator.mediaDevices.getUserMedia({ audio }));
+                await this.listDevices(); // labels are only visible once permission is granted
+            }
+        } catch (err) {
+            console.error(err);
+            alert('Could not open the audio input: ' + err.message);
+        }
+        this.render();
+        this.meter();
+    },
+
+    // Synthetic input: a 440 Hz beep on every beat, handy for checking latency compensation
+    createTestTone() {
+        const dest = DAW.ctx.createMediaStreamDestination();
+        this.testTone = this.testToneNodes(DAW.ctx, dest);
+        return dest.stream;
+    },
+
+    // Beeps into `dest` from `when` on: on for the first half of each beat, off for the second
+    testToneNodes(ctx, dest, when = ctx.currentTime) {
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+        const lfo = ctx.createOscillator();
+        osc.frequency.value = 440;
+        gain.gain.value = 0;
+        lfo.type = 'square';
+        lfo.frequency.value = DAW.tempo / 60;
+        // The band-limited square rings; shaping it by sign gives a clean 0 / 0.3 gate
+        const gate = ctx.createWaveShaper();
+        gate.curve = new Float32Array(256).map((_, i) => i < 128 ? 0 : 0.3);
+        lfo.connect(gate).connect(gain.gain);
+        osc.connect(gain).connect(dest);
+        osc.start(when);
+        lfo.start(when);
+        return { osc, lfo };
+    },
+
+    setStream(stream) {
+        const ctx = DAW.ctx;
+        this.stream = stream;
+        this.source = ctx.createMediaStreamSource(stream);
+        this.analyser = ctx.createAnalyser();
+        this.analyser.fftSize = 1024;
+        this.monitorGain = ctx.createGain();
+        this.monitorGain.gain.value = this.settings.monitor ? 1 : 0;
+        this.source.connect(this.analyser);
+        this.source.connect(this.monitorGain).connect(DAW.masterGain);
+    },
+
+    closeInput() {
+        if (this.take) this.finish();
+        if (this.stream) this.stream.getTracks().forEach(t => t.stop());
+        if (this.testTone) {
+            this.testTone.osc.stop();
+            this.testTone.lfo.stop();
+        }
+        [this.source, this.monitorGain, this.recorder].forEach(node => node && node.disconnect());
+        this.stream = this.source = this.analyser = this.monitorGain = this.recorder = this.testTone = null;
+    },
+
+    setMonitor(enabled) {
+        this.settings.monitor = enabled;
+        this.save();
+        if (this.monitorGain) this.monitorGain.gain.setTargetAtTime(enabled ? 1 : 0, DAW.ctx.currentTime, 0.01);
+    },
+
+    async recorderNode() {
+        if (!this.moduleReady) {
+            const url = URL.createObjectURL(new Blob([this.WORKLET], { type: 'application/javascript' }));
+            this.moduleReady = DAW.ctx.audioWorklet.addModule(url);
+        }
+        await this.moduleReady;
+        if (!this.recorder) {
+            this.recorder = new AudioWorkletNode(DAW.ctx, 'webdaw-recorder', { numberOfOutputs: 0 });
+            this.recorder.port.onmessage = (e) => this.receive(e.data);
+            this.source.connect(this.recorder);
+        }
+        return this.recorder;
+    },
+
+    // --- Takes ---
+
+    // Called when playback starts (time = first step, after any count-in) or when
+    // recording is armed mid-playback
+    async begin(time, step) {
+        if (!this.armed || !this.stream || !MidiInput.recordArmed || this.take) return;
+        this.take = { startTime: time, startStep: step, chunks: [] };
+        try {
+            (await this.recorderNode()).port.postMessage(true);
+        } catch (err) {
+            console.error(err);
+            this.take = null;
+            alert('Audio recording is not available: ' + err.message);
+        }
+    },
+
+    finish() {
+        if (!this.take || !this.recorder) return;
+        this.recorder.port.postMessage(false); // the worklet answers with { done } after its last chunk
+        this.take.finished = true;
+    },
+
+    receive(message) {
+        const take = this.take;
+        if (!take) return;
+        if (!message.done) {
+            take.chunks.push(message);
+            return;
+        }
+        this.take = null;
+        this.land(take);
+    },
+
+    // Trim the take to the start time (plus latency) and put it where the settings say
+    land(take) {
+        if (!take.chunks.length) return;
+        const ctx = DAW.ctx;
+        const channels = Math.min(2, take.chunks[0].channels.length);
+        const total = take.chunks.reduce((sum, c) => sum + c.channels[0].length, 0);
+        // Input recorded at context time t was played at t - latency
+        const skip = Math.round((take.startTime + this.latency() - take.chunks[0].time) * ctx.sampleRate);
+        const length = total - skip;
+        if (length < ctx.sampleRate * 0.05) return; // nothing worth keeping
+        const buffer = ctx.createBuffer(channels, length, ctx.sampleRate);
+        for (let c = 0; c < channels; c++) {
+            const out = buffer.getChannelData(c);
+            let pos = -skip;
+            take.chunks.forEach(chunk => {
+                const data = chunk.channels[c] || chunk.channels[0];
+                const from = Math.max(0, -pos);
+                const to = Math.min(data.length, length - pos);
+                if (from < to) out.set(data.subarray(from, to), pos + from);
+                pos += data.length;
+            });
+        }
+
+        const name = `Recording ${++this.takeCount}`;
+        const sample = SamplePool.add(`${name}.wav`, buffer, { data: WAVExporter.encode(buffer, 'pcm16'), mime: 'audio/wav' });
+        const track = this.settings.destination;
+        if (track >= 0) {
+            const commit = Playlist.track('Record audio');
+            const song = Song.current();
+            while (song.tracks.length <= track) Song.addTrack(song);
+            Playlist.addClip({ type: 'audio', id: sample.id }, track, DAW.songMode ? Math.floor(take.startStep) : DAW.songPosition);
+            commit();
+            Playlist.renderSources();
+            Playlist.render();
+        } else {
+            ChannelRack.addChannels([{ name, type: 'sampler', sample }], 'Record audio')
+                .then(() => Playlist.renderSources());
+        }
+    },
+
+    // --- Panel ---
+
+    // Peak level of the input while the panel is open
+    meter() {
+        const fill = this.dialog.querySelector('.rec-meter-fill');
+        if (!this.dialog.open || !this.analyser || !fill) return;
+        const data = new Float32Array(this.analyser.fftSize);
+        this.analyser.getFloatTimeDomainData(data);
+        const peak = data.reduce((max, v) => Math.max(max, Math.abs(v)), 0);
+        const db = 20 * Math.log10(peak || 1e-6);
+        fill.style.width = `${Math.max(0, Math.min(100, (db + 60) / 60 * 100))}%`;
+        fill.classList.toggle('clip', peak >= 1);
+        requestAnimationFrame(() => this.meter());
+    },
+
+    render() {
+        if (!this.dialog.open) return;
+        const body = this.dialog.querySelector('.editor-body');
+        const tracks = Song.current().tracks;
+        body.innerHTML = `
+            <div class="midi-status">${this.stream ? 'Input open.' : 'Input closed.'}
+                Arm it here, then use the record button: the take starts with playback (after the count-in).</div>
+            <label class="fx-param"><span>Input</span><select name="device">
+                <option value="">Default input</option>
+                ${this.devices.map((d, i) => `<option value="${d.deviceId}">${d.label || `Input ${i + 1}`}</option>`).join('')}
+                <option value="${this.TEST_TONE}">Test tone (synthetic)</option>
+            </select><span></span></label>
+            <div class="editor-presets">
+                <button data-action="open">${this.stream ? 'Reopen input' : 'Open input'}</button>
+                <button data-action="close" ${this.stream ? '' : 'disabled'}>Close</button>
+            </div>
+            <div class="rec-meter"><div class="rec-meter-fill"></div></div>
+            <label class="editor-check"><input type="checkbox" name="monitor" ${this.settings.monitor ? 'checked' : ''}> Monitor input</label>
+            <label class="editor-check"><input type="checkbox" name="armed" ${this.armed ? 'checked' : ''}> Arm audio recording</label>
+            <label class="fx-param"><span>Record to</span><select name="destination">
+                <option value="-1">New sampler channel</option>
+                ${tracks.map((t, i) => `<option value="${i}">Playlist: ${t.name}</option>`).join('')}
+            </select><span></span></label>
+            <label class="fx-param"><span>Latency (ms)</span>
+                <input type="number" name="latency" min="0" max="1000" placeholder="${this.stream ? this.defaultLatency() : 'auto'}"
+                    value="${this.settings.latency === null ? '' : this.settings.latency}"><span></span></label>
+        `;
+        const field = (name) => body.querySelector(`[name="${name}"]`);
+        field('device').value = this.settings.deviceId;
+        if (field('device').selectedIndex < 0) field('device').selectedIndex = 0;
+        field('device').onchange = () => {
+            this.settings.deviceId = field('device').value;
+            this.save();
+            if (this.stream) this.openInput();
+        };
+        field('destination').value = Math.min(this.settings.destination, tracks.length - 1);
+        field('destination').onchange = () => {
+            this.settings.destination = parseInt(field('destination').value);
+            this.save();
+        };
+        field('monitor').onchange = () => this.setMonitor(field('monitor').checked);
+        field('armed').onchange = () => {
+            this.armed = field('armed').checked;
+            document.getElementById('btn-audio-in').classList.toggle('active', this.armed);
+        };
+        field('latency').onchange = () => {
+            const value = parseFloat(field('latency').value);
+            this.settings.latency = isNaN(value) ? null : Math.max(0, value);
+            this.save();
+        };
+        body.querySelector('[data-action="open"]').onclick = () => this.openInput();
+        body.querySelector('[data-action="close"]').onclick = () => {
+            this.closeInput();
+            this.render();
+        };
+    }
+};
+
+
+const FileLoader = {
+    // Routes files from the drop zone / file picker by type; audio goes to the sample library
+    importFiles(files) {
+        const audio = [];
+        for (const file of files) {
+            if (/\.(webdaw|json)$/i.test(file.name)) {
+                ProjectIO.loadFromFile(file);
+            } else if (/\.midi?$/i.test(file.name)) {
+                MidiFile.importFile(file);
+            } else {
+                audio.push(file);
+            }
+        }
+        if (audio.length) SampleLibrary.importFiles(audio);
+    },
+
+    // Decode into the pool without creating a channel (playlist audio clips)
+    async decodeFile(file) {
+        try {
+            const bytes = await file.arrayBuffer();
+            return SamplePool.add(file.name, await this.decode(bytes, file.name), { data: bytes, mime: file.type });
+        } catch (err) {
+            alert(err.message);
+            return null;
+        }
+    },
+
+    // decodeAudioData detaches its input, so it gets a copy and the caller keeps the
+    // original bytes for saving. Rejects with a message fit for the user.
+    async decode(bytes, name) {
+        try {
+            return await DAW.ctx.decodeAudioData(bytes.slice(0));
+        } catch (err) {
+            throw new Error(`"${name}" could not be decoded: it is not an audio format this browser can read (try WAV, MP3 or OGG).`);
+        }
+    }
+};
+
+// --- SAMPLE LIBRARY ---
+
+// Browser panel library, kept in IndexedDB across projects. Metadata (name, folder,
+// tags, tempo, thumbnail) and file bytes are separate stores so the list loads
+// without reading audio. Without IndexedDB the library lasts for the session.
+// Entries become SamplePool samples when they are previewed or used.
+const SampleLibrary = {
+    DB_NAME: 'webdaw-library',
+    MIME: 'application/x-webdaw-sample',
+    INSTRUMENT_MIME: 'application/x-webdaw-instrument',
+    THUMB_POINTS: 64,
+    db: null,
+    entries: [],        // { id, name, folder, tags, bpm, duration, peaks, mime, added }
+    memory: new Map(),  // id -> bytes when IndexedDB is unavailable
+    loaded: new Map(),  // id -> SamplePool sample decoded this session
+    folder: '',         // folder shown and imported into ('' = all / none)
+    search: '',
+    preview: null,      // { id, src }
+    menu: null,
+    entry: null,        // entry the menu edits
+
+    async init() {
+        this.menu = document.getElementById('library-menu');
+        this.menu.querySelector('[data-action="close"]').onclick = () => this.menu.close();
+        document.getElementById('library-search').oninput = (e) => {
+            this.search = e.target.value.trim().toLowerCase();
+            this.render();
+        };
+        document.getElementById('library-folder').onchange = (e) => {
+            this.folder = e.target.value;
+            this.render();
+        };
+        document.getElementById('btn-library-folder').onclick = () => {
+            const name = prompt('New folder (imports go into the folder shown)');
+            if (!name || !name.trim()) return;
+            this.folder = name.trim();
+            this.render();
+        };
+
+        // Instrument items: on a channel they switch its type, on empty rack space they add one
+        document.querySelectorAll('#sample-list .browser-item[data-type]').forEach(item => {
+            item.ondragstart = (e) => e.dataTransfer.setData(this.INSTRUMENT_MIME, item.dataset.type);
+        });
+        const rack = document.getElementById('channel-list');
+        rack.ondragover = (e) => {
+            if (this.dragged(e)) e.preventDefault();
+        };
+        rack.ondrop = (e) => {
+            if (!this.dragged(e)) return;
+            e.preventDefault();
+            this.drop(e, null);
+        };
+
+        try {
+            this.db = await this.openDB();
+            this.entries = await this.request(this.db.transaction('meta').objectStore('meta').getAll());
+        } catch (err) {
+            console.warn('Sample library is not persistent', err);
+        }
+        this.render();
+    },
+
+    openDB() {
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) return reject(new Error('IndexedDB unavailable'));
+            const req = indexedDB.open(this.DB_NAME, 1);
+            req.onupgradeneeded = () => {
+                req.result.createObjectStore('meta', { keyPath: 'id' });
+                req.result.createObjectStore('data');
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    },
+
+    request(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    },
+
+    // Store metadata, plus the file bytes for new entries
+    save(entry, bytes = null) {
+        if (!this.db) {
+            if (bytes) this.memory.set(entry.id, bytes);
+            return Promise.resolve();
+        }
+        const tx = this.db.transaction(['meta', 'data'], 'readwrite');
+        tx.objectStore('meta').put(entry);
+        if (bytes) tx.objectStore('data').put(bytes, entry.id);
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    bytes(entry) {
+        if (!this.db) return Promise.resolve(this.memory.get(entry.id));
+        return this.request(this.db.transaction('data').objectStore('data').get(entry.id));
+    },
+
+    // Channels already using the sample keep it (it lives in SamplePool)
+    remove(entry) {
+        this.entries = this.entries.filter(e => e !== entry);
+        this.memory.delete(entry.id);
+        if (this.db) {
+            const tx = this.db.transaction(['meta', 'data'], 'readwrite');
+            tx.objectStore('meta').delete(entry.id);
+            tx.objectStore('data').delete(entry.id);
+        }
+        this.render();
+    },
+
+    // Decode, thumbnail and store audio files into the folder shown.
+    // Returns the new entries; one alert lists the files that failed.
+    async importFiles(files) {
+        const added = [];
+        const failed = [];
+        for (const file of files) {
+            try {
+                const bytes = await file.arrayBuffer();
+                const buffer = await FileLoader.decode(bytes, file.name);
+                const entry = {
+                    id: `lib-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+                    name: file.name.replace(/\.[^.]+$/, ''),
+                    folder: this.folder,
+                    tags: [],
+                    bpm: this.guessTempo(file.name),
+                    duration: buffer.duration,
+                    peaks: this.thumbnail(buffer),
+                    mime: file.type,
+                    added: Date.now()
+                };
+                try {
+                    await this.save(entry, bytes);
+                } catch (err) {
+                    throw new Error(`"${file.name}" could not be stored in the library (${err.message}).`);
+                }
+                this.entries.push(entry);
+                added.push(entry);
+            } catch (err) {
+                failed.push(err.message);
+            }
+        }
+        this.render();
+        if (failed.length) alert(failed.join('\n'));
+        return added;
+    },
+
+    // "Break 120bpm.wav", "loop_94 BPM.wav"
+    guessTempo(name) {
+        const match = name.match(/(\d{2,3})\s*bpm/i);
+        return match ? parseInt(match[1]) : null;
+    },
+
+    // Peak level per slice of the first channel
+    thumbnail(buffer) {
+        const data = buffer.getChannelData(0);
+        const bucket = Math.max(1, Math.floor(data.length / this.THUMB_POINTS));
+        const peaks = [];
+        for (let b = 0; b < this.THUMB_POINTS; b++) {
+            let max = 0;
+            const end = Math.min(data.length, (b + 1) * bucket);
+            for (let i = b * bucket; i < end; i++) max = Math.max(max, Math.abs(data[i]));
+            peaks.push(Math.round(max * 100) / 100);
+        }
+        return peaks;
+    },
+
+    // Pool sample for an entry, decoded once per session (and again after a project load)
+    async load(entry) {
+        const cached = this.loaded.get(entry.id);
+        if (cached && SamplePool.get(cached.id) === cached) return cached;
+        const bytes = await this.bytes(entry);
+        if (!bytes) throw new Error(`"${entry.name}" is missing from the library storage.`);
+        const buffer = await FileLoader.decode(bytes, entry.name);
+        const sample = SamplePool.add(entry.name, buffer, { data: bytes, mime: entry.mime });
+        this.loaded.set(entry.id, sample);
+        Playlist.renderSources();
+        return sample;
+    },
+
+    // Click to audition, click again to stop. Loops with a known tempo follow the project tempo.
+    async togglePreview(entry) {
+        const same = this.preview && this.preview.id === entry.id;
+        this.stopPreview();
+        if (same) return;
+        try {
+            const sample = await this.load(entry);
+            if (DAW.ctx.state === 'suspended') DAW.ctx.resume();
+            const src = DAW.ctx.createBufferSource();
+            src.buffer = sample.buffer;
+            if (entry.bpm) src.playbackRate.value = DAW.tempo / entry.bpm;
+            src.connect(DAW.masterGain);
+            src.onended = () => this.stopPreview();
+            src.start();
+            this.preview = { id: entry.id, src };
+            this.render();
+        } catch (err) {
+            alert(err.message);
+        }
+    },
+
+    stopPreview() {
+        if (!this.preview) return;
+        this.preview.src.onended = null;
+        this.preview.src.stop();
+        this.preview = null;
+        this.render();
+    },
+
+    dragged(e) {
+        const types = [...e.dataTransfer.types];
+        return types.includes(this.MIME) || types.includes(this.INSTRUMENT_MIME) || types.includes('Files');
+    },
+
+    // A library sample, instrument item or audio files dropped on a channel (ch) or empty rack space
+    async drop(e, ch) {
+        // DataTransfer is only readable during the event
+        const type = e.dataTransfer.getData(this.INSTRUMENT_MIME);
+        const id = e.dataTransfer.getData(this.MIME);
+        const files = [...e.dataTransfer.files];
+
+        if (type) {
+            if (ch) {
+                ChannelRack.setType(ch, type);
+                UIManager.renderChannelRack();
+            } else {
+                ChannelRack.addChannels([{ name: type === 'synth' ? 'New Synth' : 'New Sampler', type }]);
+            }
+            return;
+        }
+
+        let entries = [];
+        if (id) entries = this.entries.filter(en => en.id === id);
+        else if (files.length) entries = await this.importFiles(files.filter(f => !/\.(webdaw|json|midi?)$/i.test(f.name)));
+        if (!entries.length) return;
+        try {
+            if (ch) {
+                this.assign(ch, await this.load(entries[0]));
+            } else {
+                const specs = [];
+                for (const entry of entries) specs.push({ name: entry.name, type: 'sampler', sample: await this.load(entry) });
+                ChannelRack.addChannels(specs);
+            }
+        } catch (err) {
+            alert(err.message);
+        }
+    },
+
+    // Replace a channel's sample; a synth channel becomes a sampler
+    assign(ch, sample) {
+        const before = { type: ch.type, sampleId: ch.sampleId };
+        if (!ch.sampler) ch.sampler = new Sampler();
+        const apply = ({ type, sampleId }) => {
+            ch.type = type;
+            ch.setSample(SamplePool.get(sampleId));
+        };
+        History.perform('Replace sample', () => apply({ type: 'sampler', sampleId: sample.id }), () => apply(before));
+        if (ChannelEditor.channel === ch && ChannelEditor.dialog.open) ChannelEditor.render();
+        UIManager.renderChannelRack();
+    },
+
+    folders() {
+        return [...new Set([...this.entries.map(e => e.folder), this.folder].filter(Boolean))].sort();
+    },
+
+    render() {
+        const select = document.getElementById('library-folder');
+        select.innerHTML = '<option value="">All folders</option>' + this.folders().map(f => `<option>${f}</option>`).join('');
+        select.value = this.folder;
+
+        const matches = (entry) => !this.search || entry.name.toLowerCase().includes(this.search) ||
+            entry.tags.some(tag => tag.toLowerCase().includes(this.search));
+        const shown = this.entries
+            .filter(entry => (!this.folder || entry.folder === this.folder) && matches(entry))
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        const list = document.getElementById('library-list');
+        list.innerHTML = shown.length ? '' :
+            `<div class="library-empty">${this.entries.length ? 'No matching samples' : 'Drop audio files below'}</div>`;
+        shown.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = `browser-item library-item ${this.preview && this.preview.id === entry.id ? 'playing' : ''}`;
+            item.draggable = true;
+            item.title = [
+                entry.folder && `Folder: ${entry.folder}`,
+                entry.tags.length && `Tags: ${entry.tags.join(', ')}`,
+                entry.bpm && `${entry.bpm} BPM`,
+                `${entry.duration.toFixed(2)}s`,
+                'Click to preview, drag onto the Channel Rack, right-click to edit'
+            ].filter(Boolean).join('\n');
+            item.innerHTML = `<div class="library-name"></div><canvas width="${this.THUMB_POINTS * 2}" height="18"></canvas>`;
+            item.querySelector('.library-name').innerText = entry.name;
+            this.drawThumbnail(item.querySelector('canvas'), entry.peaks);
+            item.onclick = () => this.togglePreview(entry);
+            item.oncontextmenu = (e) => this.openMenu(entry, e);
+            item.ondragstart = (e) => {
+                e.dataTransfer.effectAllowed = 'copy';
+                e.dataTransfer.setData(this.MIME, entry.id);
+            };
+            list.appendChild(item);
+        });
+    },
+
+    drawThumbnail(canvas, peaks) {
+        const ctx = canvas.getContext('2d');
+        const mid = canvas.height / 2;
+        const w = canvas.width / peaks.length;
+        ctx.fillStyle = '#9cd';
+        peaks.forEach((peak, i) => {
+            const h = Math.max(1, peak * canvas.height);
+            ctx.fillRect(i * w, mid - h / 2, Math.max(1, w - 0.5), h);
+        });
+    },
+
+    openMenu(entry, e) {
+        e.preventDefault();
+        this.entry = entry;
+        const body = this.menu.querySelector('.editor-body');
+        this.menu.querySelector('.editor-title').innerText = entry.name;
+        body.innerHTML = `
+            <label>Name <input type="text" name="name"></label>
+            <label>Folder <input type="text" name="folder" list="library-folders" placeholder="none"></label>
+            <datalist id="library-folders">${this.folders().map(f => `<option value="${f}">`).join('')}</datalist>
+            <label>Tags <input type="text" name="tags" placeholder="comma separated"></label>
+            <label>Tempo (loops) <input type="number" name="bpm" min="20" max="300" placeholder="none"></label>
+            <div class="channel-menu-actions"><button data-action="delete">Remove from library</button></div>
+        `;
+        const field = (name) => body.querySelector(`[name="${name}"]`);
+        field('name').value = entry.name;
+        field('folder').value = entry.folder;
+        field('tags').value = entry.tags.join(', ');
+        field('bpm').value = entry.bpm || '';
+        const update = (key, value) => {
+            entry[key] = value;
+            this.save(entry).catch(err => console.warn('Library save failed', err));
+            this.menu.querySelector('.editor-title').innerText = entry.name;
+            this.render();
+        };
+        field('name').onchange = (e) => e.target.value.trim() && update('name', e.target.value.trim());
+        field('folder').onchange = (e) => update('folder', e.target.value.trim());
+        field('tags').onchange = (e) => update('tags', e.target.value.split(',').map(t => t.trim()).filter(Boolean));
+        field('bpm').onchange = (e) => update('bpm', parseFloat(e.target.value) || null);
+        body.querySelector('[data-action="delete"]').onclick = () => {
+            if (!confirm(`Remove "${entry.name}" from the library? Projects using it keep their copy.`)) return;
+            this.menu.close();
+            this.remove(entry);
+        };
+        this.menu.style.left = `${e.clientX}px`;
+        this.menu.style.top = `${e.clientY}px`;
+        if (!this.menu.open) this.menu.show();
+    }
+};
+
+// --- PROJECT ---
+
+const ProjectIO = {
+    FORMAT: 'webdaw-project',
+    VERSION: 3,
+    AUTOSAVE_INTERVAL: 30000, // ms
+    DB_NAME: 'webdaw',
+    STORE: 'autosave',
+    lastAutosave: null,
+
+    // Plain object snapshot. Sample bytes stay as ArrayBuffers here;
+    // saveToFile() turns them into base64, IndexedDB stores them as-is.
+    serialize() {
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            savedAt: new Date().toISOString(),
+            tempo: DAW.tempo,
+            swing: DAW.swing,
+            timeSignature: DAW.timeSignature,
+            stepCount: DAW.stepCount,
+            activePatternId: DAW.activePatternId,
+            selectedChannelIndex: DAW.selectedChannelIndex,
+            nextChannelId: Channel.idCounter,
+            channels: DAW.channels.map(ch => ch.serialize()),
+            mixer: DAW.mixerTracks.map(t => t.serialize()),
+            state: JSON.parse(JSON.stringify(DAW.state)),
+            samples: SamplePool.used().map(s => ({
+                id: s.id,
+                name: s.name,
+                mime: s.mime,
+                procedural: s.procedural,
+                data: s.procedural ? null : s.data
+            }))
         };
-        reader.readAsArrayBuffer(file);
+    },
+
+    // Upgrade older project files in place. Add a step per version bump.
+    migrate(project) {
+        if (project.format !== this.FORMAT) throw new Error('Not a WebDAW project file');
+        if (!(project.version <= this.VERSION)) {
+            throw new Error(`Project version ${project.version} is newer than this app supports`);
+        }
+        if (project.version < 2) {
+            // v1 kept steps/notes on the channel; move them into a single pattern
+            const channels = {};
+            project.channels.forEach(ch => {
+                channels[ch.id] = { steps: ch.steps || [], notes: ch.pianoRollNotes || [] };
+                delete ch.steps;
+                delete ch.pianoRollNotes;
+            });
+            project.state.patterns = { p1: { id: 'p1', name: 'Pattern 1', length: project.stepCount, channels } };
+            project.activePatternId = 'p1';
+            project.version = 2;
+        }
+        if (project.version < 3) {
+            // v2 steps were booleans; v3 steps carry velocity/pitch/pan/probability/ratchet
+            Object.values(project.state.patterns).forEach(pattern => {
+                Object.values(pattern.channels).forEach(data => {
+                    data.steps = Patterns.upgradeSteps(data.steps);
+                    data.length = data.length || null;
+                });
+            });
+            project.swing = 0;
+            project.version = 3;
+        }
+        return project;
+    },
+
+    async load(raw) {
+        const project = this.migrate(raw);
+        Sequencer.stop();
+
+        SamplePool.clear();
+        for (const s of project.samples) {
+            if (s.procedural) {
+                SamplePool.add(s.name, ProceduralAudio.generate(s.procedural), { id: s.id, procedural: s.procedural });
+            } else if (s.data) {
+                const buffer = await DAW.ctx.decodeAudioData(s.data.slice(0));
+                SamplePool.add(s.name, buffer, { id: s.id, data: s.data, mime: s.mime });
+            }
+        }
+        // Keep new ids clear of loaded ones
+        SamplePool.nextId = project.samples.reduce((max, s) => Math.max(max, parseInt(s.id.slice(1)) + 1 || 0), 1);
+
+        DAW.tempo = project.tempo;
+        DAW.swing = project.swing || 0;
+        Transport.setTimeSignature(project.timeSignature || [4, 4]);
+        DAW.stepCount = project.stepCount;
+        DAW.state = project.state;
+        Patterns.restore(project.activePatternId);
+        DAW.songPosition = 0;
+
+        AudioEngine.resetMixer();
+        project.mixer.forEach((data, i) => {
+            if (DAW.mixerTracks[i]) DAW.mixerTracks[i].load(data);
+        });
+        MixerTrack.link();
+        DAW.selectedMixerTrack = 0;
+
+        // Older files don't store the counter: skip every id their patterns still hold data for
+        const patternIds = Object.values(project.state.patterns).flatMap(p => Object.keys(p.channels).map(Number));
+        Channel.idCounter = Math.max(project.nextChannelId || 0, ...patternIds.map(id => id + 1));
+        DAW.channels = project.channels.map(data => Channel.deserialize(data));
+        DAW.selectedChannelIndex = Math.min(project.selectedChannelIndex, DAW.channels.length - 1);
+        Events.emit('project');
+    },
+
+    async saveToFile() {
+        const project = this.serialize();
+        project.samples.forEach(s => {
+            if (s.data) s.data = Utils.arrayBufferToBase64(s.data);
+        });
+        const blob = new Blob([JSON.stringify(project)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'project.webdaw';
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    async loadFromFile(file) {
+        try {
+            const project = JSON.parse(await file.text());
+            (project.samples || []).forEach(s => {
+                if (typeof s.data === 'string') s.data = Utils.base64ToArrayBuffer(s.data);
+            });
+            await this.load(project);
+        } catch (err) {
+            console.error(err);
+            alert('Could not open project: ' + err.message);
+        }
+    },
+
+    // --- Autosave / crash recovery ---
+
+    async initAutosave() {
+        const saved = await this.readAutosave().catch(() => null);
+        if (saved && confirm(`Restore the autosaved project from ${new Date(saved.savedAt).toLocaleString()}?`)) {
+            try {
+                await this.load(saved);
+            } catch (err) {
+                console.error(err);
+                alert('Autosave could not be restored: ' + err.message);
+            }
+        }
+        setInterval(() => this.autosave(), this.AUTOSAVE_INTERVAL);
+        window.addEventListener('beforeunload', () => this.autosave());
+    },
+
+    async autosave() {
+        try {
+            const project = this.serialize();
+            // Skip the write when nothing changed since the last one
+            const fingerprint = JSON.stringify({ ...project, savedAt: null, samples: project.samples.map(s => s.id) });
+            if (fingerprint === this.lastAutosave) return;
+            this.lastAutosave = fingerprint;
+            await this.writeAutosave(project);
+        } catch (err) {
+            console.warn('Autosave failed', err);
+        }
+    },
+
+    openDB() {
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) return reject(new Error('IndexedDB unavailable'));
+            const req = indexedDB.open(this.DB_NAME, 1);
+            req.onupgradeneeded = () => req.result.createObjectStore(this.STORE);
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    },
+
+    async writeAutosave(project) {
+        try {
+            const db = await this.openDB();
+            await new Promise((resolve, reject) => {
+                const tx = db.transaction(this.STORE, 'readwrite');
+                tx.objectStore(this.STORE).put(project, 'current');
+                tx.oncomplete = resolve;
+                tx.onerror = () => reject(tx.error);
+            });
+        } catch (err) {
+            // Fallback: localStorage (may exceed quota with large samples)
+            project.samples.forEach(s => {
+                if (s.data) s.data = Utils.arrayBufferToBase64(s.data);
+            });
+            localStorage.setItem('webdaw-autosave', JSON.stringify(project));
+        }
+    },
+
+    async readAutosave() {
+        try {
+            const db = await this.openDB();
+            const project = await new Promise((resolve, reject) => {
+                const req = db.transaction(this.STORE).objectStore(this.STORE).get('current');
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => reject(req.error);
+            });
+            if (project) return project;
+        } catch (err) {
+            // fall through to localStorage
+        }
+        const json = localStorage.getItem('webdaw-autosave');
+        if (!json) return null;
+        const project = JSON.parse(json);
+        project.samples.forEach(s => {
+            if (typeof s.data === 'string') s.data = Utils.base64ToArrayBuffer(s.data);
+        });
+        return project;
     }
 };
 
 const WAVExporter = {
+    dialog: null,
+
+    init() {
+        this.dialog = document.getElementById('export-dialog');
+        const form = this.dialog.querySelector('form');
+        form.onsubmit = (e) => {
+            e.preventDefault();
+            const data = new FormData(form);
+            this.dialog.close();
+            this.run({
+                source: data.get('source'),
+                lengthMode: data.get('lengthMode'),
+                lengthValue: Math.max(1, parseInt(data.get('lengthValue')) || 1),
+                tail: Math.max(0, parseFloat(data.get('tail')) || 0),
+                format: data.get('format'),
+                stems: data.get('stems') === 'on'
+            });
+        };
+        this.dialog.querySelector('[data-action="cancel"]').onclick = () => this.dialog.close();
+    },
+
+    // Bound to #btn-export
     export() {
-        alert("Rendering WAV... check console for blob or download.");
-        // Implementation omitted for brevity in single file restriction,
-        // but typically involves OfflineAudioContext rendering the same schedule
-        // then using a wav-encoder function to create a Blob URL.
+        WAVExporter.dialog.showModal();
+    },
+
+    async run(options) {
+        const btn = document.getElementById('btn-export');
+        const label = btn.innerText;
+        btn.disabled = true;
+        btn.innerText = 'Rendering...';
+        try {
+            const mix = await this.render(options);
+            this.download(this.encode(mix, options.format), 'mixdown.wav');
+
+            if (options.stems) {
+                for (const index of this.usedTracks()) {
+                    const stem = await this.render({ ...options, soloTrack: index });
+                    this.download(this.encode(stem, options.format), `stem-insert-${index}.wav`);
+                }
+            }
+        } catch (err) {
+            console.error(err);
+            alert('Export failed: ' + err.message);
+        } finally {
+            btn.disabled = false;
+            btn.innerText = label;
+        }
+    },
+
+    // Inserts that a channel or playlist track feeds, directly or through buses/sends
+    usedTracks() {
+        const targets = [...new Set([
+            ...DAW.channels.map(ch => ch.targetMixerTrack),
+            ...Song.current().tracks.map(t => t.targetMixerTrack)
+        ])];
+        return DAW.mixerTracks
+            .filter(t => t.index > 0 && targets.some(src => MixerTrack.reaches(src, t.index)))
+            .map(t => t.index);
+    },
+
+    // Number of 16th steps the render covers
+    stepsToRender(options) {
+        const loopLength = options.source === 'song' ? Song.length() : Patterns.active().length;
+        return options.lengthMode === 'bars'
+            ? options.lengthValue * Transport.stepsPerBar()
+            : options.lengthValue * loopLength;
+    },
+
+    // Schedules the pattern (or song) into an OfflineAudioContext through a copy of the mixer.
+    // soloTrack: only channels routed to that insert are played (stem export).
+    async render(options) {
+        const sampleRate = DAW.ctx.sampleRate;
+        const totalSteps = this.stepsToRender(options);
+        // Start time of every step; the song follows the tempo map
+        const songLength = Song.length();
+        const times = [0];
+        for (let i = 0; i < totalSteps; i++) {
+            times.push(times[i] + Transport.stepDuration(options.source === 'song' ? i % songLength : null));
+        }
+        const duration = times[totalSteps] + options.tail;
+        const ctx = new OfflineAudioContext(2, Math.ceil(duration * sampleRate), sampleRate);
+
+        // Seeded so step probabilities render the same every time
+        const graph = { ctx, masterGain: ctx.createGain(), mixerTracks: [], random: Utils.createRNG(1) };
+        graph.masterGain.gain.value = DAW.masterGain.gain.value;
+        graph.masterGain.connect(ctx.destination);
+        DAW.mixerTracks.forEach((track, i) => graph.mixerTracks.push(new MixerTrack(i, graph)));
+        graph.mixerTracks.forEach((copy, i) => copy.copySettingsFrom(DAW.mixerTracks[i]));
+        MixerTrack.link(graph);
+
+        // A stem is what you hear with only that insert soloed
+        const includeTrack = (index) => options.soloTrack === undefined || MixerTrack.reaches(index, options.soloTrack, graph);
+        if (options.soloTrack !== undefined) {
+            graph.mixerTracks.forEach(t => t.soloed = t.index === options.soloTrack);
+            MixerTrack.updateSolo(graph);
+        }
+        const channels = DAW.channels.filter(ch => includeTrack(ch.targetMixerTrack));
+
+        if (options.source === 'song') {
+            for (let i = 0; i < totalSteps; i++) {
+                Sequencer.triggerSongStep(i % songLength, times[i], graph, channels, false, includeTrack);
+            }
+        } else {
+            const patternLength = Patterns.active().length;
+            for (let i = 0; i < totalSteps; i++) {
+                Sequencer.triggerStep(i % patternLength, times[i], graph, channels, DAW.activePatternId, i);
+            }
+        }
+        return ctx.startRendering();
+    },
+
+    // format: 'pcm16' | 'pcm24' | 'float32'
+    encode(buffer, format = 'pcm16') {
+        const numChannels = buffer.numberOfChannels;
+        const isFloat = format === 'float32';
+        const bytesPerSample = format === 'pcm24' ? 3 : (isFloat ? 4 : 2);
+        const blockAlign = numChannels * bytesPerSample;
+        const dataSize = buffer.length * blockAlign;
+        // Float files carry an extended fmt chunk (cbSize) and a fact chunk
+        const fmtSize = isFloat ? 18 : 16;
+        const factSize = isFloat ? 12 : 0;
+        const headerSize = 12 + (8 + fmtSize) + factSize + 8;
+        const view = new DataView(new ArrayBuffer(headerSize + dataSize));
+
+        const writeString = (offset, str) => {
+            for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+        };
+
+        writeString(0, 'RIFF');
+        view.setUint32(4, headerSize - 8 + dataSize, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, fmtSize, true);
+        view.setUint16(20, isFloat ? 3 : 1, true); // 1 = PCM, 3 = IEEE float
+        view.setUint16(22, numChannels, true);
+        view.setUint32(24, buffer.sampleRate, true);
+        view.setUint32(28, buffer.sampleRate * blockAlign, true);
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, bytesPerSample * 8, true);
+        let offset = 36;
+        if (isFloat) {
+            view.setUint16(offset, 0, true);
+            offset += 2;
+            writeString(offset, 'fact');
+            view.setUint32(offset + 4, 4, true);
+            view.setUint32(offset + 8, buffer.length, true);
+            offset += 12;
+        }
+        writeString(offset, 'data');
+        view.setUint32(offset + 4, dataSize, true);
+        offset += 8;
+
+        const channelData = [];
+        for (let c = 0; c < numChannels; c++) channelData.push(buffer.getChannelData(c));
+
+        for (let i = 0; i < buffer.length; i++) {
+            for (let c = 0; c < numChannels; c++) {
+                const sample = channelData[c][i];
+                if (isFloat) {
+                    view.setFloat32(offset, sample, true);
+                } else {
+                    const clamped = Math.max(-1, Math.min(1, sample));
+                    if (bytesPerSample === 2) {
+                        view.setInt16(offset, clamped < 0 ? clamped * 0x8000 : clamped * 0x7FFF, true);
+                    } else {
+                        const int = Math.round(clamped < 0 ? clamped * 0x800000 : clamped * 0x7FFFFF);
+                        view.setUint8(offset, int & 0xFF);
+                        view.setUint8(offset + 1, (int >> 8) & 0xFF);
+                        view.setUint8(offset + 2, (int >> 16) & 0xFF);
+                    }
+                }
+                offset += bytesPerSample;
+            }
+        }
+        return view.buffer;
+    },
+
+    download(arrayBuffer, filename, type = 'audio/wav') {
+        const blob = new Blob([arrayBuffer], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 };
 
-// --- INITIALIZATION ---
+// --- MIDI FILES ---
 
-window.addEventListener('load', () => {
-    AudioEngine.init();
-    UIManager.init();
-    
-    // WebMIDI Stub
-    if (navigator.requestMIDIAccess) {
-        navigator.requestMIDIAccess().then(midi => {
-            midi.inputs.forEach(input => {
-                input.onmidimessage = (msg) => {
-                    const [cmd, note, vel] = msg.data;
-                    if(cmd === 144 && vel > 0) { // Note On
-                        const ch = DAW.channels[DAW.selectedChannelIndex];
-                        if(ch) ch.playNote(DAW.ctx.currentTime, 0.5, note, vel/127);
+// Standard MIDI File (.mid) import and export. Import turns every track / MIDI channel
+// into a synth channel with Piano Roll notes; export writes the current pattern or the
+// arrangement as a type 1 file (sampler step hits go to the GM drum channel 10).
+const MidiFile = {
+    PPQ: 96,              // ticks per quarter note written on export
+    PART_LENGTH: 256,     // longest pattern; longer files are split across the playlist
+    DRUM_CHANNEL: 9,
+    // Sampler channel name -> General MIDI drum note
+    GM_DRUMS: [[/kick|bass ?drum|\bbd\b/i, 36], [/rim/i, 37], [/snare|\bsd\b/i, 38], [/clap/i, 39],
+        [/open/i, 46], [/hat|\bhh\b/i, 42], [/tom/i, 45], [/crash/i, 49], [/ride/i, 51]],
+    dialog: null,
+
+    init() {
+        this.dialog = document.getElementById('midi-export-dialog');
+        const form = this.dialog.querySelector('form');
+        form.onsubmit = (e) => {
+            e.preventDefault();
+            this.dialog.close();
+            this.export(new FormData(form).get('source'));
+        };
+        this.dialog.querySelector('[data-action="cancel"]').onclick = () => this.dialog.close();
+        document.getElementById('btn-export-midi').onclick = () => {
+            form.elements.source.value = DAW.songMode ? 'song' : 'pattern';
+            this.dialog.showModal();
+        };
+    },
+
+    // --- Reading ---
+
+    // { format, ppq, tempos: [{ tick, bpm }], timeSignature: [n, d] | null,
+    //   tracks: [{ name, notes: [{ tick, duration, pitch, velocity, channel }] }] }
+    parse(buffer) {
+        const view = new DataView(buffer);
+        const text = (pos, length) => new TextDecoder().decode(new Uint8Array(buffer, pos, length));
+        if (buffer.byteLength < 14 || text(0, 4) !== 'MThd') throw new Error('not a Standard MIDI File');
+        const format = view.getUint16(8);
+        const trackCount = view.getUint16(10);
+        const division = view.getUint16(12);
+        if (format > 1) throw new Error(`type ${format} files are not supported`);
+        if (division & 0x8000) throw new Error('SMPTE timing is not supported');
+
+        const song = { format, ppq: division, tempos: [], timeSignature: null, tracks: [] };
+        let pos = 8 + view.getUint32(4);
+        while (song.tracks.length < trackCount && pos + 8 <= buffer.byteLength) {
+            const id = text(pos, 4);
+            const end = Math.min(buffer.byteLength, pos + 8 + view.getUint32(pos + 4));
+            if (id === 'MTrk') song.tracks.push(this.parseTrack(view, pos + 8, end, song));
+            pos = end; // unknown chunks are skipped
+        }
+        song.tempos.sort((a, b) => a.tick - b.tick);
+        return song;
+    },
+
+    parseTrack(view, pos, end, song) {
+        const track = { name: '', notes: [] };
+        const open = new Map(); // channel * 128 + pitch -> notes waiting for their note-off
+        let tick = 0;
+        let running = 0;
+        const readVar = () => {
+            let value = 0;
+            let byte;
+            do {
+                byte = view.getUint8(pos++);
+                value = (value << 7) | (byte & 0x7f);
+            } while (byte & 0x80);
+            return value;
+        };
+        const close = (note) => {
+            note.duration = Math.max(1, tick - note.tick);
+            track.notes.push(note);
+        };
+
+        while (pos < end) {
+            tick += readVar();
+            let status = view.getUint8(pos);
+            if (status & 0x80) pos++;
+            else if (running) status = running; // running status: reuse the previous status byte
+            else throw new Error('corrupt track data');
+
+            if (status === 0xff) {
+                const type = view.getUint8(pos++);
+                const length = readVar();
+                if (type === 0x51 && length === 3) {
+                    const usPerQuarter = (view.getUint8(pos) << 16) | (view.getUint8(pos + 1) << 8) | view.getUint8(pos + 2);
+                    song.tempos.push({ tick, bpm: 60000000 / usPerQuarter });
+                } else if (type === 0x58 && length >= 2 && !song.timeSignature) {
+                    const signature = [view.getUint8(pos), Math.pow(2, view.getUint8(pos + 1))];
+                    if (Transport.TIME_SIGNATURES.some(sig => sig.join() === signature.join())) song.timeSignature = signature;
+                } else if (type === 0x03 && !track.name) {
+                    track.name = new TextDecoder().decode(new Uint8Array(view.buffer, pos, length)).trim();
+                }
+                pos += length;
+            } else if (status === 0xf0 || status === 0xf7) {
+                running = 0;
+                pos += readVar(); // sysex
+            } else {
+                running = status;
+                const type = status & 0xf0;
+                const channel = status & 0x0f;
+                const d1 = view.getUint8(pos++);
+                const d2 = type === 0xc0 || type === 0xd0 ? 0 : view.getUint8(pos++);
+                const key = channel * 128 + d1;
+                if (type === 0x90 && d2 > 0) {
+                    if (!open.has(key)) open.set(key, []);
+                    open.get(key).push({ tick, duration: 0, pitch: d1, velocity: d2 / 127, channel });
+                } else if (type === 0x80 || type === 0x90) {
+                    const held = open.get(key);
+                    if (held && held.length) close(held.shift());
+                }
+            }
+        }
+        // Notes still hanging at the end of the track
+        open.forEach(held => held.forEach(close));
+        track.notes.sort((a, b) => a.tick - b.tick);
+        return track;
+    },
+
+    async importFile(file) {
+        let song;
+        try {
+            song = this.parse(await file.arrayBuffer());
+        } catch (err) {
+            console.error(err);
+            alert(`Could not import ${file.name}: ${err.message}`);
+            return;
+        }
+
+        // One instrument per track and MIDI channel (type 0 files keep everything in one track)
+        const groups = new Map();
+        song.tracks.forEach((track, t) => track.notes.forEach(note => {
+            const key = `${t}:${note.channel}`;
+            if (!groups.has(key)) groups.set(key, { track, channel: note.channel, notes: [] });
+            groups.get(key).notes.push(note);
+        }));
+        if (!groups.size) {
+            alert(`${file.name} contains no notes.`);
+            return;
+        }
+
+        const stepTicks = song.ppq / 4;
+        const toSteps = (ticks) => Math.round(ticks / stepTicks * 1000) / 1000;
+        const end = [...groups.values()].reduce((max, g) =>
+            g.notes.reduce((m, n) => Math.max(m, toSteps(n.tick + n.duration)), max), 0);
+        const parts = Math.ceil(end / this.PART_LENGTH);
+        const baseName = file.name.replace(/\.midi?$/i, '');
+        const before = { song: JSON.stringify(Song.current()), tempo: DAW.tempo, timeSignature: DAW.timeSignature, patternId: DAW.activePatternId };
+        if (song.timeSignature) Transport.setTimeSignature(song.timeSignature);
+        const bar = Transport.stepsPerBar();
+
+        const patterns = [];
+        for (let i = 0; i < parts; i++) {
+            const length = parts > 1 ? this.PART_LENGTH : Math.min(this.PART_LENGTH, Math.max(bar, Math.ceil(end / bar) * bar));
+            patterns.push(Patterns.create(parts > 1 ? `${baseName} ${i + 1}` : baseName, length));
+        }
+        const channels = [];
+        for (const group of groups.values()) {
+            const split = [...groups.values()].filter(g => g.track === group.track).length > 1;
+            const name = (group.track.name || baseName) + (split ? ` (ch ${group.channel + 1})` : '');
+            const ch = await AudioEngine.createChannel(name, 'synth');
+            channels.push(ch);
+            group.notes.forEach(note => {
+                const start = toSteps(note.tick);
+                const part = Math.min(parts - 1, Math.floor(start / this.PART_LENGTH));
+                Patterns.dataFor(ch.id, patterns[part].id).notes.push({
+                    start: start - part * this.PART_LENGTH,
+                    duration: Math.max(0.01, toSteps(note.duration)),
+                    pitch: note.pitch,
+                    velocity: note.velocity
+                });
+            });
+        }
+
+        // Long files: lay the parts out one after another on a free playlist track,
+        // tempo changes go into the song's tempo map
+        if (parts > 1) {
+            const playlist = Song.current();
+            playlist.tempoMap = song.tempos.slice(1).map(t => ({ step: toSteps(t.tick), bpm: Math.round(t.bpm * 10) / 10, ramp: false }));
+            let track = playlist.tracks.findIndex((_, i) => !playlist.clips.some(c => c.track === i));
+            if (track < 0) {
+                Song.addTrack(playlist);
+                track = playlist.tracks.length - 1;
+            }
+            patterns.forEach((pattern, i) => Playlist.addClip({ type: 'pattern', id: pattern.id }, track, i * this.PART_LENGTH));
+        }
+        if (song.tempos.length) DAW.tempo = Math.round(song.tempos[0].bpm);
+
+        const after = { song: JSON.stringify(Song.current()), tempo: DAW.tempo, timeSignature: DAW.timeSignature };
+        const apply = (state, patternId) => {
+            DAW.state.songs[0] = JSON.parse(state.song);
+            DAW.tempo = state.tempo;
+            Transport.setTimeSignature(state.timeSignature);
+            DAW.activePatternId = patternId;
+            document.getElementById('bpm-input').value = DAW.tempo;
+            Transport.renderButtons();
+        };
+        History.push({
+            label: 'Import MIDI',
+            undo: () => {
+                ChannelRack.keepSelection(() => channels.forEach(ch => DAW.channels.splice(DAW.channels.indexOf(ch), 1)));
+                patterns.forEach(p => delete DAW.state.patterns[p.id]);
+                apply(before, before.patternId);
+            },
+            redo: () => {
+                ChannelRack.keepSelection(() => DAW.channels.push(...channels));
+                patterns.forEach(p => DAW.state.patterns[p.id] = p);
+                apply(after, patterns[0].id);
+            }
+        });
+        apply(after, patterns[0].id);
+        Patterns.refresh();
+    },
+
+    // --- Writing ---
+
+    // source: 'pattern' (active pattern, once) or 'song' (the whole playlist)
+    export(source) {
+        const stepTicks = this.PPQ / 4;
+        const tracks = DAW.channels.map(() => []);
+        // Melodic channels skip the drum channel and wrap after 15 instruments
+        const melodic = DAW.channels.map((_, i) => [0, 1, 2, 3, 4, 5, 6, 7, 8, 10, 11, 12, 13, 14, 15][i % 15]);
+
+        const emit = (index, channel, start, duration, pitch, velocity) => {
+            const tick = Math.round(start * stepTicks);
+            const end = Math.max(tick + 1, Math.round((start + duration) * stepTicks));
+            const key = Math.max(0, Math.min(127, Math.round(pitch)));
+            const vel = Math.max(1, Math.min(127, Math.round(velocity * 127)));
+            tracks[index].push({ tick, data: [0x90 | channel, key, vel] }, { tick: end, data: [0x80 | channel, key, 0] });
+        };
+
+        // Same lookup as Sequencer.triggerStep; `at` is where stepNumber lands in the output.
+        // Probability can't be expressed in a MIDI file, so every hit is written.
+        const visit = (at, patternId, stepNumber, absStep) => {
+            DAW.channels.forEach((ch, i) => {
+                const data = Patterns.dataFor(ch.id, patternId);
+                const swing = Math.min(1, DAW.swing + ch.swing);
+                const pos = (p) => at + Sequencer.swingPosition(p, swing) - stepNumber;
+                const step = data.steps[data.length ? absStep % data.length : stepNumber];
+                if (step) {
+                    const count = Math.max(1, step.ratchet);
+                    for (let r = 0; r < count; r++) {
+                        if (ch.type === 'sampler' || ch.type === 'drum') {
+                            emit(i, this.DRUM_CHANNEL, pos(stepNumber) + r / count, 1 / count, this.drumNote(ch, step), step.velocity);
+                        } else {
+                            emit(i, melodic[i], pos(stepNumber) + r / count, 1 / count, 60 + step.pitch, step.velocity);
+                        }
                     }
-                };
+                }
+                data.notes.forEach(note => {
+                    if (note.start >= stepNumber && note.start < stepNumber + 1) {
+                        emit(i, melodic[i], pos(note.start), note.duration, note.pitch, note.velocity);
+                    }
+                });
             });
+        };
+
+        let name;
+        if (source === 'song') {
+            const song = Song.current();
+            const length = Song.length();
+            for (let s = 0; s < length; s++) {
+                song.clips.forEach(clip => {
+                    const track = song.tracks[clip.track];
+                    const pattern = Patterns.get(clip.patternId);
+                    if (clip.type !== 'pattern' || !pattern || clip.muted || !track || track.muted) return;
+                    if (s < clip.start || s >= clip.start + clip.length) return;
+                    const local = s - clip.start + clip.offset;
+                    visit(s, pattern.id, local % pattern.length, local);
+                });
+            }
+            name = song.name;
+        } else {
+            const pattern = Patterns.active();
+            for (let s = 0; s < pattern.length; s++) visit(s, pattern.id, s, s);
+            name = pattern.name;
+        }
+
+        // Conductor track: time signature and tempo; the song's tempo map becomes
+        // tempo events (ramps are written as one change per step)
+        const tempoEvent = (tick, bpm) => {
+            const usPerQuarter = Math.round(60000000 / bpm);
+            return { tick, data: [0xff, 0x51, 0x03, (usPerQuarter >> 16) & 0xff, (usPerQuarter >> 8) & 0xff, usPerQuarter & 0xff] };
+        };
+        const tempos = [tempoEvent(0, DAW.tempo)];
+        if (source === 'song') {
+            let last = DAW.tempo;
+            for (let s = 0; s < Song.length(); s++) {
+                const bpm = 60 / Transport.stepDuration(s) / 4;
+                if (Math.abs(bpm - last) > 0.01) tempos.push(tempoEvent(s * stepTicks, bpm));
+                last = bpm;
+            }
+        }
+        const [beats, unit] = DAW.timeSignature;
+        const conductor = this.encodeTrack(name, [
+            [0xff, 0x58, 0x04, beats, Math.log2(unit), 24, 8]
+        ], tempos);
+        const chunks = [conductor];
+        tracks.forEach((events, i) => {
+            if (events.length) chunks.push(this.encodeTrack(DAW.channels[i].name, [], events));
+        });
+        if (chunks.length === 1) {
+            alert('Nothing to export: there are no notes or steps in the ' + (source === 'song' ? 'arrangement.' : 'pattern.'));
+            return;
+        }
+
+        const header = [...this.ascii('MThd'), ...this.uint(6, 4), ...this.uint(1, 2), ...this.uint(chunks.length, 2), ...this.uint(this.PPQ, 2)];
+        const file = new Uint8Array(header.length + chunks.reduce((sum, c) => sum + c.length, 0));
+        file.set(header);
+        chunks.reduce((offset, chunk) => {
+            file.set(chunk, offset);
+            return offset + chunk.length;
+        }, header.length);
+        WAVExporter.download(file.buffer, `${name.replace(/[\\/:*?"<>|]/g, '_')}.mid`, 'audio/midi');
+    },
+
+    // MTrk chunk: track name, the given meta events at tick 0, then events ({ tick, data }) in order
+    encodeTrack(name, meta, events) {
+        const nameBytes = [...new TextEncoder().encode(name)];
+        const bytes = [0, 0xff, 0x03, ...this.varLength(nameBytes.length), ...nameBytes];
+        meta.forEach(data => bytes.push(0, ...data));
+        // Note-offs before note-ons on the same tick so repeated notes retrigger
+        events.sort((a, b) => a.tick - b.tick || (a.data[0] & 0xf0) - (b.data[0] & 0xf0));
+        let tick = 0;
+        events.forEach(e => {
+            bytes.push(...this.varLength(e.tick - tick), ...e.data);
+            tick = e.tick;
         });
+        bytes.push(0, 0xff, 0x2f, 0x00); // end of track
+        return Uint8Array.from([...this.ascii('MTrk'), ...this.uint(bytes.length, 4), ...bytes]);
+    },
+
+    varLength(value) {
+        const bytes = [value & 0x7f];
+        while ((value >>= 7) > 0) bytes.unshift((value & 0x7f) | 0x80);
+        return bytes;
+    },
+
+    uint(value, size) {
+        return Array.from({ length: size }, (_, i) => (value >> (8 * (size - 1 - i))) & 0xff);
+    },
+
+    ascii(text) {
+        return [...text].map(c => c.charCodeAt(0));
+    },
+
+    drumNote(ch, step) {
+        if (ch.type === 'drum') return DrumSynth.GM_NOTES[ch.drum.params.model];
+        const match = this.GM_DRUMS.find(([pattern]) => pattern.test(ch.name));
+        return match ? match[1] : 60 + step.pitch;
     }
-});
+};
+
+// --- INITIALIZATION ---
+
+if (typeof window !== 'undefined') {
+    window.addEventListener('load', async () => {
+        await AudioEngine.init();
+        UIManager.init();
+        ProjectIO.initAutosave();
+        MidiInput.init();
+        AudioRecorder.init();
+    });
+}
+
+// UI objects for tests (the engine itself is imported from core/index.js)
+export { UIManager, ChannelRack, Playlist, History, Meters, ProjectIO, AudioRecorder, MidiInput };
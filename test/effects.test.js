@@ -0,0 +1,58 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { Automation, DAW, CompressorEffect } from '../core/index.js';
+import { initEngine } from './helpers.js';
+
+before(initEngine);
+
+// Gain the sidechain curve applies to a key at `db` dBFS
+function keyedGain(comp, db) {
+    const curve = comp.reduction.curve;
+    const level = Math.pow(10, db / 20);
+    return 1 + curve[Math.round((level + 1) / 2 * (curve.length - 1))];
+}
+
+test('sidechained compressor hides attack and only automates what it uses', () => {
+    const comp = new CompressorEffect(DAW);
+    assert.equal(comp.hidden('attack'), false);
+    assert.equal(comp.audioParams('threshold')[0].param, comp.comp.threshold);
+
+    comp.setParam('sidechain', 2);
+    assert.equal(comp.hidden('attack'), true);
+    ['threshold', 'ratio', 'attack', 'knee'].forEach(key => assert.deepEqual(comp.audioParams(key), []));
+    assert.equal(comp.audioParams('release')[0].param, comp.smoother.frequency);
+    assert.equal(comp.audioParams('makeup').length, 1);
+
+    comp.dispose();
+    assert.equal(comp.hidden('attack'), false);
+});
+
+test('the sidechain curve follows the knee', () => {
+    const comp = new CompressorEffect(DAW, { values: { threshold: -24, ratio: 4, knee: 0, sidechain: 2 } });
+    // Hard knee: nothing at the threshold, 3/4 of the overshoot above it
+    assert.ok(Math.abs(keyedGain(comp, -24) - 1) < 0.01);
+    assert.ok(Math.abs(20 * Math.log10(keyedGain(comp, -12)) + 9) < 0.2);
+    comp.setParam('knee', 12);
+    // Soft knee: half the hard-knee reduction at the end of the knee
+    assert.ok(Math.abs(20 * Math.log10(keyedGain(comp, -12)) + 4.5) < 0.2);
+    comp.dispose();
+});
+
+test('keying the sidechain drops compressor automation and marks its lanes inactive', () => {
+    const track = DAW.mixerTracks[1];
+    const comp = track.addEffect('compressor');
+    const id = `fx:1:${comp.id}:threshold`;
+    comp.comp.threshold.setValueAtTime(-50, 0);
+    comp.comp.threshold.linearRampToValueAtTime(-10, 10);
+
+    comp.setParam('sidechain', 2);
+    // web-audio-engine keeps the scheduled events on the implementation object
+    assert.deepEqual(comp.comp.threshold._impl.getEvents(), []);
+    assert.equal(comp.comp.threshold.value, comp.values.threshold);
+    assert.equal(Automation.describe(id).inactive, 'while sidechained');
+    assert.match(Automation.describe(id).label, /inactive/);
+
+    comp.setParam('sidechain', 0);
+    assert.equal(Automation.describe(id).inactive, null);
+    track.removeEffect(track.effects.indexOf(comp));
+});
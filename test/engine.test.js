@@ -0,0 +1,59 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { AudioEngine, DAW } from '../core/index.js';
+import { initEngine, clearPatterns, offlineGraph } from './helpers.js';
+
+beforeEach(async () => {
+    await initEngine();
+    clearPatterns();
+});
+
+// Records the panners a graph creates and which of them get disconnected
+function watchPanners(t, ctx) {
+    const created = [];
+    const released = [];
+    const create = ctx.createStereoPanner.bind(ctx);
+    t.mock.method(ctx, 'createStereoPanner', () => {
+        const panner = create();
+        const disconnect = panner.disconnect.bind(panner);
+        panner.disconnect = (...args) => {
+            released.push(panner);
+            disconnect(...args);
+        };
+        created.push(panner);
+        return panner;
+    });
+    return { created, released };
+}
+
+test('notes that start no voice make no panner', async (t) => {
+    const sampler = await AudioEngine.createChannel('Empty', 'sampler');
+    sampler.pan = 0.5;
+    const graph = offlineGraph(0.1);
+    const panners = watchPanners(t, graph.ctx);
+    assert.equal(sampler.playNote(0, 0.1, 60, 1, graph), null);
+    assert.equal(panners.created.length, 0);
+    DAW.channels.splice(DAW.channels.indexOf(sampler), 1);
+});
+
+test('a panned hit plays on its side and lets go of its panner when it ends', async (t) => {
+    const hat = DAW.channels.find(ch => ch.name === 'Hat');
+    const graph = offlineGraph(0.5);
+    const panners = watchPanners(t, graph.ctx);
+    hat.playNote(0, 0.1, 60, 1, graph, -1);
+    assert.equal(panners.created.length, 1);
+
+    const buffer = await graph.ctx.startRendering();
+    assert.deepEqual(panners.released, panners.created);
+    const max = (c) => buffer.getChannelData(c).reduce((m, v) => Math.max(m, Math.abs(v)), 0);
+    assert.ok(max(0) > 0.05);
+    assert.equal(max(1), 0);
+});
+
+test('unpanned notes go straight to the mixer', (t) => {
+    const hat = DAW.channels.find(ch => ch.name === 'Hat');
+    const graph = offlineGraph(0.1);
+    const panners = watchPanners(t, graph.ctx);
+    hat.playNote(0, 0.1, 60, 1, graph);
+    assert.equal(panners.created.length, 0);
+});
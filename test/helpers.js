@@ -0,0 +1,71 @@
+// Shared setup for the engine tests: a headless engine on web-audio-engine and an offline
+// render of the active pattern through a copy of the mixer (as WAVExporter does).
+
+import wae from 'web-audio-engine';
+import { AudioEngine, DAW, MixerTrack, Sequencer, Transport, Utils } from '../core/index.js';
+
+const { OfflineAudioContext } = wae;
+const SAMPLE_RATE = 48000;
+
+async function initEngine() {
+    if (!DAW.ctx) await AudioEngine.init(new OfflineAudioContext(2, SAMPLE_RATE, SAMPLE_RATE));
+    DAW.tempo = 120;
+    DAW.swing = 0;
+}
+
+// Empties every pattern and unmutes all channels
+function clearPatterns() {
+    Object.values(DAW.state.patterns).forEach(p => p.channels = {});
+    DAW.channels.forEach(ch => ch.muted = ch.soloed = false);
+}
+
+// A copy of the mixer in an OfflineAudioContext of `duration` seconds
+function offlineGraph(duration) {
+    const ctx = new OfflineAudioContext(2, Math.ceil(duration * SAMPLE_RATE), SAMPLE_RATE);
+    const graph = { ctx, masterGain: ctx.createGain(), mixerTracks: [], random: Utils.createRNG(1) };
+    graph.masterGain.connect(ctx.destination);
+    DAW.mixerTracks.forEach((track, i) => graph.mixerTracks.push(new MixerTrack(i, graph)));
+    MixerTrack.link(graph);
+    return graph;
+}
+
+// Renders `steps` 16ths of the active pattern plus `tail` seconds
+async function renderPattern(steps = 16, tail = 0.25) {
+    const stepDur = Transport.stepDuration();
+    const graph = offlineGraph(steps * stepDur + tail);
+    const length = DAW.state.patterns[DAW.activePatternId].length;
+    for (let i = 0; i < steps; i++) {
+        Sequencer.triggerStep(i % length, i * stepDur, graph, DAW.channels, DAW.activePatternId, i);
+    }
+    return graph.ctx.startRendering();
+}
+
+// Start times (seconds) of sounds that follow at least `gap` seconds of silence
+function onsets(buffer, threshold = 1e-3, gap = 0.05) {
+    const data = buffer.getChannelData(0);
+    const found = [];
+    let last = -Infinity;
+    for (let i = 0; i < data.length; i++) {
+        if (Math.abs(data[i]) < threshold) continue;
+        if (i - last > gap * buffer.sampleRate) found.push(i / buffer.sampleRate);
+        last = i;
+    }
+    return found;
+}
+
+// Just enough DOM for UI code that updates labels: every element is a plain object
+function stubDocument() {
+    const elements = {};
+    globalThis.document = { getElementById: (id) => elements[id] || (elements[id] = { innerText: '' }) };
+    return elements;
+}
+
+function peak(buffer) {
+    let max = 0;
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+        for (const v of buffer.getChannelData(c)) max = Math.max(max, Math.abs(v));
+    }
+    return max;
+}
+
+export { OfflineAudioContext, SAMPLE_RATE, initEngine, clearPatterns, offlineGraph, renderPattern, onsets, stubDocument, peak };
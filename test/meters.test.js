@@ -0,0 +1,40 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { Utils } from '../core/index.js';
+
+let Meters;
+before(async () => {
+    ({ Meters } = await import('../script.js'));
+    Meters.resetLoudness();
+});
+
+// BS.1770 integrated loudness straight from the block list
+function exactIntegrated(blocks) {
+    const lufs = (p) => -0.691 + 10 * Math.log10(p);
+    const mean = (list) => list.reduce((a, b) => a + b, 0) / list.length;
+    const absolute = blocks.filter(p => lufs(p) > -70);
+    const threshold = lufs(mean(absolute)) - 10;
+    return lufs(mean(absolute.filter(p => lufs(p) > threshold)));
+}
+
+test('integrated loudness matches BS.1770 gating to the bucket', () => {
+    Meters.resetLoudness();
+    const random = Utils.createRNG(7);
+    const blocks = [];
+    // Loud and quiet passages plus near-silence under the absolute gate
+    for (let i = 0; i < 3000; i++) {
+        const db = i % 10 === 0 ? -90 : (i % 3 ? -14 : -30) + random() * 6;
+        blocks.push(10 ** ((db + 0.691) / 10));
+    }
+    blocks.forEach(p => Meters.addGatingBlock(p));
+    assert.ok(Math.abs(Meters.integrated() - exactIntegrated(blocks)) < 0.1);
+});
+
+test('loudness resets when playback starts, not when it resumes', () => {
+    Meters.resetLoudness();
+    Meters.addGatingBlock(0.1);
+    Meters.transportStarted({ time: 0, step: 0, resumed: true });
+    assert.ok(isFinite(Meters.integrated()));
+    Meters.transportStarted({ time: 0, step: 0, resumed: false });
+    assert.equal(Meters.integrated(), -Infinity);
+});
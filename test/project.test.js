@@ -0,0 +1,60 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { AudioEngine, DAW, Patterns, Song } from '../core/index.js';
+import { initEngine, clearPatterns } from './helpers.js';
+
+let ProjectIO;
+before(async () => {
+    await initEngine();
+    clearPatterns();
+    ({ ProjectIO } = await import('../script.js'));
+});
+
+test('a saved project loads back the same', async () => {
+    const sampler = await AudioEngine.createChannel('Kick sample', 'sampler', 'kick');
+    sampler.steps[3] = { ...Patterns.newStep(), velocity: 0.5 };
+    DAW.tempo = 97;
+    Song.current().clips.push({ id: 'c1', type: 'pattern', patternId: DAW.activePatternId, track: 1, start: 16, length: 16, offset: 0, muted: false });
+
+    // Through JSON, as a project file
+    const saved = JSON.parse(JSON.stringify(ProjectIO.serialize()));
+    assert.deepEqual(saved.samples.map(s => s.procedural), ['kick']);
+
+    DAW.tempo = 120;
+    DAW.state.songs = [];
+    await ProjectIO.load(JSON.parse(JSON.stringify(saved)));
+
+    assert.equal(DAW.tempo, 97);
+    assert.equal(Song.current().clips[0].start, 16);
+    const loaded = DAW.channels.find(ch => ch.name === 'Kick sample');
+    assert.equal(loaded.steps[3].velocity, 0.5);
+    assert.ok(loaded.sampleId);
+    assert.deepEqual({ ...ProjectIO.serialize(), savedAt: null }, { ...saved, savedAt: null });
+});
+
+test('channel ids are not reused after deleting the newest, across save and load', async () => {
+    const first = await AudioEngine.createChannel('First', 'synth');
+    DAW.channels.splice(DAW.channels.indexOf(first), 1);
+    const second = await AudioEngine.createChannel('Second', 'synth');
+    assert.ok(second.id > first.id);
+
+    DAW.channels.splice(DAW.channels.indexOf(second), 1);
+    await ProjectIO.load(JSON.parse(JSON.stringify(ProjectIO.serialize())));
+    const third = await AudioEngine.createChannel('Third', 'synth');
+    assert.ok(third.id > second.id);
+});
+
+test('projects without the id counter skip ids their patterns still use', async () => {
+    const saved = JSON.parse(JSON.stringify(ProjectIO.serialize()));
+    delete saved.nextChannelId;
+    saved.state.patterns[saved.activePatternId].channels[40] = { steps: [], notes: [], length: null };
+    await ProjectIO.load(saved);
+    assert.equal((await AudioEngine.createChannel('Next', 'synth')).id, 41);
+});
+
+test('autosave reports a project that fails to serialize instead of rejecting', async (t) => {
+    t.mock.method(ProjectIO, 'serialize', () => { throw new Error('broken'); });
+    const warn = t.mock.method(console, 'warn', () => {});
+    await ProjectIO.autosave();
+    assert.equal(warn.mock.calls[0].arguments[0], 'Autosave failed');
+});
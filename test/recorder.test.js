@@ -0,0 +1,67 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { DAW, SamplePool, Song } from '../core/index.js';
+import { OfflineAudioContext, SAMPLE_RATE, initEngine, onsets, stubDocument } from './helpers.js';
+
+let AudioRecorder, MidiInput, Playlist;
+before(async () => {
+    await initEngine();
+    stubDocument();
+    ({ AudioRecorder, MidiInput, Playlist } = await import('../script.js'));
+});
+after(() => delete globalThis.document);
+
+// One second of the test tone at 120 BPM (a beat every 0.5s)
+async function renderTestTone() {
+    const ctx = new OfflineAudioContext(1, SAMPLE_RATE * 2, SAMPLE_RATE);
+    AudioRecorder.testToneNodes(ctx, ctx.destination, 0);
+    return (await ctx.startRendering()).getChannelData(0);
+}
+
+function peakBetween(data, from, to) {
+    let max = 0;
+    for (let i = Math.round(from * SAMPLE_RATE); i < to * SAMPLE_RATE; i++) max = Math.max(max, Math.abs(data[i]));
+    return max;
+}
+
+test('the test tone beeps for the first half of every beat', async () => {
+    const data = await renderTestTone();
+    [0, 0.5, 1].forEach(beat => {
+        assert.ok(Math.abs(peakBetween(data, beat + 0.02, beat + 0.23) - 0.3) < 0.03, `beep at ${beat}`);
+        assert.ok(peakBetween(data, beat + 0.27, beat + 0.48) < 0.02, `silence after ${beat}`);
+    });
+});
+
+test('a recorded take lands on the playlist trimmed to the start and latency', async (t) => {
+    const tone = await renderTestTone();
+    const recorder = { port: { postMessage: () => {} } };
+    t.mock.method(AudioRecorder, 'recorderNode', async () => recorder);
+    t.mock.method(Playlist, 'render', () => {});
+    t.mock.method(Playlist, 'renderSources', () => {});
+    Object.assign(AudioRecorder, { armed: true, stream: {}, recorder });
+    Object.assign(AudioRecorder.settings, { destination: 2, latency: 100 });
+    MidiInput.recordArmed = true;
+    DAW.songMode = false;
+    DAW.songPosition = 8;
+
+    // The input opened at context time 10; playback starts on a beat at 10.5
+    await AudioRecorder.begin(10.5, 0);
+    for (let i = 0; i < tone.length; i += 4096) {
+        AudioRecorder.receive({ time: 10 + i / SAMPLE_RATE, channels: [tone.slice(i, i + 4096)] });
+    }
+    AudioRecorder.finish();
+    AudioRecorder.receive({ done: true });
+
+    const clip = Song.current().clips.find(c => c.type === 'audio');
+    assert.equal(clip.track, 2);
+    assert.equal(clip.start, 8);
+    // Sound played at 10.5 reached the input 100ms later: the take opens 0.6s into the tone,
+    // 0.15s before the end of a beep; the next beep is 0.4s in
+    const buffer = SamplePool.get(clip.sampleId).buffer;
+    assert.ok(Math.abs(onsets(buffer)[1] - 0.4) < 0.002);
+    assert.ok(peakBetween(buffer.getChannelData(0), 0, 0.13) > 0.25);
+    assert.ok(peakBetween(buffer.getChannelData(0), 0.17, 0.38) < 0.02);
+
+    MidiInput.recordArmed = false;
+    Object.assign(AudioRecorder, { armed: false, stream: null, recorder: null });
+});
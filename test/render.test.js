@@ -0,0 +1,54 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DAW, Patterns } from '../core/index.js';
+import { initEngine, clearPatterns, renderPattern, onsets, peak } from './helpers.js';
+
+const channel = (name) => DAW.channels.find(ch => ch.name === name);
+// Onsets land on the first sample at or after the scheduled time
+const TOLERANCE = 1 / 1000;
+
+function assertTimes(actual, expected) {
+    assert.equal(actual.length, expected.length, `onsets ${actual} vs ${expected}`);
+    actual.forEach((t, i) => assert.ok(Math.abs(t - expected[i]) < TOLERANCE, `onset ${i}: ${t} vs ${expected[i]}`));
+}
+
+beforeEach(async () => {
+    await initEngine();
+    clearPatterns();
+});
+
+test('step hits start on their steps', async () => {
+    [0, 4, 8, 12].forEach(i => channel('Hat').steps[i] = Patterns.newStep());
+    const buffer = await renderPattern();
+    // 120 BPM: a 16th is 0.125s
+    assertTimes(onsets(buffer), [0, 0.5, 1, 1.5]);
+});
+
+test('swing delays the off-beat 16th', async () => {
+    DAW.swing = 0.5;
+    [0, 1].forEach(i => channel('Hat').steps[i] = Patterns.newStep());
+    const buffer = await renderPattern(2);
+    // Half the maximum swing moves step 1 by a quarter of a step
+    assertTimes(onsets(buffer, 1e-3, 0.02), [0, 0.125 * 1.25]);
+});
+
+test('piano roll notes start between steps', async () => {
+    channel('Lead').pianoRollNotes.push({ start: 2.5, duration: 1, pitch: 60, velocity: 1 });
+    const buffer = await renderPattern(8);
+    assertTimes(onsets(buffer), [2.5 * 0.125]);
+});
+
+test('an empty or muted pattern renders silence', async () => {
+    assert.equal(peak(await renderPattern(4)), 0);
+    channel('Kick').steps[0] = Patterns.newStep();
+    channel('Kick').muted = true;
+    assert.equal(peak(await renderPattern(4)), 0);
+});
+
+test('renders are reproducible', async () => {
+    [0, 2, 4, 6].forEach(i => channel('Snare').steps[i] = { ...Patterns.newStep(), probability: 0.5 });
+    const a = (await renderPattern(8)).getChannelData(0);
+    const b = (await renderPattern(8)).getChannelData(0);
+    assert.ok(peak(await renderPattern(8)) > 0.05);
+    assert.deepEqual(a, b);
+});
@@ -0,0 +1,19 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { DAW, DrumSynth, ProceduralAudio } from '../core/index.js';
+import { initEngine } from './helpers.js';
+
+before(initEngine);
+
+test('procedural samples keep their seed when the drum synth defaults change', (t) => {
+    const before = ProceduralAudio.generate('snare', DAW.ctx).getChannelData(0);
+    const defaults = DrumSynth.defaults;
+    t.mock.method(DrumSynth, 'defaults', (model) => ({ ...defaults(model), seed: 99 }));
+    const after = ProceduralAudio.generate('snare', DAW.ctx).getChannelData(0);
+    assert.deepEqual(after, before);
+});
+
+test('unknown procedural keys fall back to the kick', () => {
+    const kick = ProceduralAudio.generate('kick', DAW.ctx).getChannelData(0);
+    assert.deepEqual(ProceduralAudio.generate('missing', DAW.ctx).getChannelData(0), kick);
+});
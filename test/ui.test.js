@@ -0,0 +1,69 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { DAW, SamplePool, Song } from '../core/index.js';
+import { initEngine, stubDocument } from './helpers.js';
+
+let elements = null;
+let frame = null;
+before(() => {
+    elements = stubDocument();
+    globalThis.requestAnimationFrame = (callback) => { frame = callback; };
+});
+after(() => {
+    delete globalThis.document;
+    delete globalThis.requestAnimationFrame;
+});
+
+test('the transport display follows the song position in song mode', async (t) => {
+    await initEngine();
+    const { UIManager, Playlist } = await import('../script.js');
+    const render = t.mock.method(Playlist, 'render', () => {});
+    DAW.songMode = true;
+    DAW.uiQueue = [{ time: 0, step: 20, counter: 4 }];
+
+    UIManager.startTransportDisplay();
+    frame();
+
+    assert.equal(Playlist.playheadStep, 20);
+    assert.equal(render.mock.callCount(), 1);
+    assert.equal(elements['lcd-bar'].innerText, '2.2.1');
+    assert.equal(DAW.uiQueue.length, 0);
+    DAW.songMode = false;
+});
+
+test('audio clips are as long as their sample at the tempo where they start', async (t) => {
+    await initEngine();
+    const { Playlist } = await import('../script.js');
+    const song = Song.current();
+    const sample = SamplePool.add('one second', { duration: 1 });
+    t.after(() => {
+        song.tempoMap = [];
+        song.clips = [];
+        delete SamplePool.samples[sample.id];
+    });
+    // 120 BPM (0.125s steps), halving to 60 BPM at step 16
+    song.tempoMap = [{ step: 16, bpm: 60, ramp: false }];
+    const source = { type: 'audio', id: sample.id };
+
+    assert.equal(Playlist.addClip(source, 0, 0).length, 8);
+    assert.equal(Playlist.addClip(source, 0, 16).length, 4);
+    // 4 steps (0.5s) before the change, then 2 slower ones
+    assert.equal(Playlist.addClip(source, 0, 12).length, 6);
+});
+
+test('undoing an added channel keeps the selection in range', async (t) => {
+    await initEngine();
+    const { ChannelRack, History, UIManager } = await import('../script.js');
+    t.mock.method(UIManager, 'renderChannelRack', () => {});
+    t.mock.method(History, 'render', () => {});
+    const count = DAW.channels.length;
+    const [ch] = await ChannelRack.addChannels([{ name: 'Added', type: 'synth' }]);
+    DAW.selectedChannelIndex = DAW.channels.indexOf(ch);
+
+    const command = History.undoStack[History.undoStack.length - 1];
+    command.undo();
+    assert.equal(DAW.channels.length, count);
+    assert.equal(DAW.selectedChannelIndex, count - 1);
+    command.redo();
+    assert.equal(DAW.selectedChannelIndex, count - 1);
+});